@@ -32,6 +32,15 @@ repo.addMerger()
 			showGitAddress();
 		};
 
+		let bundle = null;
+		document.getElementById("bundle").onclick = () => {
+			repo.pickFile()
+				.then(content => {
+					bundle = content;
+					document.getElementById("bundle_status").textContent = "Bundle of " + Math.ceil(content.length / 1024) + " KB will be imported";
+				});
+		};
+
 		let installButton = document.getElementById("install");
 		installButton.onclick = () => {
 			if(installButton.classList.contains("button-disabled")) {
@@ -43,6 +52,11 @@ repo.addMerger()
 			installButton.classList.add("button-disabled");
 
 			repo.install(title.value, description.value, gitAddress.value, typeSelect.value)
+				.then(() => {
+					if(bundle && typeSelect.value == "git") {
+						return repo.importBundle(bundle);
+					}
+				})
 				.then(() => {
 					location.href = "../repo/?" + address;
 				}, e => {
@@ -54,6 +68,7 @@ repo.addMerger()
 		let typeSelect = document.getElementById("type");
 		typeSelect.onchange = () => {
 			showGitAddress();
+			document.getElementById("bundle_entry").style.display = typeSelect.value == "git" ? "" : "none";
 		};
 	});
 
@@ -159,7 +159,14 @@ class Git {
 
 	// Object commands
 	readObject(id) {
-		if(this.packedIndex.some(packed => packed.id == id)) {
+		if(id == "4b825dc642cb6eb9a060e54bf8d69288fbee4904") {
+			// Empty tree, Git doesn't require it to be stored
+			return Promise.resolve({
+				type: "tree",
+				content: [],
+				id: id
+			});
+		} else if(this.packedIndex.some(packed => packed.id == id)) {
 			return this.readPackedObject(id);
 		} else {
 			return this.readUnpackedObject(id);
@@ -440,7 +447,8 @@ class Git {
 			currentPos += 20;
 
 			items.push({
-				type: mode.length == 6 && mode.indexOf("10") == 0 ? "blob" : mode.indexOf("16") == 0 ? "submodule" : "tree",
+				type: mode == "40000" ? "tree" : mode.indexOf("16") == 0 ? "submodule" : "blob",
+				mode: mode,
 				name: name,
 				id: objectId
 			});
@@ -448,84 +456,160 @@ class Git {
 
 		return items;
 	}
-	parseCommit(object) {
-		let tree = "";
-		let parents = [];
-		let author = "";
-		let committer = "";
+	// Splits commit or tag content into headers and message. Lines starting
+	// with a space continue the value of the previous header. Each header keeps
+	// the byte range it occupies, so that signed payloads can be rebuilt.
+	parseHeaders(content) {
+		let headers = [];
 
 		let currentPos = 0;
-		while(true) {
-			let end = object.content.indexOf("\n".charCodeAt(0), currentPos);
+		while(currentPos < content.length) {
+			let end = content.indexOf("\n".charCodeAt(0), currentPos);
 			if(end == -1) {
-				break;
+				end = content.length;
 			}
 
-			let line = this.arrayToString(this.subArray(object.content, currentPos, end - currentPos));
-			currentPos = end + 1;
-			let opcode = line.substr(0, line.indexOf(" "));
-
-			if(opcode == "tree") {
-				tree = line.substr(opcode.length).trim();
-			} else if(opcode == "parent") {
-				parents.push(line.substr(opcode.length).trim());
-			} else if(opcode == "author") {
-				author = this.decodeUTF8(line.substr(opcode.length).trim());
-			} else if(opcode == "committer") {
-				committer = this.decodeUTF8(line.substr(opcode.length).trim());
-			} else if(line == "") {
+			if(end == currentPos) {
+				currentPos++;
 				break;
 			}
+
+			if(content[currentPos] == " ".charCodeAt(0) && headers.length > 0) {
+				let header = headers[headers.length - 1];
+				header.lines.push(this.subArray(content, currentPos + 1, end - currentPos - 1));
+				header.end = end + 1;
+			} else {
+				let space = content.indexOf(" ".charCodeAt(0), currentPos);
+				if(space == -1 || space > end) {
+					space = end;
+				}
+
+				headers.push({
+					name: this.arrayToString(this.subArray(content, currentPos, space - currentPos)),
+					lines: [this.subArray(content, space + 1, end - space - 1)],
+					start: currentPos,
+					end: end + 1
+				});
+			}
+
+			currentPos = end + 1;
 		}
 
-		let message = this.decodeUTF8(this.subArray(object.content, currentPos));
+		return {
+			headers: headers.map(header => {
+				return {
+					name: header.name,
+					value: header.lines.map(line => this.decodeUTF8(line)).join("\n"),
+					start: header.start,
+					end: header.end
+				};
+			}),
+			message: this.subArray(content, currentPos)
+		};
+	}
+	// Returns "openpgp", "x509", "ssh" or "unknown" for armored signature
+	getSignatureFormat(signature) {
+		let format = Git.signatureFormats.find(format => signature.indexOf(format.begin) == 0);
+		return format ? format.format : "unknown";
+	}
+	parseCommit(object) {
+		let content = new Uint8Array(object.content);
+		let parsed = this.parseHeaders(content);
+
+		let tree = "";
+		let parents = [];
+		let author = "";
+		let committer = "";
+		let signature = null;
+
+		parsed.headers.forEach(header => {
+			if(header.name == "tree") {
+				tree = header.value;
+			} else if(header.name == "parent") {
+				parents.push(header.value);
+			} else if(header.name == "author") {
+				author = header.value;
+			} else if(header.name == "committer") {
+				committer = header.value;
+			} else if(header.name == "gpgsig" || header.name == "zeronetsig") {
+				// The signature covers the commit without its own header
+				let payload = new Uint8Array(content.length - Math.min(header.end, content.length) + header.start);
+				payload.set(this.subArray(content, 0, header.start));
+				payload.set(this.subArray(content, header.end), header.start);
+
+				signature = {
+					format: header.name == "zeronetsig" ? "zeronet" : this.getSignatureFormat(header.value),
+					armor: header.value,
+					payload: payload
+				};
+			}
+		});
 
 		return {
 			tree: tree,
 			parents: parents,
 			author: author,
 			committer: committer,
-			message: message
+			message: this.decodeUTF8(parsed.message),
+			signature: signature
 		};
 	}
 	parseTag(object) {
+		let content = new Uint8Array(object.content);
+		let parsed = this.parseHeaders(content);
+
 		let target = "";
 		let type = "";
 		let tag = "";
 		let tagger = "";
 
-		let currentPos = 0;
-		while(true) {
-			let end = object.content.indexOf("\n".charCodeAt(0), currentPos);
-			if(end == -1) {
-				break;
+		parsed.headers.forEach(header => {
+			if(header.name == "object") {
+				target = header.value;
+			} else if(header.name == "type") {
+				type = header.value;
+			} else if(header.name == "tag") {
+				tag = header.value;
+			} else if(header.name == "tagger") {
+				tagger = header.value;
 			}
+		});
 
-			let line = this.arrayToString(this.subArray(object.content, currentPos, end - currentPos));
-			currentPos = end + 1;
-			let opcode = line.substr(0, line.indexOf(" "));
-
-			if(opcode == "object") {
-				target = line.substr(opcode.length).trim();
-			} else if(opcode == "type") {
-				type = line.substr(opcode.length).trim();
-			} else if(opcode == "tag") {
-				tag = line.substr(opcode.length).trim();
-			} else if(opcode == "tagger") {
-				tagger = this.decodeUTF8(line.substr(opcode.length).trim());
-			} else if(line == "") {
-				break;
+		// Tag signatures are appended to the message and cover everything before
+		// them. Like git, use the last line that starts a signature.
+		let messageStart = content.length - parsed.message.length;
+		let signatureStart = -1;
+		let currentPos = messageStart;
+		while(currentPos < content.length) {
+			let line = this.arrayToString(this.subArray(content, currentPos, 64));
+			if(Git.signatureFormats.some(format => line.indexOf(format.begin) == 0)) {
+				signatureStart = currentPos;
 			}
+
+			let end = content.indexOf("\n".charCodeAt(0), currentPos);
+			currentPos = end == -1 ? content.length : end + 1;
 		}
 
-		let message = this.decodeUTF8(this.subArray(object.content, currentPos));
+		let message, signature = null;
+		if(signatureStart == -1) {
+			message = this.decodeUTF8(parsed.message);
+		} else {
+			let armor = this.decodeUTF8(this.subArray(content, signatureStart));
+			message = this.decodeUTF8(this.subArray(content, messageStart, signatureStart - messageStart));
+			signature = {
+				format: this.getSignatureFormat(armor),
+				armor: armor,
+				payload: this.subArray(content, 0, signatureStart)
+			};
+		}
 
 		return {
 			target: target,
 			type: type,
 			tag: tag,
 			tagger: tagger,
-			message: message
+			message: message,
+			signature: signature
 		};
 	}
 
@@ -575,7 +659,8 @@ class Git {
 
 		let content = [];
 		items.forEach(item => {
-			this.appendArray(this.concat(this.encodeUTF8((item.type == "tree" ? "040000" : "100644") + " " + item.name), [0], this.packSha(item.id)), content);
+			let mode = item.mode || {tree: "40000", blob: "100644", submodule: "160000"}[item.type];
+			this.appendArray(this.concat(this.encodeUTF8(mode + " " + item.name), [0], this.packSha(item.id)), content);
 		});
 		return this.writeObject("tree", content);
 	}
@@ -604,6 +689,7 @@ class Git {
 					// Use existing blob
 					return Promise.resolve({
 						type: "blob",
+						mode: item.mode,
 						name: item.name,
 						id: item.id
 					});
@@ -613,10 +699,13 @@ class Git {
 					.then(id => {
 						return {
 							type: "blob",
+							mode: item.mode,
 							name: item.name,
 							id: id
 						};
 					});
+			} else if(item.type == "submodule") {
+				return Promise.resolve(item);
 			}
 		});
 		return Promise.all(content)
@@ -624,16 +713,22 @@ class Git {
 				return this.writeTree(content);
 			});
 	}
-	writePlainCommit(commit) {
+	// Returns commit content. Extra `commit.headers` (`{name, value}`) are
+	// written after committer, lines of multi-line values are continued with
+	// a space.
+	formatCommit(commit) {
 		let content = "";
 		content += "tree " + commit.tree + "\n";
 		content += commit.parents.map(parent => "parent " + parent + "\n").join("");
 		content += "author " + commit.author + "\n";
 		content += "committer " + commit.committer + "\n";
+		content += (commit.headers || []).map(header => header.name + " " + header.value.split("\n").join("\n ") + "\n").join("");
 		content += "\n";
 		content += commit.message;
-
-		return this.writeObject("commit", this.encodeUTF8(content));
+		return content;
+	}
+	writePlainCommit(commit) {
+		return this.writeObject("commit", this.encodeUTF8(this.formatCommit(commit)));
 	}
 	writeCommit(commit) {
 		return this.writeTreeRecursive(commit.tree)
@@ -643,6 +738,665 @@ class Git {
 			});
 	}
 
+	// Packing
+	packInt32(num) {
+		return [(num >>> 24) & 0xFF, (num >>> 16) & 0xFF, (num >>> 8) & 0xFF, num & 0xFF];
+	}
+	packObjectHeader(type, size) {
+		// NTTTLLLL, then NLLLLLLL while there's more length
+		let result = [];
+		let byte = (type << 4) | (size & 15);
+		size = Math.floor(size / 16);
+		while(size) {
+			result.push(byte | 128);
+			byte = size & 127;
+			size = Math.floor(size / 128);
+		}
+		result.push(byte);
+		return result;
+	}
+	packDeltaOffset(offset) {
+		// Big-endian base-128 with an implicit +1 for every continuation byte
+		let result = [offset & 127];
+		offset = Math.floor(offset / 128);
+		while(offset) {
+			offset--;
+			result.unshift(128 | (offset & 127));
+			offset = Math.floor(offset / 128);
+		}
+		return result;
+	}
+	packDeltaSize(size) {
+		// Little-endian base-128
+		let result = [];
+		do {
+			let byte = size & 127;
+			size = Math.floor(size / 128);
+			result.push(size ? byte | 128 : byte);
+		} while(size);
+		return result;
+	}
+	hashBlock(data, offset) {
+		let hash = 0;
+		for(let i = 0; i < 16; i++) {
+			hash = (Math.imul(hash, 31) + data[offset + i]) | 0;
+		}
+		return hash;
+	}
+
+	// Builds delta that turns `base` into `target` (the format `applyDelta` reads).
+	// Base is indexed by 16-byte blocks; matches are extended in both directions.
+	makeDelta(base, target) {
+		let delta = this.concat(this.packDeltaSize(base.length), this.packDeltaSize(target.length));
+
+		let index = new Map();
+		for(let i = 0; i + 16 <= base.length; i += 16) {
+			let hash = this.hashBlock(base, i);
+			if(!index.has(hash)) {
+				index.set(hash, i);
+			}
+		}
+
+		let insert = [];
+		let flushInsert = () => {
+			for(let i = 0; i < insert.length; i += 127) {
+				let chunk = this.subArray(insert, i, 127);
+				delta.push(chunk.length);
+				this.appendArray(chunk, delta);
+			}
+			insert = [];
+		};
+
+		let pos = 0;
+		while(pos < target.length) {
+			let copyOffset = pos + 16 <= target.length ? index.get(this.hashBlock(target, pos)) : undefined;
+			let copyLength = 0;
+			if(copyOffset !== undefined) {
+				while(
+					pos + copyLength < target.length &&
+					copyOffset + copyLength < base.length &&
+					base[copyOffset + copyLength] == target[pos + copyLength]
+				) {
+					copyLength++;
+				}
+			}
+
+			if(copyLength < 16) {
+				insert.push(target[pos++]);
+				continue;
+			}
+
+			// Take back bytes that were queued for insertion but match base, too
+			while(insert.length && copyOffset > 0 && base[copyOffset - 1] == insert[insert.length - 1]) {
+				insert.pop();
+				copyOffset--;
+				copyLength++;
+				pos--;
+			}
+
+			flushInsert();
+			pos += copyLength;
+
+			while(copyLength) {
+				let length = Math.min(copyLength, 0x10000);
+				let opcode = 128;
+				let args = [];
+				for(let i = 0; i < 4; i++) {
+					let byte = Math.floor(copyOffset / Math.pow(2, i * 8)) & 0xFF;
+					if(byte) {
+						opcode |= 1 << i;
+						args.push(byte);
+					}
+				}
+				if(length != 0x10000) {
+					for(let i = 0; i < 3; i++) {
+						let byte = (length >> (i * 8)) & 0xFF;
+						if(byte) {
+							opcode |= 16 << i;
+							args.push(byte);
+						}
+					}
+				}
+				delta.push(opcode);
+				this.appendArray(args, delta);
+
+				copyOffset += length;
+				copyLength -= length;
+			}
+		}
+		flushInsert();
+
+		return delta;
+	}
+
+	// Chooses delta bases for `objects` (sorted like git does: by type, name
+	// and size) trying the previous few objects of the same type. Sets `base`
+	// and `delta` of objects that are stored as deltas.
+	findDeltas(objects, names) {
+		const WINDOW = 10;
+		const MAX_DEPTH = 50;
+		let typeOrder = ["commit", "tree", "blob", "tag"];
+
+		objects.sort((a, b) => {
+			if(a.type != b.type) {
+				return typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type);
+			}
+
+			let aName = names[a.id] || "";
+			let bName = names[b.id] || "";
+			if(aName != bName) {
+				return aName < bName ? -1 : 1;
+			}
+
+			return b.content.length - a.content.length;
+		});
+
+		objects.forEach((object, i) => {
+			object.depth = 0;
+			if(object.type == "commit" || object.content.length < 32) {
+				return;
+			}
+
+			for(let j = Math.max(0, i - WINDOW); j < i; j++) {
+				let base = objects[j];
+				if(base.type != object.type || base.depth >= MAX_DEPTH) {
+					continue;
+				}
+
+				let delta = this.makeDelta(base.content, object.content);
+				if(delta.length < object.content.length / 2 && (!object.delta || delta.length < object.delta.length)) {
+					object.base = base;
+					object.delta = delta;
+					object.depth = base.depth + 1;
+				}
+			}
+		});
+
+		return objects;
+	}
+
+	// Builds packfile (version 2) and its index (version 2) from objects
+	// like {type, content, id}
+	makePack(objects, names) {
+		objects = this.findDeltas(objects, names);
+
+		let chunks = [];
+		let offset = 12;
+		chunks.push(this.concat(this.stringToArray("PACK"), this.packInt32(2), this.packInt32(objects.length)));
+
+		objects.forEach(object => {
+			let entry;
+			if(object.base) {
+				entry = this.concat(
+					this.packObjectHeader(6, object.delta.length),
+					this.packDeltaOffset(offset - object.base.offset),
+					this.deflate(object.delta)
+				);
+			} else {
+				entry = this.concat(
+					this.packObjectHeader(["", "commit", "tree", "blob", "tag"].indexOf(object.type), object.content.length),
+					this.deflate(object.content)
+				);
+			}
+
+			object.offset = offset;
+			object.crc32 = Git.crc32(entry);
+			chunks.push(entry);
+			offset += entry.length;
+		});
+
+		let pack = new Uint8Array(offset + 20);
+		let pos = 0;
+		chunks.forEach(chunk => {
+			pack.set(chunk, pos);
+			pos += chunk.length;
+		});
+		let packSha = this.sha(pack.subarray(0, offset));
+		pack.set(this.packSha(packSha), offset);
+
+		return {
+			sha: packSha,
+			pack: pack,
+			index: this.makePackIndex(objects, packSha)
+		};
+	}
+
+	// Builds pack index (version 2) from objects like {id, offset, crc32}
+	makePackIndex(objects, packSha) {
+		let sorted = objects.slice().sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+		let fanout = [];
+		let count = 0;
+		for(let i = 0; i < 256; i++) {
+			while(count < sorted.length && parseInt(sorted[count].id.substr(0, 2), 16) <= i) {
+				count++;
+			}
+			this.appendArray(this.packInt32(count), fanout);
+		}
+
+		let sortedIds = [];
+		let crc32s = [];
+		let offsets = [];
+		let largeOffsets = [];
+		sorted.forEach(object => {
+			this.appendArray(this.packSha(object.id), sortedIds);
+			this.appendArray(this.packInt32(object.crc32), crc32s);
+
+			if(object.offset < 0x80000000) {
+				this.appendArray(this.packInt32(object.offset), offsets);
+			} else {
+				this.appendArray(this.packInt32((0x80000000 | (largeOffsets.length / 8)) >>> 0), offsets);
+				this.appendArray(this.packInt32(Math.floor(object.offset / 0x100000000)), largeOffsets);
+				this.appendArray(this.packInt32(object.offset >>> 0), largeOffsets);
+			}
+		});
+
+		let index = this.concat(
+			[0xFF, 0x74, 0x4F, 0x63], // \377tOc
+			this.packInt32(2),
+			fanout,
+			sortedIds,
+			crc32s,
+			offsets,
+			largeOffsets,
+			this.packSha(packSha)
+		);
+		return this.concat(index, this.packSha(this.sha(index)));
+	}
+
+	// Reads all objects of packfile, resolving deltas against other objects
+	// of the pack or, for thin packs, against objects of the repository.
+	// Returns objects like {type, content, id, offset, crc32}. Bases of thin
+	// packs are returned too, with `external` set and without offset.
+	readPackObjects(pack) {
+		if(this.arrayToString(this.subArray(pack, 0, 4)) != "PACK") {
+			return Promise.reject("Invalid packfile signature");
+		}
+		let version = this.unpackInt32(this.subArray(pack, 4, 4));
+		if(version != 2 && version != 3) {
+			return Promise.reject("Unsupported packfile version " + version);
+		}
+
+		let count = this.unpackInt32(this.subArray(pack, 8, 4));
+		let entries = [];
+		let offset = 12;
+		for(let i = 0; i < count; i++) {
+			let entry = {
+				offset: offset
+			};
+
+			let val = pack[offset++];
+			let msb = val & 128;
+			entry.type = (val >> 4) & 7;
+			while(msb) {
+				msb = pack[offset++] & 128;
+			}
+
+			if(entry.type == 6) {
+				// OFS delta
+				let val = pack[offset++];
+				let baseOffset = val & 127;
+				while(val & 128) {
+					val = pack[offset++];
+					baseOffset = ((baseOffset + 1) << 7) | (val & 127);
+				}
+				entry.baseOffset = entry.offset - baseOffset;
+			} else if(entry.type == 7) {
+				// REF delta
+				entry.baseId = this.unpackSha(this.subArray(pack, offset, 20));
+				offset += 20;
+			}
+
+			// Inflate only this entry and find where the next one starts
+			let inflator = new pako.Inflate();
+			inflator.push(pack.subarray(offset), true);
+			if(inflator.err) {
+				return Promise.reject("Corrupt packfile entry at " + entry.offset);
+			}
+			entry.data = inflator.result;
+			offset += inflator.strm.next_in;
+
+			entry.crc32 = Git.crc32(pack.subarray(entry.offset, offset));
+			entries.push(entry);
+		}
+
+		if(this.sha(pack.subarray(0, offset)) != this.unpackSha(this.subArray(pack, offset, 20))) {
+			return Promise.reject("Packfile checksum mismatch");
+		}
+
+		let byOffset = {};
+		let byId = {};
+		entries.forEach(entry => byOffset[entry.offset] = entry);
+
+		let resolve = entry => {
+			let base = entry.type == 6 ? byOffset[entry.baseOffset] : byId[entry.baseId];
+			if(!base || !base.content) {
+				return false;
+			}
+
+			// Skip base and result sizes
+			let curOffset = 0;
+			while(entry.data[curOffset++] & 128);
+			while(entry.data[curOffset++] & 128);
+
+			entry.objectType = base.objectType;
+			entry.content = this.applyDelta(base.content, this.subArray(entry.data, curOffset));
+			return true;
+		};
+		let resolveAll = () => {
+			let progress = true;
+			while(progress) {
+				progress = false;
+				entries.forEach(entry => {
+					if(entry.content) {
+						return;
+					}
+
+					if(entry.type <= 4) {
+						entry.objectType = ["", "commit", "tree", "blob", "tag"][entry.type];
+						entry.content = entry.data;
+					} else if(!resolve(entry)) {
+						return;
+					}
+
+					entry.id = this.sha(this.concat(this.stringToArray(entry.objectType + " " + entry.content.length), [0], entry.content));
+					byId[entry.id] = entry;
+					progress = true;
+				});
+			}
+
+			return entries.filter(entry => !entry.content);
+		};
+
+		// Thin packs refer to bases outside of the pack
+		let external = resolveAll()
+			.filter(entry => entry.type == 7 && !byId[entry.baseId])
+			.map(entry => entry.baseId)
+			.filter((id, i, arr) => arr.indexOf(id) == i);
+
+		return Promise.all(
+			external.map(id => {
+				return this.readObject(id)
+					.then(object => {
+						byId[id] = {
+							objectType: object.type,
+							content: object.content,
+							id: id,
+							external: true
+						};
+					}, () => {
+						return Promise.reject("Packfile refers to missing object " + id);
+					});
+			})
+		)
+			.then(() => {
+				if(resolveAll().length) {
+					return Promise.reject("Packfile has unresolvable deltas");
+				}
+
+				return entries.concat(external.map(id => byId[id])).map(entry => {
+					return {
+						type: entry.objectType,
+						content: entry.content,
+						id: entry.id,
+						offset: entry.offset,
+						crc32: entry.crc32,
+						external: entry.external
+					};
+				});
+			});
+	}
+
+	// Appends external delta bases of thin pack (see readPackObjects()) as
+	// whole objects, so that Git can read the pack, like `git index-pack
+	// --fix-thin`. Sets their offsets and returns the new pack.
+	fixThinPack(pack, objects) {
+		let chunks = [pack.subarray(0, pack.length - 20)];
+		let offset = pack.length - 20;
+
+		objects.filter(object => object.external).forEach(object => {
+			let entry = this.concat(
+				this.packObjectHeader(["", "commit", "tree", "blob", "tag"].indexOf(object.type), object.content.length),
+				this.deflate(object.content)
+			);
+
+			object.offset = offset;
+			object.crc32 = Git.crc32(entry);
+			chunks.push(entry);
+			offset += entry.length;
+		});
+
+		let result = new Uint8Array(offset + 20);
+		let pos = 0;
+		chunks.forEach(chunk => {
+			result.set(chunk, pos);
+			pos += chunk.length;
+		});
+		result.set(this.packInt32(objects.length), 8);
+		result.set(this.packSha(this.sha(result.subarray(0, offset))), offset);
+		return result;
+	}
+
+	// Collects all loose objects into a new packfile and removes the loose
+	// files. Resolves to the number of objects packed.
+	repack() {
+		let ids, objects;
+		return this.readDirectory("objects", true)
+			.then(files => {
+				ids = files
+					.filter(file => /^[0-9a-f]{2}\/[0-9a-f]{38}$/.test(file))
+					.map(file => file.replace("/", ""));
+
+				let packed = {};
+				this.packedIndex.forEach(object => packed[object.id] = true);
+
+				return Promise.all(
+					ids
+						.filter(id => !packed[id])
+						.map(id => this.readUnpackedObject(id))
+				);
+			})
+			.then(o => {
+				objects = o;
+				if(objects.length == 0) {
+					return;
+				}
+
+				// Name hints from trees help to find good delta bases
+				let names = {};
+				objects
+					.filter(object => object.type == "tree")
+					.forEach(tree => {
+						this.parseTree(tree).forEach(item => names[item.id] = item.name);
+					});
+
+				let pack = this.makePack(objects, names);
+				let path = "objects/pack/pack-" + pack.sha;
+
+				return this.writeFile(path + ".pack", pack.pack)
+					.then(() => this.writeFile(path + ".idx", pack.index))
+					.then(() => this.loadPackedIndex(path + ".idx"));
+			})
+			.then(() => {
+				return Promise.all(
+					ids.map(id => {
+						return this.zeroFS.deleteFile(this.root + "/objects/" + id.substr(0, 2) + "/" + id.substr(2));
+					})
+				);
+			})
+			.then(() => objects.length);
+	}
+
+	// Bundles
+	parseBundle(data) {
+		// Header is "# v2 git bundle" or "# v3 git bundle", v3 capabilities
+		// like "@object-format=sha1", prerequisites "-<id> <comment>" and
+		// refs "<id> <name>", ended by an empty line. Packfile follows.
+		let lines = [];
+		let offset = 0;
+		while(true) {
+			let end = data.indexOf(10, offset);
+			if(end == -1) {
+				return Promise.reject("Invalid bundle header");
+			}
+
+			let line = this.decodeUTF8(this.subArray(data, offset, end - offset));
+			offset = end + 1;
+			if(line == "") {
+				break;
+			}
+			lines.push(line);
+		}
+
+		let version = lines.shift();
+		if(version != "# v2 git bundle" && version != "# v3 git bundle") {
+			return Promise.reject("Not a Git bundle or unsupported bundle version");
+		}
+
+		let bundle = {
+			prerequisites: [],
+			refs: [],
+			pack: data.subarray(offset)
+		};
+
+		for(let line of lines) {
+			if(line[0] == "@") {
+				let capability = line.substr(1);
+				if(capability.indexOf("filter=") == 0) {
+					return Promise.reject("Filtered bundles are not supported");
+				} else if(capability.indexOf("object-format=") == 0 && capability != "object-format=sha1") {
+					return Promise.reject("Only SHA-1 bundles are supported");
+				}
+			} else if(line[0] == "-") {
+				bundle.prerequisites.push(line.substr(1, 40));
+			} else {
+				bundle.refs.push({
+					id: line.substr(0, 40),
+					name: line.substr(41)
+				});
+			}
+		}
+
+		return Promise.resolve(bundle);
+	}
+
+	// Imports objects and refs from Git bundle. Its packfile is stored as is,
+	// with a new index. Resolves to the list of imported refs.
+	importBundle(data) {
+		let bundle, packSha;
+		return this.parseBundle(data)
+			.then(b => {
+				bundle = b;
+
+				return Promise.all(
+					bundle.prerequisites.map(id => {
+						return this.readObject(id)
+							.catch(() => Promise.reject("Bundle requires commit " + id + " which is not in the repository"));
+					})
+				);
+			})
+			.then(() => this.readPackObjects(bundle.pack))
+			.then(objects => {
+				if(objects.length == 0) {
+					return;
+				}
+
+				let pack = bundle.pack;
+				if(objects.some(object => object.external)) {
+					pack = this.fixThinPack(pack, objects);
+				}
+
+				packSha = this.unpackSha(this.subArray(pack, pack.length - 20, 20));
+				let path = "objects/pack/pack-" + packSha;
+
+				return this.writeFile(path + ".pack", pack)
+					.then(() => this.writeFile(path + ".idx", this.makePackIndex(objects, packSha)))
+					.then(() => this.loadPackedIndex(path + ".idx"));
+			})
+			.then(() => {
+				return Promise.all(
+					bundle.refs
+						.filter(ref => ref.name.indexOf("refs/") == 0)
+						.map(ref => this.setRef(ref.name, ref.id))
+				);
+			})
+			.then(() => this.getHead())
+			.then(head => {
+				// Point HEAD to a bundled branch if the current one isn't there
+				let branches = bundle.refs.filter(ref => ref.name.indexOf("refs/heads/") == 0);
+				if(branches.length == 0 || branches.some(ref => ref.name == "refs/heads/" + head)) {
+					return;
+				}
+
+				let bundleHead = bundle.refs.find(ref => ref.name == "HEAD");
+				let branch = (bundleHead && branches.find(ref => ref.id == bundleHead.id)) || branches[0];
+				return this.writeFile("HEAD", this.stringToArray("ref: " + branch.name));
+			})
+			.then(() => bundle.refs.map(ref => ref.name));
+	}
+
+	// Builds Git bundle (version 2) of `refs` and all objects they reach
+	makeBundle(refs) {
+		let ids;
+		return Promise.all(refs.map(ref => this.getRef(ref)))
+			.then(i => {
+				ids = i;
+				return this.collectObjects(ids);
+			})
+			.then(({objects, names}) => {
+				let header = "# v2 git bundle\n" + refs.map((ref, i) => ids[i] + " " + ref + "\n").join("") + "\n";
+				let pack = this.makePack(objects, names).pack;
+
+				let bundle = new Uint8Array(this.encodeUTF8(header).length + pack.length);
+				bundle.set(this.encodeUTF8(header), 0);
+				bundle.set(pack, bundle.length - pack.length);
+				return bundle;
+			});
+	}
+
+	// Returns objects reachable from `ids` and their names in trees, which are
+	// used as delta hints (see makePack())
+	collectObjects(ids) {
+		let seen = {};
+		let objects = [];
+		let names = {};
+
+		let visit = id => {
+			if(seen[id]) {
+				return Promise.resolve();
+			}
+			seen[id] = true;
+
+			return this.readObject(id)
+				.then(object => {
+					objects.push({
+						type: object.type,
+						content: object.content,
+						id: id
+					});
+
+					if(object.type == "commit") {
+						let commit = this.parseCommit(object);
+						return Promise.all([commit.tree].concat(commit.parents).map(visit));
+					} else if(object.type == "tree") {
+						let items = this.parseTree(object).filter(item => item.type != "submodule");
+						items.forEach(item => names[item.id] = item.name);
+						return Promise.all(items.map(item => visit(item.id)));
+					} else if(object.type == "tag") {
+						return visit(this.parseTag(object).target);
+					}
+				});
+		};
+
+		return Promise.all(ids.map(visit))
+			.then(() => {
+				return {
+					objects: objects,
+					names: names
+				};
+			});
+	}
+
 	// Refs commands
 	getRef(ref) {
 		return this.readFile(ref)
@@ -869,7 +1623,11 @@ class Git {
 						// Add blob
 						base.push(change);
 					} else {
-						// Change type to blob or change blob
+						// Change type to blob or change blob. Changed blobs
+						// keep their mode (e.g. executable) unless it's given.
+						if(base[treeItemIndex].type == "blob" && !change.mode) {
+							change.mode = base[treeItemIndex].mode;
+						}
 						base[treeItemIndex] = change;
 					}
 				} else if(change.type == "tree") {
@@ -897,7 +1655,8 @@ class Git {
 			})
 		);
 
-		return promise.then(() => base);
+		// Drop directories that became empty, Git doesn't store them
+		return promise.then(() => base.filter(item => !(item.type == "tree" && !item.id && item.content.length == 0)));
 	}
 	makeTreeDeltaPath(base, changes) {
 		// changes:
@@ -934,6 +1693,8 @@ class Git {
 			currentTree.type = change.type;
 			currentTree.content = change.content;
 			currentTree.remove = change.remove;
+			currentTree.mode = change.mode;
+			currentTree.id = change.id;
 		});
 
 		return this.makeTreeDelta(base, tree.content);
@@ -1002,6 +1763,35 @@ class Git {
 	}
 };
 
+// Armor headers that start commit and tag signatures, as recognized by git's
+// gpg-interface
+Git.signatureFormats = [
+	{format: "openpgp", begin: "-----BEGIN PGP SIGNATURE-----"},
+	{format: "openpgp", begin: "-----BEGIN PGP MESSAGE-----"},
+	{format: "x509", begin: "-----BEGIN SIGNED MESSAGE-----"},
+	{format: "ssh", begin: "-----BEGIN SSH SIGNATURE-----"}
+];
+
+// Returns CRC-32 checksum of `data`, as used in pack indexes and ZIP files
+Git.crc32 = data => {
+	if(!Git.crc32Table) {
+		Git.crc32Table = [];
+		for(let i = 0; i < 256; i++) {
+			let crc = i;
+			for(let j = 0; j < 8; j++) {
+				crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+			}
+			Git.crc32Table.push(crc >>> 0);
+		}
+	}
+
+	let crc = 0xFFFFFFFF;
+	for(let i = 0; i < data.length; i++) {
+		crc = Git.crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
 Git.init = (root, zeroPage, name, email) => {
 	let zeroFS = new ZeroFS(zeroPage);
 
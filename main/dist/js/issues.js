@@ -646,7 +646,8 @@ class RepositoryIssues {
 	}
 
 	/******************************** Pull requests *******************************/
-	addPullRequest(title, content, forkAddress, forkBranch, tags) {
+	// `targetBranch` is the branch to merge into, the default branch if empty
+	addPullRequest(title, content, forkAddress, forkBranch, tags, targetBranch) {
 		return this.addObject("pull_request", {
 			title: title,
 			body: content,
@@ -654,6 +655,7 @@ class RepositoryIssues {
 			merged: 0,
 			fork_address: forkAddress,
 			fork_branch: forkBranch,
+			target_branch: targetBranch || "",
 			tags: tags.join(",")
 		});
 	}
@@ -696,22 +698,29 @@ class RepositoryIssues {
 			param: merged ? "close" : "reopen"
 		});
 	}
-	importPullRequest(pullRequest) {
+	// Returns address of the repository pull request comes from
+	getForkAddress(pullRequest) {
 		let forkAddress = pullRequest.fork_address;
 		if(
 			forkAddress.indexOf("1GitLiXB6t5r8vuU2zC6a8GYj9ME6HMQ4t") > -1 ||
 			forkAddress.indexOf("gitcenter.bit") > -1
 		) {
 			// http://127.0.0.1:43110/1GitLiXB6t5r8vuU2zC6a8GYj9ME6HMQ4t/repo/?address
-			forkAddress = forkAddress.match(/repo\/\?(.*)/)[1];
+			return forkAddress.match(/repo\/\?(.*)/)[1];
 		} else {
 			// http://127.0.0.1:43110/address
 			// or
 			// address
-			forkAddress = forkAddress.match(/1[A-Za-z0-9]{25,34}/)[0];
+			return forkAddress.match(/1[A-Za-z0-9]{25,34}/)[0];
 		}
-
-		let other = new Repository(forkAddress, this.zeroPage);
+	}
+	// Returns branch the pull request is merged into: the recorded target
+	// branch, or the default branch for pull requests without one
+	getPullRequestTarget(pullRequest) {
+		return pullRequest.target_branch ? Promise.resolve(pullRequest.target_branch) : this.repo.vcs.getHead();
+	}
+	importPullRequest(pullRequest) {
+		let other = new Repository(this.getForkAddress(pullRequest), this.zeroPage);
 
 		let ref;
 		return other.addMerger()
@@ -720,10 +729,29 @@ class RepositoryIssues {
 			})
 			.then(r => {
 				ref = r;
-				return this.git.importObjectWithDependencies(other.git, ref);
+				return this.repo.git.importObjectWithDependencies(other.git, ref);
 			})
 			.then(() => {
-				return this.git.setRef("refs/heads/pr-" + pullRequest.id + "-" + pullRequest.cert_user_id.replace(/@.*/, ""), ref);
+				return this.repo.git.setRef("refs/heads/pr-" + pullRequest.id + "-" + pullRequest.cert_user_id.replace(/@.*/, ""), ref);
+			})
+			.then(() => ref);
+	}
+	// Imports pull request and merges it into its target branch, see merge()
+	// in repo.js for the result and `options`. The result also has the merged
+	// branch as `base`.
+	mergePullRequest(pullRequest, options) {
+		let ref;
+		return this.importPullRequest(pullRequest)
+			.then(r => {
+				ref = r;
+				return this.getPullRequestTarget(pullRequest);
+			})
+			.then(base => {
+				let user = pullRequest.cert_user_id.replace(/@.*/, "");
+				let message = "Merge pull request #" + pullRequest.id + " from " + user + "/" + pullRequest.fork_branch;
+				options = Object.assign({theirsName: user + "/" + pullRequest.fork_branch}, options);
+				return this.repo.merge(base, ref, message, options)
+					.then(result => Object.assign(result, {base: base}));
 			});
 	}
 };
\ No newline at end of file
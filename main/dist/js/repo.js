@@ -114,6 +114,7 @@ class Repository {
 		this.zeroDB = new ZeroDB(zeroPage);
 		this.zeroID = new ZeroID(zeroPage);
 		this.issues = new RepositoryIssues(this);
+		this.diffSettings = Object.assign({}, Repository.defaultDiffSettings);
 	}
 
 	// Checks whether file `path` of repository can be signed by current user.
@@ -169,6 +170,45 @@ class Repository {
 			});
 	}
 
+	// Returns diff view settings of current user, see
+	// Repository.defaultDiffSettings. They are used for further diffs.
+	getDiffSettings() {
+		let authAddress;
+		return this.zeroPage.getSiteInfo()
+			.then(siteInfo => {
+				authAddress = siteInfo.auth_address;
+				return this.zeroPage.cmd("wrapperGetLocalStorage");
+			})
+			.then(storage => {
+				let settings = storage && storage.diffSettings && storage.diffSettings[authAddress];
+
+				this.diffSettings = Object.assign({}, Repository.defaultDiffSettings, settings);
+				return this.diffSettings;
+			});
+	}
+	// Saves diff view settings of current user
+	setDiffSettings(settings) {
+		let authAddress;
+		return this.zeroPage.getSiteInfo()
+			.then(siteInfo => {
+				authAddress = siteInfo.auth_address;
+				return this.zeroPage.cmd("wrapperGetLocalStorage");
+			})
+			.then(storage => {
+				if(!storage) {
+					storage = {};
+				}
+				if(!storage.diffSettings) {
+					storage.diffSettings = {};
+				}
+
+				this.diffSettings = Object.assign({}, Repository.defaultDiffSettings, settings);
+				storage.diffSettings[authAddress] = this.diffSettings;
+
+				return this.zeroPage.cmd("wrapperSetLocalStorage", storage);
+			});
+	}
+
 	/***************************** Permission actions *****************************/
 
 	// Tries to add current site as merged site. Also adds index as merged, ZeroID
@@ -199,21 +239,7 @@ class Repository {
 			})
 			.then(c => {
 				content = c;
-				if(content.git) {
-					this.git = new Git("merged-GitCenter/" + this.address + "/" + content.git, zeroPage);
-					this.hg = null;
-					this.vcs = this.git;
-					return this.git.init();
-				} else if(content.hg) {
-					this.git = null;
-					this.hg = new Hg("merged-GitCenter/" + this.address + "/" + content.hg, zeroPage);
-					this.vcs = this.hg;
-					return this.hg.init();
-				} else {
-					this.git = null;
-					this.hg = null;
-					this.vcs = null;
-				}
+				return this.initVcs(content);
 			})
 			.then(() => {
 				return this.updateFollow();
@@ -241,6 +267,26 @@ class Repository {
 			});
 	}
 
+	// Opens Git or Mercurial repository described by content.json `content`
+	initVcs(content) {
+		if(content.git) {
+			this.git = new Git("merged-GitCenter/" + this.address + "/" + content.git, this.zeroPage);
+			this.hg = null;
+			this.vcs = this.git;
+			return this.git.init();
+		} else if(content.hg) {
+			this.git = null;
+			this.hg = new Hg("merged-GitCenter/" + this.address + "/" + content.hg, this.zeroPage);
+			this.vcs = this.hg;
+			return this.hg.init();
+		} else {
+			this.git = null;
+			this.hg = null;
+			this.vcs = null;
+			return Promise.resolve();
+		}
+	}
+
 	// Add site `address` as merged site and wait for any file to download.
 	addMergedSite(address) {
 		return this.zeroPage.cmd("mergerSiteList")
@@ -433,6 +479,48 @@ class Repository {
 			.then(() => this.signContent("site"));
 	}
 
+	// Packs loose Git objects into a single packfile. Resolves to the number of
+	// objects packed.
+	repack() {
+		let count;
+		return this.git.repack()
+			.then(c => {
+				count = c;
+				if(count) {
+					return this.signContent("site");
+				}
+			})
+			.then(() => count);
+	}
+
+	// Imports objects and refs from Git bundle file content. Resolves to the
+	// list of imported refs.
+	importBundle(data) {
+		if(!this.git) {
+			return Promise.reject("Bundles are only supported in Git repositories");
+		}
+
+		let refs;
+		return this.git.importBundle(data)
+			.then(r => {
+				refs = r;
+				return this.signContent("site");
+			})
+			.then(() => refs);
+	}
+
+	// Downloads Git bundle of `refs`, e.g. ["refs/heads/master"]
+	downloadBundle(refs) {
+		if(!this.git) {
+			return Promise.reject("Bundles are only supported in Git repositories");
+		}
+
+		return Promise.all([this.getContent(), this.git.makeBundle(refs)])
+			.then(([content, bundle]) => {
+				this.download(content.title.replace(/[\/\\:*?"<>| ]/g, "-") + ".bundle", bundle);
+			});
+	}
+
 	// Sets up new repository (not fork). Sets title, description, signers.
 	install(title, description, address, type) {
 		if(type == "git") {
@@ -557,12 +645,12 @@ class Repository {
 
 	/********************************* Git actions ********************************/
 
-	// Returns list of files in directory
+	// Returns list of files in directory. Directories of submodules that are
+	// Git Center repositories are listed at their pinned commit.
 	getFiles(branch, dir) {
 		return this.vcs.readBranchCommit(branch)
-			.then(commit => {
-				return this.getTree(commit.content.tree, dir);
-			});
+			.then(commit => this.resolveSubmodulePath(commit.content.tree, dir))
+			.then(({repo, tree, path}) => repo.getTree(tree, path));
 	}
 
 	// Returns list of files in directory and submodules
@@ -601,18 +689,101 @@ class Repository {
 			});
 	}
 
-	// Returns file content
+	// Returns file content, also from inside submodules (see getFiles()). LFS
+	// pointers are resolved to the real content.
 	getFile(branch, path) {
 		return this.vcs.readBranchCommit(branch)
-			.then(commit => {
-				return this.vcs.readTreeItem(commit.content.tree, path);
-			})
-			.then(blob => {
-				if(blob.type != "blob") {
-					return Promise.reject("File content must be a blob");
+			.then(commit => this.resolveSubmodulePath(commit.content.tree, path))
+			.then(resolved => {
+				return resolved.repo.vcs.readTreeItem(resolved.tree, resolved.path)
+					.then(blob => {
+						if(blob.type != "blob") {
+							return Promise.reject("File content must be a blob");
+						}
+
+						return resolved.repo.resolveLfsPointer(blob.content);
+					});
+			});
+	}
+
+	// Finds the repository and tree that contain `path` of `tree`, entering
+	// submodules that are Git Center repositories. Resolves to
+	// `{repo, tree, path}`, where `path` is relative to `tree`.
+	resolveSubmodulePath(tree, path) {
+		let parts = path.split("/").filter(part => part.length);
+		let notFound = {
+			repo: this,
+			tree: tree,
+			path: path
+		};
+
+		if(!this.git) {
+			return Promise.resolve(notFound);
+		}
+
+		let walk = (current, i) => {
+			if(i >= parts.length) {
+				return notFound;
+			}
+
+			return this.git.readUnknownObject(current)
+				.then(object => {
+					let item = object.type == "tree" && object.content.find(item => item.name == parts[i]);
+					if(!item) {
+						return notFound;
+					} else if(item.type != "submodule") {
+						return walk(item.id, i + 1);
+					}
+
+					let subPath = parts.slice(0, i + 1).join("/");
+					return this.git.getSubmodules(tree)
+						.then(submodules => {
+							let submodule = submodules.find(submodule => submodule.path == subPath);
+							if(!submodule || !this.getSubmoduleAddress(submodule)) {
+								return notFound;
+							}
+
+							let sub;
+							return this.getSubmoduleRepository(submodule)
+								.then(s => {
+									sub = s;
+									return sub.vcs.readBranchCommit(item.id)
+										.catch(() => {
+											return Promise.reject("Commit " + item.id + " of submodule " + subPath + " is not in repository " + sub.address);
+										});
+								})
+								.then(commit => sub.resolveSubmodulePath(commit.content.tree, parts.slice(i + 1).join("/")));
+						});
+				});
+		};
+
+		return walk(tree, 0);
+	}
+
+	// Returns address of submodule if it is a Git Center repository
+	getSubmoduleAddress(submodule) {
+		let url = submodule.url.match(/(1[A-Za-z0-9]{25,34})/);
+		return url ? url[1] : null;
+	}
+
+	// Returns Repository of submodule that is a Git Center repository, adding
+	// the site as merged site on demand
+	getSubmoduleRepository(submodule) {
+		let address = this.getSubmoduleAddress(submodule);
+		if(!address) {
+			return Promise.reject("Submodule " + submodule.path + " is not a Git Center repository");
+		}
+
+		let repo = new Repository(address, this.zeroPage);
+		return this.addMergedSite(address)
+			.then(() => repo.getContent())
+			.then(content => repo.initVcs(content))
+			.then(() => {
+				if(!repo.vcs) {
+					return Promise.reject("Submodule " + submodule.path + " repository " + address + " is not installed");
 				}
 
-				return blob.content;
+				return repo;
 			});
 	}
 
@@ -630,7 +801,18 @@ class Repository {
 
 	// Changes file content. Commits with message `message` on branch `base`
 	saveFile(path, content, base, message) {
-		let auth, author, commitDate, commit, parent;
+		return this.commitChanges(base, message, [
+			{
+				path: path,
+				type: "blob",
+				content: content
+			}
+		]);
+	}
+
+	// Returns author line for new commits, and commit date for Mercurial
+	getCommitAuthor() {
+		let auth;
 		return this.zeroAuth.requestAuth()
 			.then(a => {
 				auth = a;
@@ -646,17 +828,35 @@ class Repository {
 				let minutes = Math.abs((tz + 60) % 60);
 				tz = (tz > 0 ? "+" : "-") + (hours < 10 ? "0" : "") + hours + (minutes < 10 ? "0" : "") + minutes;
 
+				let author = profile.commitName || auth.user[0].toUpperCase() + auth.user.substr(1).replace(/@.*/, "");
+				author += " <" + (profile.commitEmail || auth.user) + ">";
+
 				if(this.git) {
-					author = profile.commitName || auth.user[0].toUpperCase() + auth.user.substr(1).replace(/@.*/, "");
-					author += " <" + (profile.commitEmail || auth.user) + ">";
 					author += " " + Math.floor(+date / 1000);
 					author += " " + tz;
-					date = null;
+					return {author: author, date: null};
 				} else if(this.hg) {
-					author = profile.commitName || auth.user[0].toUpperCase() + auth.user.substr(1).replace(/@.*/, "");
-					author += " <" + (profile.commitEmail || auth.user) + ">";
-					commitDate = Math.floor(+date / 1000);
+					return {author: author, date: Math.floor(+date / 1000)};
 				}
+			});
+	}
+
+	// Commits `changes` (see makeTreeDeltaPath() in git.js) on top of branch
+	// `base` and moves the branch to the new commit. `originalAuthor` is kept
+	// as author instead of the current user if given, in getCommitAuthor()
+	// format. Content above LFS threshold is committed as LFS pointers. Git
+	// commits are signed with signCommit().
+	commitChanges(base, message, changes, originalAuthor) {
+		let author, committer, commitDate, commit, parent;
+		return this.storeLfsChanges(base, changes)
+			.then(c => {
+				changes = c;
+				return this.getCommitAuthor();
+			})
+			.then(a => {
+				committer = a.author;
+				author = originalAuthor ? originalAuthor.author : a.author;
+				commitDate = originalAuthor ? originalAuthor.date : a.date;
 
 				return this.vcs.getBranchCommit(base);
 			})
@@ -669,30 +869,31 @@ class Repository {
 			})
 			.then(base => {
 				if(this.git) {
-					return this.git.makeTreeDeltaPath(base.content, [
-						{
-							path: path,
-							type: "blob",
-							content: content
-						}
-					])
-						.then(delta => {
-							return this.git.writeCommit({
-								tree: delta,
+					return this.git.makeTreeDeltaPath(base.content, changes)
+						.then(delta => this.git.writeTreeRecursive(delta))
+						.then(tree => {
+							return this.signCommit({
+								tree: tree,
 								parents: [parent],
 								author: author,
-								committer: author,
+								committer: committer,
 								message: message
 							});
-						});
+						})
+						.then(commit => this.git.writePlainCommit(commit));
 				} else if(this.hg) {
+					let error = this.getUnsupportedChangesError(changes);
+					if(error) {
+						return Promise.reject(error);
+					}
+
 					return this.hg.writeCommit({
-						changes: [
-							{
-								name: path,
-								content: content
-							}
-						],
+						changes: changes.map(change => {
+							return {
+								name: change.path,
+								content: change.content
+							};
+						}),
 						parents: [parent],
 						author: author,
 						date: commitDate,
@@ -709,17 +910,65 @@ class Repository {
 			.then(() => commit);
 	}
 
-	// Uploads file (see `base` and `message` on saveFile())
-	uploadFile(path, base, message) {
-		return new Promise((resolve, reject) => {
+	// Returns why `changes` can't be committed by commitChanges(), or null
+	getUnsupportedChangesError(changes) {
+		if(this.hg && changes.some(change => change.remove || change.mode || change.id)) {
+			return "Only adding and changing files is supported in Mercurial repositories";
+		}
+		return null;
+	}
+
+	// Adds `zeronetsig` header to Git commit (see formatCommit() in git.js).
+	// The header holds the current user's auth address, their ZeroID
+	// certificate from data/users/<address>/content.json and an ecdsaSign
+	// signature, made with the key that signs their data.json, of the commit
+	// without the header:
+	//
+	//     zeronetsig address <auth address>
+	//      cert <auth type> <cert_user_id> <cert_sign>
+	//      signature <signature>
+	//
+	// Commits are left unsigned if ZeroNet can't sign (no CryptMessage plugin).
+	signCommit(commit) {
+		let auth;
+		return this.zeroAuth.requestAuth()
+			.then(a => {
+				auth = a;
+
+				return Promise.all([
+					this.zeroPage.cmd("ecdsaSign", [this.git.formatCommit(commit)]),
+					this.zeroFS.readFile("data/users/" + auth.address + "/content.json")
+						.then(content => JSON.parse(content), () => ({}))
+				]);
+			})
+			.then(([signature, content]) => {
+				if(typeof signature != "string") {
+					return commit;
+				}
+
+				let lines = ["address " + auth.address];
+				if(content.cert_sign) {
+					lines.push("cert " + content.cert_auth_type + " " + content.cert_user_id + " " + content.cert_sign);
+				}
+				lines.push("signature " + signature);
+
+				return Object.assign({}, commit, {
+					headers: [{name: "zeronetsig", value: lines.join("\n")}]
+				});
+			}, () => commit);
+	}
+
+	// Asks user to choose a file and returns its content
+	pickFile() {
+		return new Promise(resolve => {
 			let input = document.createElement("input");
 			input.type = "file";
 			input.style.opacity = "0";
 			input.onchange = () => {
 				let fileReader = new FileReader();
 				fileReader.onload = () => {
-					let content = new Uint8Array(fileReader.result);
-					resolve(this.saveFile(path, content, base, message));
+					document.body.removeChild(input);
+					resolve(new Uint8Array(fileReader.result));
 				};
 				fileReader.readAsArrayBuffer(input.files[0]);
 			};
@@ -728,104 +977,578 @@ class Repository {
 		});
 	}
 
-	// Returns diff between commit and its parent (on merge commits uses 1st parent)
-	diff(branch) {
-		let commit;
-		return this.vcs.readBranchCommit(branch)
-			.then(c => {
-				commit = c;
+	// Uploads file (see `base` and `message` on saveFile())
+	uploadFile(path, base, message) {
+		return this.pickFile()
+			.then(content => this.saveFile(path, content, base, message));
+	}
 
-				// Compare root commit to empty tree
-				if(commit.content.parents.length == 0) {
-					return {
-						content: {
-							tree: "4b825dc642cb6eb9a060e54bf8d69288fbee4904" // Empty tree
+	/************************************ LFS *************************************/
+
+	// Blobs larger than the LFS threshold are committed as Git LFS pointer
+	// files. The real content is stored as ZeroNet optional file at
+	// lfs/objects/<oid[0:2]>/<oid[2:4]>/<oid> of the Git directory, the same
+	// place git-lfs uses, so it is only downloaded by peers that view it.
+
+	// Returns LFS threshold in bytes, 0 if large files are committed as is
+	getLfsThreshold() {
+		return this.getContent()
+			.then(content => {
+				return typeof content.lfs_threshold == "number" ? content.lfs_threshold : Repository.defaultLfsThreshold;
+			});
+	}
+
+	// Changes LFS threshold
+	changeLfsThreshold(threshold) {
+		return this.getContent()
+			.then(content => {
+				content.lfs_threshold = threshold;
+				return this.setContent(content);
+			})
+			.then(() => this.signContent("site"));
+	}
+
+	// Replaces content larger than LFS threshold in `changes` (see
+	// makeTreeDeltaPath() in git.js) with LFS pointers and stores the content
+	// as optional files. The pointers are tracked in .gitattributes, so that
+	// git-lfs checks them out.
+	storeLfsChanges(base, changes) {
+		if(!this.git) {
+			return Promise.resolve(changes);
+		}
+
+		let stored = [];
+		return this.getLfsThreshold()
+			.then(threshold => {
+				return Promise.all(
+					changes.map(change => {
+						if(
+							!threshold ||
+							change.content === undefined ||
+							change.mode == "120000" ||
+							change.content.length <= threshold
+						) {
+							return change;
 						}
-					};
+
+						stored.push(change.path);
+						return this.storeLfsObject(change.content)
+							.then(pointer => Object.assign({}, change, {content: pointer}));
+					})
+				);
+			})
+			.then(c => {
+				changes = c;
+				if(stored.length) {
+					return this.addLfsOptional()
+						.then(() => this.addLfsAttributes(base, changes, stored))
+						.then(c => changes = c);
 				}
-				return this.vcs.readBranchCommit(commit.content.parents[0]);
 			})
-			.then(base => {
-				return this.diffTree({
-					tree: commit.content.tree,
-					base: base.content.tree,
-					root: ""
-				});
+			.then(() => changes);
+	}
+
+	// Returns `changes` with .gitattributes of `base` branch, or the one being
+	// committed, extended to mark `paths` as LFS files
+	addLfsAttributes(base, changes, paths) {
+		let change = changes.find(change => change.path == ".gitattributes");
+
+		return (change ? Promise.resolve(change.remove ? [] : change.content) : this.vcs.readBranchCommit(base)
+			.then(commit => this.readTreeBlob(commit.content.tree, ".gitattributes"))
+			.then(blob => blob ? blob.content : []))
+			.then(content => {
+				let attributes = this.vcs.decodeUTF8(content);
+				let lines = attributes.split("\n");
+
+				let added = paths
+					// Like `git lfs track`, escape glob characters and whitespace
+					.map(path => path.replace(/[\\*?[]/g, "\\$&").replace(/\s/g, "[[:space:]]"))
+					.filter(pattern => {
+						return !lines.some(line => {
+							let fields = line.trim().split(/\s+/);
+							return fields[0] == pattern && fields.indexOf("filter=lfs") > -1;
+						});
+					})
+					.map(pattern => pattern + " filter=lfs diff=lfs merge=lfs -text\n");
+				if(added.length == 0) {
+					return changes;
+				}
+
+				if(attributes && !attributes.endsWith("\n")) {
+					attributes += "\n";
+				}
+
+				return changes
+					.filter(item => item.path != ".gitattributes")
+					.concat({
+						path: ".gitattributes",
+						type: "blob",
+						content: new Uint8Array(this.vcs.encodeUTF8(attributes + added.join("")))
+					});
+			});
+	}
+
+	// Stores `content` as LFS object and returns its pointer file content
+	storeLfsObject(content) {
+		let oid;
+		return this.sha256(content)
+			.then(o => {
+				oid = o;
+				return this.vcs.writeFile(this.getLfsObjectPath(oid), content);
 			})
-			.then(diff => {
-				return Promise.all(
-					diff.map(item => {
-						if(item.type == "blob") {
-							// Diff all blobs
+			.then(() => {
+				return new Uint8Array(this.vcs.encodeUTF8(
+					"version " + Repository.lfsVersion + "\n" +
+					"oid sha256:" + oid + "\n" +
+					"size " + content.length + "\n"
+				));
+			});
+	}
 
-							let promise;
-							if(item.action == "modified") {
-								promise = this.diffBlob(item.id, item.baseId, item.name);
-							} else if(item.action == "add") {
-								promise = this.diffBlob(item.id, null, item.name);
-							} else if(item.action == "remove") {
-								promise = this.diffBlob(null, item.id, item.name);
-							}
+	// Marks LFS objects as optional files in content.json
+	addLfsOptional() {
+		return this.getContent()
+			.then(content => {
+				let pattern = (content.git || content.hg).replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "/lfs/.*";
+				if(content.optional == pattern || (content.optional || "").split("|").indexOf(pattern) > -1) {
+					return;
+				}
 
-							return promise
-								.then(diffBlob => {
-									item.content = diffBlob;
-									return item;
-								});
-						} else if(item.type == "submodule") {
-							// Diff all submodules
+				content.optional = content.optional ? content.optional + "|" + pattern : pattern;
+				return this.setContent(content);
+			});
+	}
 
-							if(item.action == "modified") {
-								item.content = this.diffSubmodule(item.id, item.baseId, item.name);
-							} else if(item.action == "add") {
-								item.content = this.diffSubmodule(item.id, null, item.name);
-							} else if(item.action == "remove") {
-								item.content = this.diffSubmodule(null, item.id, item.name);
-							}
+	// Returns LFS object path relative to Git directory
+	getLfsObjectPath(oid) {
+		return "lfs/objects/" + oid.substr(0, 2) + "/" + oid.substr(2, 2) + "/" + oid;
+	}
 
-							return Promise.resolve(item);
-						} else {
-							return item;
+	// Returns `{oid, size}` if `content` is LFS pointer file, null otherwise
+	parseLfsPointer(content) {
+		if(content.length >= 1024) {
+			return null;
+		}
+
+		// Check the raw bytes first: most small files aren't pointers, and many
+		// aren't even UTF-8. Pointers are plain ASCII.
+		let header = "version " + Repository.lfsVersion + "\n";
+		for(let i = 0; i < header.length; i++) {
+			if(content[i] !== header.charCodeAt(i)) {
+				return null;
+			}
+		}
+
+		let lines = this.vcs.arrayToString(content).split("\n");
+		let pointer = {};
+		lines.slice(1).forEach(line => {
+			let space = line.indexOf(" ");
+			if(space > -1) {
+				pointer[line.substr(0, space)] = line.substr(space + 1);
+			}
+		});
+
+		if(!/^sha256:[0-9a-f]{64}$/.test(pointer.oid) || !/^\d+$/.test(pointer.size)) {
+			return null;
+		}
+
+		return {
+			oid: pointer.oid.substr(7),
+			size: parseInt(pointer.size)
+		};
+	}
+
+	// Returns real content if `content` is LFS pointer file, `content` itself
+	// otherwise
+	resolveLfsPointer(content) {
+		let pointer = this.git ? this.parseLfsPointer(content) : null;
+		if(!pointer) {
+			return Promise.resolve(content);
+		}
+
+		return this.vcs.readFile(this.getLfsObjectPath(pointer.oid))
+			.catch(() => {
+				return Promise.reject("Large file " + pointer.oid + " is not available");
+			})
+			.then(object => {
+				return this.sha256(object)
+					.then(oid => {
+						if(oid != pointer.oid || object.length != pointer.size) {
+							return Promise.reject("Large file " + pointer.oid + " is corrupted");
 						}
-					})
-				);
+
+						return object;
+					});
 			});
 	}
 
-	// Diff tree against `base`. `root` is current path (empty string usually)
-	diffTree(args) {
-		return Promise.all(
-			[
-				this.vcs.readUnknownObject(args.tree),
-				this.vcs.readUnknownObject(args.base)
-			]
-		)
-			.then(([tree, base]) => {
-				let result = [];
+	/********************************** Staging ***********************************/
 
-				let promises = tree.content.map(item => {
-					let baseItem = base.content.find(baseItem => baseItem.name == item.name);
-					if(!baseItem) {
-						if(item.type == "blob") {
-							// File was added
-							result.push({
-								action: "add",
-								id: item.id,
-								name: item.name,
-								type: "blob"
-							});
-							return Promise.resolve();
-						} else if(item.type == "tree") {
-							// Tree was added
-							return this.diffTree(this.diffCd(args, item.id, "4b825dc642cb6eb9a060e54bf8d69288fbee4904", item.name))
-								.then(diff => {
-									result = result.concat(diff);
-								});
-						} else if(item.type == "submodule") {
-							// Submodule was added
-							result.push({
-								action: "add",
-								id: item.id,
+	// Staged changes are kept in local cache per branch, so a changeset can be
+	// built across several edit and newfile pages before committing. Each
+	// change is `{path, content, remove, from, executable}`, all but `path`
+	// optional: `content` is new file content, `remove` deletes the file,
+	// `from` is the path the file was renamed from and `executable` is the
+	// new executable bit.
+	getStaged(branch) {
+		return this.getLocalCache()
+			.then(cache => {
+				let staged = (cache.staged || {})[branch] || [];
+
+				return staged.map(change => {
+					change = Object.assign({}, change);
+					if(change.content !== undefined) {
+						change.content = new Uint8Array(this.vcs.stringToArray(atob(change.content)));
+					}
+					return change;
+				});
+			});
+	}
+	setStaged(branch, changes) {
+		return this.getLocalCache()
+			.then(cache => {
+				if(!cache.staged) {
+					cache.staged = {};
+				}
+
+				if(changes.length) {
+					cache.staged[branch] = changes.map(change => {
+						change = Object.assign({}, change);
+						if(change.content !== undefined) {
+							change.content = btoa(this.vcs.arrayToString(change.content));
+						}
+						return change;
+					});
+				} else {
+					delete cache.staged[branch];
+				}
+
+				return this.setLocalCache(cache);
+			});
+	}
+	// Passes staged changes of `branch` to `callback` and saves whatever it
+	// returns (or resolves to)
+	updateStaged(branch, callback) {
+		let changes;
+		return this.getStaged(branch)
+			.then(callback)
+			.then(c => {
+				changes = c;
+				return this.setStaged(branch, changes);
+			})
+			.then(() => changes);
+	}
+
+	// Stages adding or changing file `path`
+	stageFile(branch, path, content) {
+		return this.updateStaged(branch, changes => {
+			let change = changes.find(change => change.path == path);
+			if(!change) {
+				change = {path: path};
+				changes.push(change);
+			}
+
+			change.content = content;
+			delete change.remove;
+			return changes;
+		});
+	}
+	// Stages removing file `path`. Removing a staged rename removes the
+	// original file.
+	stageRemove(branch, path) {
+		return this.updateStaged(branch, changes => {
+			let change = changes.find(change => change.path == path);
+			let original = change && change.from ? change.from : path;
+
+			changes = changes.filter(change => change.path != path && change.path != original);
+			changes.push({path: original, remove: true});
+			return changes;
+		});
+	}
+	// Stages moving file `from` to `to`, keeping changes staged for `from`
+	stageRename(branch, from, to) {
+		return this.updateStaged(branch, changes => {
+			let change = changes.find(change => change.path == from) || {};
+			if(change.remove) {
+				return Promise.reject("File " + from + " is staged for removal");
+			}
+
+			let renamed = Object.assign({}, change, {
+				path: to,
+				from: change.from || from
+			});
+			if(renamed.from == to) {
+				// Renamed back
+				delete renamed.from;
+			}
+
+			changes = changes.filter(change => change.path != from && change.path != to);
+			changes.push(renamed);
+			return changes;
+		});
+	}
+	// Stages setting or clearing executable bit of file `path`
+	stageChmod(branch, path, executable) {
+		return this.updateStaged(branch, changes => {
+			let change = changes.find(change => change.path == path);
+			if(!change) {
+				change = {path: path};
+				changes.push(change);
+			}
+
+			change.executable = executable;
+			return changes;
+		});
+	}
+	unstage(branch, path) {
+		return this.updateStaged(branch, changes => {
+			return changes.filter(change => change.path != path);
+		});
+	}
+	clearStaged(branch) {
+		return this.setStaged(branch, []);
+	}
+
+	// Returns diff of staged changes against `branch`, in the same format as
+	// diff()
+	diffStaged(branch) {
+		return this.getStaged(branch)
+			.then(changes => {
+				return Promise.all(
+					changes.map(change => {
+						let source = change.from || change.path;
+						return this.getFile(branch, source)
+							.catch(() => null)
+							.then(baseContent => {
+								if(change.remove && !baseContent) {
+									// Nothing to remove
+									return null;
+								}
+
+								let content;
+								if(change.remove) {
+									content = [];
+								} else if(change.content !== undefined) {
+									content = change.content;
+								} else {
+									content = baseContent || [];
+								}
+
+								let action = change.remove ? "remove" : !baseContent ? "add" : change.from ? "rename" : "modified";
+								return {
+									type: "blob",
+									action: action,
+									name: change.from ? change.from + " → " + change.path : change.path,
+									path: change.path,
+									executable: change.executable,
+									content: this.diffContent(content, baseContent || [], change.path)
+								};
+							});
+					})
+				);
+			})
+			.then(diff => diff.filter(item => item));
+	}
+
+	// Commits staged changes on `branch` and clears them
+	commitStaged(branch, message) {
+		let staged, commit;
+		return this.getStaged(branch)
+			.then(s => {
+				staged = s;
+				if(staged.length == 0) {
+					return Promise.reject("Nothing is staged");
+				}
+
+				return this.vcs.readBranchCommit(branch);
+			})
+			.then(base => this.stagedToChanges(base.content.tree, staged))
+			.then(changes => this.commitChanges(branch, message, changes))
+			.then(c => {
+				commit = c;
+				return this.clearStaged(branch);
+			})
+			.then(() => commit);
+	}
+
+	// Converts staged changes to makeTreeDeltaPath() changes. Removals come
+	// first, so that a file renamed onto a removed path survives.
+	stagedToChanges(tree, staged) {
+		let removals = [];
+		staged.forEach(change => {
+			if(change.remove) {
+				removals.push({path: change.path, remove: true});
+			} else if(change.from) {
+				removals.push({path: change.from, remove: true});
+			}
+		});
+
+		return Promise.all(
+			staged
+				.filter(change => !change.remove)
+				.map(change => {
+					let needsSource = this.git && (change.from || change.content === undefined);
+					return (needsSource ? this.getTreeEntry(tree, change.from || change.path) : Promise.resolve({}))
+						.then(source => {
+							let result = {
+								path: change.path,
+								type: "blob"
+							};
+
+							if(change.content === undefined) {
+								result.id = source.id;
+							} else {
+								result.content = change.content;
+							}
+
+							if(change.executable !== undefined) {
+								result.mode = change.executable ? "100755" : "100644";
+							} else if(source.mode) {
+								result.mode = source.mode;
+							}
+
+							return result;
+						});
+				})
+		)
+			.then(changes => removals.concat(changes));
+	}
+
+	// Returns tree entry `{type, mode, name, id}` for `path`
+	getTreeEntry(tree, path) {
+		let parts = path.split("/").filter(part => part.length);
+		let name = parts.pop();
+
+		return this.vcs.readTreeItem(tree, parts)
+			.then(dir => {
+				let entry = dir.content.find(item => item.name == name);
+				if(!entry || entry.type != "blob") {
+					return Promise.reject("File " + path + " does not exist");
+				}
+
+				return entry;
+			});
+	}
+
+	// Returns diff between commit and its parent (on merge commits uses 1st parent)
+	diff(branch) {
+		let commit;
+		return this.vcs.readBranchCommit(branch)
+			.then(c => {
+				commit = c;
+
+				// Compare root commit to empty tree
+				if(commit.content.parents.length == 0) {
+					return {
+						content: {
+							tree: "4b825dc642cb6eb9a060e54bf8d69288fbee4904" // Empty tree
+						}
+					};
+				}
+				return this.vcs.readBranchCommit(commit.content.parents[0]);
+			})
+			.then(base => {
+				return this.diffTreeContent(commit.content.tree, base.content.tree);
+			});
+	}
+
+	// Diff tree against `base` like diffTree(), with diff views as `content`.
+	// Text blobs also get `insertions` and `deletions` line counts, binary ones
+	// get `binary` set.
+	diffTreeContent(tree, base) {
+		return this.diffTree({
+			tree: tree,
+			base: base,
+			root: ""
+		})
+			.then(diff => {
+				return Promise.all(
+					diff.map(item => {
+						if(item.type == "blob") {
+							// Diff all blobs
+
+							let promise;
+							if(item.action == "modified") {
+								promise = this.readDiffBlobs(item.id, item.baseId, item.name);
+							} else if(item.action == "add") {
+								promise = this.readDiffBlobs(item.id, null, item.name);
+							} else if(item.action == "remove") {
+								promise = this.readDiffBlobs(null, item.id, item.name);
+							}
+
+							return promise
+								.then(([content, baseContent]) => {
+									if(this.isBinary(content) || this.isBinary(baseContent)) {
+										item.binary = true;
+										item.content = this.buildBinaryView(content, baseContent, item.name);
+										return item;
+									}
+
+									let lines = this.diffLines(content, baseContent);
+									item.insertions = lines.insertions;
+									item.deletions = lines.deletions;
+									item.content = this.addImageView(this.buildDiffView(lines), content, baseContent, item.name);
+									return item;
+								});
+						} else if(item.type == "submodule") {
+							// Diff all submodules
+
+							if(item.action == "modified") {
+								item.content = this.diffSubmodule(item.id, item.baseId, item.name);
+								return this.addSubmoduleCommits(item.content, item, tree)
+									.then(content => {
+										item.content = content;
+										return item;
+									});
+							} else if(item.action == "add") {
+								item.content = this.diffSubmodule(item.id, null, item.name);
+							} else if(item.action == "remove") {
+								item.content = this.diffSubmodule(null, item.id, item.name);
+							}
+
+							return Promise.resolve(item);
+						} else {
+							return item;
+						}
+					})
+				);
+			});
+	}
+
+	// Diff tree against `base`. `root` is current path (empty string usually)
+	diffTree(args) {
+		return Promise.all(
+			[
+				this.vcs.readUnknownObject(args.tree),
+				this.vcs.readUnknownObject(args.base)
+			]
+		)
+			.then(([tree, base]) => {
+				let result = [];
+
+				let promises = tree.content.map(item => {
+					let baseItem = base.content.find(baseItem => baseItem.name == item.name);
+					if(!baseItem) {
+						if(item.type == "blob") {
+							// File was added
+							result.push({
+								action: "add",
+								id: item.id,
+								name: item.name,
+								type: "blob"
+							});
+							return Promise.resolve();
+						} else if(item.type == "tree") {
+							// Tree was added
+							return this.diffTree(this.diffCd(args, item.id, "4b825dc642cb6eb9a060e54bf8d69288fbee4904", item.name))
+								.then(diff => {
+									result = result.concat(diff);
+								});
+						} else if(item.type == "submodule") {
+							// Submodule was added
+							result.push({
+								action: "add",
+								id: item.id,
 								name: item.name,
 								type: "submodule"
 							});
@@ -1002,6 +1725,12 @@ class Repository {
 
 	// Diffs two blobs using jsdifflib
 	diffBlob(blob, base, name) {
+		return this.readDiffBlobs(blob, base, name)
+			.then(([content, baseContent]) => this.diffContent(content, baseContent, name));
+	}
+
+	// Returns contents of two blobs, missing blobs are empty
+	readDiffBlobs(blob, base, name) {
 		if(this.hg) {
 			if(blob) {
 				blob += "/" + name;
@@ -1014,79 +1743,2181 @@ class Repository {
 		let blobContent;
 		return (blob ? this.vcs.readUnknownObject(blob) : Promise.resolve({content: []}))
 			.then(b => {
-				if(b.content.length == 0) {
-					blobContent = [];
-				} else {
-					blobContent = difflib.stringAsLines(this.vcs.decodeUTF8(b.content));
-				}
-
+				blobContent = b.content;
 				return base ? this.vcs.readUnknownObject(base) : {content: []};
 			})
 			.then(baseContent => {
-				if(baseContent.content.length == 0) {
-					baseContent = [];
-				} else {
-					baseContent = difflib.stringAsLines(this.vcs.decodeUTF8(baseContent.content));
+				return [blobContent, baseContent.content];
+			});
+	}
+
+	// Builds diff view of raw file contents. `name` is used to detect SVG
+	// images.
+	diffContent(content, baseContent, name) {
+		if(this.isBinary(content) || this.isBinary(baseContent)) {
+			return this.buildBinaryView(content, baseContent, name);
+		}
+
+		return this.addImageView(this.buildDiffView(this.diffLines(content, baseContent)), content, baseContent, name);
+	}
+
+	// Checks whether raw file contents are binary: like Git, whether there are
+	// NUL bytes at the start, or if it's a known binary format
+	isBinary(content) {
+		if(Array.prototype.slice.call(content, 0, 8000).indexOf(0) > -1) {
+			return true;
+		}
+
+		return this.getMagicType(content) !== null;
+	}
+
+	// Returns MIME type of raw file contents by magic number from
+	// Repository.binaryFormats, or null
+	getMagicType(content) {
+		let type = Object.keys(Repository.binaryFormats).find(type => {
+			let magic = Repository.binaryFormats[type];
+			return content.length >= magic.length && magic.every((byte, i) => byte === null || content[i] == byte);
+		});
+		return type || null;
+	}
+
+	// Returns MIME type of image, or null if raw file contents aren't an image
+	getImageType(content, name) {
+		if(content.length == 0) {
+			return null;
+		}
+
+		let type = this.getMagicType(content);
+		if(type && type.indexOf("image/") == 0) {
+			return type;
+		} else if(!type && name && name.toLowerCase().endsWith(".svg")) {
+			return "image/svg+xml";
+		}
+
+		return null;
+	}
+
+	// Builds diff view of binary files, showing old and new size
+	buildBinaryView(content, baseContent, name) {
+		let node = document.createElement("div");
+		node.className = "diff-binary";
+
+		let summary = document.createElement("div");
+		summary.className = "diff-binary-summary";
+		if(baseContent.length == 0) {
+			summary.textContent = "Binary file added, " + this.formatSize(content.length);
+		} else if(content.length == 0) {
+			summary.textContent = "Binary file removed, " + this.formatSize(baseContent.length);
+		} else {
+			summary.textContent = "Binary file changed, " + this.formatSize(baseContent.length) + " → " + this.formatSize(content.length);
+		}
+		node.appendChild(summary);
+
+		return this.addImageView(node, content, baseContent, name);
+	}
+
+	// Shows image comparison above diff `view` if the file is an image
+	addImageView(view, content, baseContent, name) {
+		let type = this.getImageType(content, name);
+		let baseType = this.getImageType(baseContent, name);
+		if(!type && !baseType) {
+			return view;
+		}
+
+		let node = document.createElement("div");
+		node.appendChild(this.buildImageView(content, type, baseContent, baseType));
+		node.appendChild(view);
+		return node;
+	}
+
+	// Builds comparison of two image versions: side by side, or as swipe or
+	// onion skin if both exist
+	buildImageView(content, type, baseContent, baseType) {
+		// The object URL is only needed until the image is decoded, switching
+		// modes creates new images
+		let createImage = (data, imageType) => {
+			let image = document.createElement("img");
+			let url = URL.createObjectURL(new Blob([new Uint8Array(data)], {type: imageType}));
+			image.addEventListener("load", () => URL.revokeObjectURL(url));
+			image.addEventListener("error", () => URL.revokeObjectURL(url));
+			image.src = url;
+			return image;
+		};
+
+		let node = document.createElement("div");
+		node.className = "diff-image";
+
+		let frame = document.createElement("div");
+		frame.className = "diff-image-frame";
+
+		let showSides = () => {
+			[[baseContent, baseType, "Before"], [content, type, "After"]].forEach(([data, sideType, title]) => {
+				if(!sideType) {
+					return;
 				}
 
-				let blobHasNewLine = blobContent.slice(-1)[0] == "";
-				if(blobHasNewLine) {
-					blobContent.pop();
-				}
+				let side = document.createElement("div");
+				side.className = "diff-image-side";
+
+				let image = createImage(data, sideType);
+				side.appendChild(image);
+
+				let caption = document.createElement("div");
+				caption.className = "diff-image-caption";
+				caption.textContent = title + ", " + this.formatSize(data.length);
+				image.onload = () => {
+					caption.textContent += ", " + image.naturalWidth + " × " + image.naturalHeight;
+				};
+				side.appendChild(caption);
+
+				frame.appendChild(side);
+			});
+		};
+
+		// Shows new image over the old one, `update` is called with the new image
+		// container and the slider value from 0 to 1
+		let showStack = update => {
+			let stack = document.createElement("div");
+			stack.className = "diff-image-stack";
+
+			let baseImage = createImage(baseContent, baseType);
+			stack.appendChild(baseImage);
+
+			let top = document.createElement("div");
+			top.className = "diff-image-top";
+			let image = createImage(content, type);
+			top.appendChild(image);
+			stack.appendChild(top);
+
+			let slider = document.createElement("input");
+			slider.type = "range";
+			slider.className = "diff-image-slider";
+			slider.min = 0;
+			slider.max = 100;
+			slider.value = 50;
+			slider.oninput = () => update(top, slider.value / 100);
+			update(top, 0.5);
+
+			frame.appendChild(stack);
+			frame.appendChild(slider);
+		};
+
+		let modes = {
+			"Side by side": showSides,
+			"Swipe": () => showStack((top, value) => {
+				top.style.width = (value * 100) + "%";
+			}),
+			"Onion skin": () => showStack((top, value) => {
+				top.style.opacity = value;
+			})
+		};
+
+		if(type && baseType) {
+			let buttons = document.createElement("div");
+			buttons.className = "diff-image-modes";
+
+			Object.keys(modes).forEach(mode => {
+				let button = document.createElement("a");
+				button.className = "button";
+				button.textContent = mode;
+				button.onclick = () => {
+					Array.from(buttons.children).forEach(other => {
+						other.classList.toggle("button-blue", other == button);
+					});
+
+					frame.innerHTML = "";
+					modes[mode]();
+				};
+				buttons.appendChild(button);
+			});
+			buttons.firstChild.classList.add("button-blue");
+
+			node.appendChild(buttons);
+		}
+
+		showSides();
+		node.appendChild(frame);
+		return node;
+	}
+
+	// Converts byte count to human-readable format
+	formatSize(size) {
+		if(size < 1024) {
+			return size + " B";
+		} else if(size < 1024 * 1024) {
+			return (size / 1024).toFixed(1) + " KB";
+		} else {
+			return (size / 1024 / 1024).toFixed(1) + " MB";
+		}
+	}
+
+	// Splits raw file contents to lines and matches them. Returns `{lines,
+	// baseLines, hasNewLine, baseHasNewLine, opcodes, insertions, deletions}`
+	diffLines(content, baseContent) {
+		let lines = content.length == 0 ? [] : difflib.stringAsLines(this.vcs.decodeUTF8(content));
+		let baseLines = baseContent.length == 0 ? [] : difflib.stringAsLines(this.vcs.decodeUTF8(baseContent));
+
+		let hasNewLine = lines.slice(-1)[0] == "";
+		if(hasNewLine) {
+			lines.pop();
+		}
+
+		let baseHasNewLine = baseLines.slice(-1)[0] == "";
+		if(baseHasNewLine) {
+			baseLines.pop();
+		}
+
+		let opcodes;
+		if(this.diffSettings.ignoreWhitespace) {
+			let strip = line => line.replace(/\s+/g, "");
+			opcodes = new difflib.SequenceMatcher(baseLines.map(strip), lines.map(strip)).get_opcodes();
+		} else {
+			opcodes = new difflib.SequenceMatcher(baseLines, lines).get_opcodes();
+		}
+
+		let insertions = 0, deletions = 0;
+		opcodes.forEach(([tag, baseStart, baseEnd, start, end]) => {
+			if(tag == "insert" || tag == "replace") {
+				insertions += end - start;
+			}
+			if(tag == "delete" || tag == "replace") {
+				deletions += baseEnd - baseStart;
+			}
+		});
+
+		return {
+			lines: lines,
+			baseLines: baseLines,
+			hasNewLine: hasNewLine,
+			baseHasNewLine: baseHasNewLine,
+			opcodes: opcodes,
+			insertions: insertions,
+			deletions: deletions
+		};
+	}
+
+	// Builds diff view of diffLines() result, unified or split depending on
+	// diff settings. Clicking skipped lines shows more context around changes.
+	buildDiffView(diff, contextSize) {
+		let split = this.diffSettings.split;
+		if(contextSize === undefined) {
+			contextSize = this.diffSettings.contextSize;
+		}
+
+		let view = diffview.buildView({
+			baseTextLines: diff.baseLines,
+			newTextLines: diff.lines,
+			opcodes: diff.opcodes,
+			// set the display titles for each resource
+			baseTextName: "Base Text",
+			newTextName: "New Text",
+			contextSize: contextSize,
+			viewType: split ? 0 : 1
+		});
+
+		let newLineRow = (text, change) => {
+			let tr = document.createElement("tr");
+			if(split) {
+				tr.innerHTML = "<th></th><td class='empty'></td><th></th><td class='" + change + "'>" + text + "</td>";
+			} else {
+				tr.innerHTML = "<th></th><th></th><td class='" + change + "'>" + text + "</td>";
+			}
+			view.lastChild.appendChild(tr);
+		};
+
+		if(diff.hasNewLine && !diff.baseHasNewLine) {
+			// Add newline
+			newLineRow("Newline at the end of file", "insert");
+		} else if(!diff.hasNewLine && diff.baseHasNewLine) {
+			// Remove newline
+			newLineRow("No newline at the end of file", "delete");
+		}
+
+		this.highlightWords(view, diff, split);
+
+		// Expand context
+		Array.from(view.getElementsByClassName("skip")).forEach(skip => {
+			skip.parentNode.classList.add("diff-expand");
+			skip.parentNode.title = "Show more lines";
+			skip.parentNode.onclick = () => {
+				view.parentNode.replaceChild(this.buildDiffView(diff, contextSize + 20), view);
+			};
+		});
+
+		return view;
+	}
+
+	// Highlights changed words of replaced lines in diff view
+	highlightWords(view, diff, split) {
+		// Cells of replaced lines by line number
+		let baseCells = {}, cells = {};
+		Array.from(view.lastChild.children).forEach(row => {
+			let columns = row.children;
+			if(split && columns.length == 4) {
+				if(columns[1].className == "replace") {
+					baseCells[columns[0].textContent] = columns[1];
+				}
+				if(columns[3].className == "replace") {
+					cells[columns[2].textContent] = columns[3];
+				}
+			} else if(!split && columns.length == 3) {
+				// jsdifflib's inline view marks the text cell, not the row
+				let change = columns[2].className || row.className;
+				if(change == "delete") {
+					baseCells[columns[0].textContent] = columns[2];
+				} else if(change == "insert") {
+					cells[columns[1].textContent] = columns[2];
+				}
+			}
+		});
+
+		let tokenize = line => line.match(/\s+|\w+|[^\w\s]/g) || [];
+		let fill = (cell, words, ranges, className) => {
+			cell.innerHTML = "";
+			ranges.forEach(([changed, start, end]) => {
+				let text = words.slice(start, end).join("").replace(/\t/g, "\u00a0\u00a0\u00a0\u00a0");
+				if(text == "") {
+					return;
+				} else if(changed) {
+					let span = document.createElement("span");
+					span.className = className;
+					span.textContent = text;
+					cell.appendChild(span);
+				} else {
+					cell.appendChild(document.createTextNode(text));
+				}
+			});
+		};
+
+		diff.opcodes.forEach(([tag, baseStart, baseEnd, start, end]) => {
+			if(tag != "replace") {
+				return;
+			}
+
+			for(let i = 0; i < Math.min(baseEnd - baseStart, end - start); i++) {
+				let baseCell = baseCells[baseStart + i + 1];
+				let cell = cells[start + i + 1];
+				if(!baseCell || !cell) {
+					continue;
+				}
+
+				let baseWords = tokenize(diff.baseLines[baseStart + i]);
+				let words = tokenize(diff.lines[start + i]);
+				let matcher = new difflib.SequenceMatcher(baseWords, words);
+
+				// Completely different lines are clearer without highlighting
+				if(matcher.ratio() < 0.5) {
+					continue;
+				}
+
+				let wordOpcodes = matcher.get_opcodes();
+				fill(baseCell, baseWords, wordOpcodes.map(([wordTag, from, to]) => [wordTag != "equal", from, to]), "diff-word-delete");
+				fill(cell, words, wordOpcodes.map(([wordTag, , , from, to]) => [wordTag != "equal", from, to]), "diff-word-insert");
+			}
+		});
+	}
+
+	// Returns diff view for submodule
+	diffSubmodule(submodule, base) {
+		let baseContent = base ? difflib.stringAsLines("Subproject commit " + base) : [];
+		let submoduleContent = submodule ? difflib.stringAsLines("Subproject commit " + submodule) : [];
+
+		let sequenceMatcher = new difflib.SequenceMatcher(baseContent, submoduleContent);
+		let opcodes = sequenceMatcher.get_opcodes();
+		let view = diffview.buildView({
+			baseTextLines: baseContent,
+			newTextLines: submoduleContent,
+			opcodes: opcodes,
+			// set the display titles for each resource
+			baseTextName: "Base Text",
+			newTextName: "New Text",
+			contextSize: null,
+			viewType: 1
+		});
+
+		return view;
+	}
+
+	// Shows commits between old and new pointer of modified submodule `item`
+	// below diff `view` if the submodule is a Git Center repository. Commits
+	// removed by moving the pointer back are shown too.
+	addSubmoduleCommits(view, item, tree) {
+		if(!this.git) {
+			return Promise.resolve(view);
+		}
+
+		let sub;
+		return this.git.getSubmodules(tree)
+			.then(submodules => {
+				let submodule = submodules.find(submodule => submodule.path == item.name);
+				if(!submodule || !this.getSubmoduleAddress(submodule)) {
+					return view;
+				}
+
+				return this.getSubmoduleRepository(submodule)
+					.then(s => {
+						sub = s;
+						return Promise.all([
+							sub.getCommitsBetween(item.baseId, item.id),
+							sub.getCommitsBetween(item.id, item.baseId)
+						]);
+					})
+					.then(([added, removed]) => {
+						let node = document.createElement("div");
+						node.className = "diff-submodule";
+						node.appendChild(view);
+
+						let summary = document.createElement("div");
+						summary.className = "diff-submodule-summary";
+						summary.textContent = "Submodule " + item.name + " (" + sub.address + "): " +
+							added.length + " commit" + (added.length == 1 ? "" : "s") + " added" +
+							(removed.length ? ", " + removed.length + " removed" : "");
+						node.appendChild(summary);
+
+						[[added, "+", "diff-submodule-added"], [removed, "-", "diff-submodule-removed"]].forEach(([commits, sign, className]) => {
+							commits.forEach(commit => {
+								let line = document.createElement("div");
+								line.className = "diff-submodule-commit " + className;
+								line.textContent = sign + " " + commit.id.substr(0, 7) + " " + commit.content.message.split("\n")[0];
+								node.appendChild(line);
+							});
+						});
+
+						return node;
+					}, () => view); // Sub-repository or its commits are unavailable
+			});
+	}
+
+	/*********************************** Merge ************************************/
+
+	// Merges branch or commit `other` into branch `base`. Resolves to
+	// `{commit, fastForward, conflicts}`. When there are conflicts nothing is
+	// committed: `commit` is null, `tree` is the merged tree with conflict
+	// markers in it and `parents` are the parents to pass to resolveMerge().
+	// With `options.fastForwardOnly` a merge that would need a merge commit is
+	// rejected. `options.theirsName` replaces `other` in conflict markers.
+	merge(base, other, message, options) {
+		options = options || {};
+
+		if(!this.git) {
+			return Promise.reject("Merging is only supported in Git repositories");
+		}
+
+		let ours, theirs, mergeBase;
+		return Promise.all([this.git.readBranchCommit(base), this.git.readBranchCommit(other)])
+			.then(commits => {
+				ours = commits[0];
+				theirs = commits[1];
+
+				return this.getMergeBase(ours.id, theirs.id);
+			})
+			.then(m => {
+				mergeBase = m;
+
+				if(mergeBase == theirs.id) {
+					// Already up to date
+					return {commit: ours.id, fastForward: false, conflicts: []};
+				} else if(mergeBase == ours.id) {
+					return this.git.setRef("refs/heads/" + base, theirs.id)
+						.then(() => ({commit: theirs.id, fastForward: true, conflicts: []}));
+				} else if(options.fastForwardOnly) {
+					return Promise.reject("Cannot fast-forward " + base + " to " + other);
+				}
+
+				return (mergeBase ? this.git.readUnknownObject(mergeBase) : Promise.resolve(null))
+					.then(baseCommit => {
+						return this.mergeTrees(
+							baseCommit ? baseCommit.content.tree : null,
+							ours.content.tree,
+							theirs.content.tree,
+							{ours: base, theirs: options.theirsName || other}
+						);
+					})
+					.then(merged => {
+						let parents = [ours.id, theirs.id];
+
+						if(merged.conflicts.length) {
+							return {
+								commit: null,
+								fastForward: false,
+								conflicts: merged.conflicts,
+								tree: merged.tree,
+								parents: parents
+							};
+						}
+
+						message = message || "Merge " + other + " into " + base;
+						return this.commitMerge(base, parents, merged.tree, message)
+							.then(commit => ({commit: commit, fastForward: false, conflicts: []}));
+					});
+			});
+	}
+
+	// Writes merge commit of tree `tree` with `parents` and moves branch `base`
+	// to it, unless the branch has moved away from the first parent meanwhile
+	commitMerge(base, parents, tree, message) {
+		let commit;
+		return this.git.getBranchCommit(base)
+			.then(current => {
+				if(current != parents[0]) {
+					return Promise.reject("Branch " + base + " has changed since the merge started, please merge again");
+				}
+
+				return this.getCommitAuthor();
+			})
+			.then(author => {
+				return this.git.writePlainCommit({
+					tree: tree,
+					parents: parents,
+					author: author.author,
+					committer: author.author,
+					message: message
+				});
+			})
+			.then(c => {
+				commit = c;
+				return this.git.setRef("refs/heads/" + base, commit);
+			})
+			.then(() => commit);
+	}
+
+	// Commits resolution of a conflicted merge(): `changes` (see
+	// makeTreeDeltaPath() in git.js) are applied to the merged `tree`
+	resolveMerge(base, parents, tree, changes, message) {
+		return this.git.readUnknownObject(tree)
+			.then(tree => this.git.makeTreeDeltaPath(tree.content, changes))
+			.then(delta => this.git.writeTreeRecursive(delta))
+			.then(tree => this.commitMerge(base, parents, tree, message));
+	}
+
+	// Returns getMergeRegions() of a "content" conflict from merge(), with
+	// lines decoded as UTF-8
+	getConflictRegions(conflict) {
+		return Promise.all(
+			[conflict.base, conflict.ours, conflict.theirs].map(item => {
+				if(!item) {
+					return [""];
+				}
+
+				return this.git.readUnknownObject(item.id)
+					.then(blob => this.git.decodeUTF8(blob.content).split("\n"));
+			})
+		)
+			.then(lines => this.getMergeRegions(...lines));
+	}
+
+	// Calls `callback` for commits `ids` and their ancestors, breadth first.
+	// Parents of a commit are not visited if `callback` returns false for it.
+	walkCommits(ids, callback) {
+		let seen = new Set();
+
+		let step = queue => {
+			queue = queue.filter((id, i) => !seen.has(id) && queue.indexOf(id) == i);
+			if(queue.length == 0) {
+				return Promise.resolve();
+			}
+
+			return Promise.all(
+				queue.map(id => {
+					seen.add(id);
+					if(callback(id) === false) {
+						return [];
+					}
+
+					return this.vcs.readUnknownObject(id)
+						.then(commit => commit.content.parents);
+				})
+			)
+				.then(parents => step([].concat(...parents)));
+		};
+
+		return step(ids);
+	}
+
+	// Returns set of commit `id` and all its ancestors
+	getAncestors(id) {
+		let ancestors = new Set();
+		return this.walkCommits([id], ancestor => {
+			ancestors.add(ancestor);
+		})
+			.then(() => ancestors);
+	}
+
+	// Returns best common ancestor of commits `a` and `b`, or null when the
+	// histories are unrelated. With several best ancestors (criss-cross merges)
+	// the first one found is used.
+	getMergeBase(a, b) {
+		let candidates = [];
+		return this.getAncestors(a)
+			.then(ancestors => {
+				// History below a common ancestor is common as well
+				return this.walkCommits([b], id => {
+					if(ancestors.has(id)) {
+						candidates.push(id);
+						return false;
+					}
+				});
+			})
+			.then(() => {
+				// Drop candidates that are ancestors of other candidates
+				return Promise.all(candidates.map(candidate => this.getAncestors(candidate)));
+			})
+			.then(ancestorSets => {
+				let best = candidates.filter(candidate => {
+					return !ancestorSets.some((ancestors, i) => {
+						return candidates[i] != candidate && ancestors.has(candidate);
+					});
+				});
+
+				return best[0] || null;
+			});
+	}
+
+	// Three-way merge of trees `ours` and `theirs` with common ancestor `base`
+	// (any of them can be null for an empty tree). Resolves to `{tree,
+	// conflicts}`, where `conflicts` is an array of `{path, reason, base, ours,
+	// theirs}`. `reason` is one of "content", "binary", "modify/delete",
+	// "type" and "submodule", the rest are the tree items on each side (or
+	// null). Conflicting text files are written with conflict markers, for the
+	// other conflicts our version (or the only remaining one) is kept.
+	// `labels` are `{ours, theirs}` names for conflict markers.
+	mergeTrees(base, ours, theirs, labels, root) {
+		root = root || "";
+
+		return Promise.all(
+			[base, ours, theirs].map(tree => {
+				return tree ? this.git.readUnknownObject(tree).then(tree => tree.content) : [];
+			})
+		)
+			.then(trees => {
+				let names = [].concat(...trees)
+					.map(item => item.name)
+					.filter((name, i, names) => names.indexOf(name) == i);
+
+				return Promise.all(
+					names.map(name => {
+						let [baseItem, ourItem, theirItem] = trees.map(tree => {
+							return tree.find(item => item.name == name) || null;
+						});
+
+						return this.mergeTreeItem(baseItem, ourItem, theirItem, labels, root + name);
+					})
+				);
+			})
+			.then(results => {
+				let items = results.map(result => result.item).filter(item => item);
+				let conflicts = [].concat(...results.map(result => result.conflicts));
+
+				// Directories left empty disappear, except for the root
+				if(items.length == 0 && root) {
+					return {tree: null, conflicts: conflicts};
+				}
+
+				return this.git.writeTree(items)
+					.then(tree => ({tree: tree, conflicts: conflicts}));
+			});
+	}
+
+	// Merges one tree entry. Resolves to `{item, conflicts}`, `item` being null
+	// when the entry is removed.
+	mergeTreeItem(base, ours, theirs, labels, path) {
+		let same = (a, b) => a && b ? a.type == b.type && a.mode == b.mode && a.id == b.id : a == b;
+
+		if(same(ours, theirs) || same(base, theirs)) {
+			return Promise.resolve({item: ours, conflicts: []});
+		} else if(same(base, ours)) {
+			return Promise.resolve({item: theirs, conflicts: []});
+		}
+
+		// Changed on both sides
+		if(ours && theirs && ours.type == "tree" && theirs.type == "tree") {
+			let baseTree = base && base.type == "tree" ? base.id : null;
+			return this.mergeTrees(baseTree, ours.id, theirs.id, labels, path + "/")
+				.then(merged => {
+					return {
+						item: merged.tree ? {type: "tree", name: ours.name, id: merged.tree} : null,
+						conflicts: merged.conflicts
+					};
+				});
+		} else if(ours && theirs && ours.type == "blob" && theirs.type == "blob") {
+			return this.mergeBlobs(base && base.type == "blob" ? base : null, ours, theirs, labels, path);
+		}
+
+		let reason = "modify/delete";
+		if(ours && theirs) {
+			reason = ours.type == "submodule" && theirs.type == "submodule" ? "submodule" : "type";
+		}
+
+		return Promise.resolve({
+			item: ours || theirs,
+			conflicts: [{path: path, reason: reason, base: base, ours: ours, theirs: theirs}]
+		});
+	}
+
+	// Merges file contents line by line, see mergeTreeItem()
+	mergeBlobs(base, ours, theirs, labels, path) {
+		// A mode change on one side only wins over the unchanged side
+		let mode = base && ours.mode == base.mode ? theirs.mode : ours.mode;
+
+		return Promise.all(
+			[base, ours, theirs].map(item => {
+				return item ? this.git.readUnknownObject(item.id).then(blob => blob.content) : [];
+			})
+		)
+			.then(contents => {
+				if(contents.some(content => content.indexOf(0) > -1)) {
+					return {
+						item: ours,
+						conflicts: [{path: path, reason: "binary", base: base, ours: ours, theirs: theirs}]
+					};
+				}
+
+				// Merge bytes as latin1 strings so that any encoding survives
+				let merged = this.mergeText(
+					...contents.map(content => this.git.arrayToString(content)),
+					{
+						ours: this.git.arrayToString(this.git.encodeUTF8(labels.ours)),
+						theirs: this.git.arrayToString(this.git.encodeUTF8(labels.theirs))
+					}
+				);
+
+				return this.git.writeBlob(this.git.stringToArray(merged.content))
+					.then(id => {
+						return {
+							item: {type: "blob", mode: mode, name: ours.name, id: id},
+							conflicts: merged.conflicts ? [{path: path, reason: "content", base: base, ours: ours, theirs: theirs}] : []
+						};
+					});
+			});
+	}
+
+	// Line-based three-way merge of strings, like diff3. Returns `{content,
+	// conflicts}` with the number of conflicting hunks, which are written as
+	// <<<<<<< ours / ======= / >>>>>>> theirs blocks.
+	mergeText(base, ours, theirs, labels) {
+		let lines = [];
+		let conflicts = 0;
+
+		this.getMergeRegions(base.split("\n"), ours.split("\n"), theirs.split("\n"))
+			.forEach(region => {
+				if(region.conflict) {
+					conflicts++;
+					lines.push("<<<<<<< " + labels.ours);
+					lines.push(...region.ours);
+					lines.push("=======");
+					lines.push(...region.theirs);
+					lines.push(">>>>>>> " + labels.theirs);
+				} else {
+					lines.push(...region.lines);
+				}
+			});
+
+		return {content: lines.join("\n"), conflicts: conflicts};
+	}
+
+	// Splits the merge of line arrays into regions: `{lines}` for merged lines
+	// and `{conflict: true, base, ours, theirs}` for conflicts
+	getMergeRegions(base, ours, theirs) {
+		let equal = (a, b) => a.length == b.length && a.every((line, i) => line == b[i]);
+
+		let regions = [];
+		let baseStart = 0, ourStart = 0, theirStart = 0;
+		this.getSyncRegions(base, ours, theirs).forEach(sync => {
+			let baseChunk = base.slice(baseStart, sync.base);
+			let ourChunk = ours.slice(ourStart, sync.ours);
+			let theirChunk = theirs.slice(theirStart, sync.theirs);
+
+			if(equal(ourChunk, theirChunk) || equal(theirChunk, baseChunk)) {
+				regions.push({lines: ourChunk});
+			} else if(equal(ourChunk, baseChunk)) {
+				regions.push({lines: theirChunk});
+			} else {
+				regions.push({conflict: true, base: baseChunk, ours: ourChunk, theirs: theirChunk});
+			}
+
+			regions.push({lines: base.slice(sync.base, sync.base + sync.length)});
+			baseStart = sync.base + sync.length;
+			ourStart = sync.ours + sync.length;
+			theirStart = sync.theirs + sync.length;
+		});
+
+		return regions;
+	}
+
+	// Returns runs of lines that are unchanged on both sides as `{base, ours,
+	// theirs, length}`, ending with an empty run at the end of all three
+	getSyncRegions(base, ours, theirs) {
+		let ourBlocks = new difflib.SequenceMatcher(base, ours).get_matching_blocks();
+		let theirBlocks = new difflib.SequenceMatcher(base, theirs).get_matching_blocks();
+
+		let regions = [];
+		let i = 0, j = 0;
+		while(i < ourBlocks.length && j < theirBlocks.length) {
+			let [ourBase, ourMatch, ourLength] = ourBlocks[i];
+			let [theirBase, theirMatch, theirLength] = theirBlocks[j];
+
+			let start = Math.max(ourBase, theirBase);
+			let end = Math.min(ourBase + ourLength, theirBase + theirLength);
+			if(start < end) {
+				regions.push({
+					base: start,
+					ours: ourMatch + start - ourBase,
+					theirs: theirMatch + start - theirBase,
+					length: end - start
+				});
+			}
+
+			if(ourBase + ourLength < theirBase + theirLength) {
+				i++;
+			} else {
+				j++;
+			}
+		}
+
+		regions.push({base: base.length, ours: ours.length, theirs: theirs.length, length: 0});
+		return regions;
+	}
+
+	/*********************************** Blame ************************************/
+
+	// Returns lines of `path` on `branch` as `{content, commit}`, where `commit`
+	// is the commit that last changed the line. When `depth` is set, lines older
+	// than `depth` commits are attributed to the oldest commit read. Like
+	// `git blame`, lines are followed through renames.
+	blame(branch, path, depth) {
+		let blame = [];
+		let remaining;
+		let files = new Map(); // commit -> `{path, blob, lines}` of the file
+		let tracked = new Map(); // commit -> `{index, line}`, line `index` of the file is line `line` of the result
+		let handledChildren = new Map();
+
+		let readLines = (commit, path) => {
+			return this.readTreeBlob(commit.content.tree, path)
+				.then(blob => {
+					if(!blob) {
+						return null;
+					}
+
+					let lines = blob.content.length == 0 ? [] : difflib.stringAsLines(this.vcs.decodeUTF8(blob.content));
+					if(lines.slice(-1)[0] == "") {
+						lines.pop();
+					}
+
+					return {path: path, blob: blob, lines: lines};
+				});
+		};
+
+		// Reads the file in `parent`, under its old name if `commit` renamed it
+		let readParentLines = (commit, parent, file) => {
+			return readLines(parent, file.path)
+				.then(parentFile => {
+					if(parentFile) {
+						return parentFile;
+					}
+
+					return this.findRename(commit.content.tree, parent.content.tree, file.blob)
+						.then(rename => rename ? readLines(parent, rename.name) : null);
+				});
+		};
+
+		// Passes lines that come from parents to them, the rest were changed by
+		// `commit`
+		let handle = commit => {
+			let file = files.get(commit);
+			let lines = tracked.get(commit) || [];
+			files.delete(commit);
+			tracked.delete(commit);
+
+			if(lines.length == 0) {
+				return Promise.resolve();
+			}
+
+			let parents = commit.content.parents;
+			return Promise.all(parents.map(parent => {
+				return files.has(parent) ? files.get(parent) : readParentLines(commit, parent, file);
+			}))
+				.then(parentFiles => {
+					parents.forEach((parent, i) => {
+						let parentFile = parentFiles[i];
+						if(!parentFile || lines.length == 0) {
+							return;
+						}
+
+						let passed;
+						if(parentFile.blob.id == file.blob.id) {
+							passed = lines;
+							lines = [];
+						} else {
+							let matches = this.matchLines(parentFile.lines, file.lines);
+							passed = lines
+								.filter(line => matches[line.index] !== undefined)
+								.map(line => ({index: matches[line.index], line: line.line}));
+							lines = lines.filter(line => matches[line.index] === undefined);
+						}
+
+						files.set(parent, parentFile);
+						tracked.set(parent, (tracked.get(parent) || []).concat(passed));
+					});
+
+					lines.forEach(line => {
+						blame[line.line].commit = commit;
+					});
+					remaining -= lines.length;
+				});
+		};
+
+		// Handles commits after all their children, so that each one gets all
+		// lines that come from it at once
+		let step = queue => {
+			if(queue.length == 0 || remaining == 0) {
+				return Promise.resolve();
+			}
+
+			let commit = queue.shift();
+			return handle(commit)
+				.then(() => {
+					commit.content.parents.forEach(parent => {
+						let handled = (handledChildren.get(parent) || 0) + 1;
+						handledChildren.set(parent, handled);
+
+						if(handled == parent.content.children.length) {
+							queue.push(parent);
+						}
+					});
+
+					return step(queue);
+				});
+		};
+
+		let leaf;
+		return this.vcs.getBranchCommit(branch)
+			.then(id => this.toBidirectional([id], depth || Infinity))
+			.then(bidirectional => {
+				leaf = bidirectional.leaves[0];
+				return readLines(leaf, path);
+			})
+			.then(file => {
+				if(!file) {
+					return Promise.reject("File " + path + " does not exist on branch " + branch);
+				}
+
+				file.lines.forEach((content, i) => {
+					blame.push({content: content, commit: null});
+				});
+				remaining = file.lines.length;
+
+				files.set(leaf, file);
+				tracked.set(leaf, file.lines.map((content, i) => ({index: i, line: i})));
+
+				return step([leaf]);
+			})
+			.then(() => blame);
+	}
+
+	// Returns object mapping indexes of `lines` to indexes of the same lines
+	// in `baseLines`, for lines that weren't changed
+	matchLines(baseLines, lines) {
+		let matches = {};
+		new difflib.SequenceMatcher(baseLines, lines).get_matching_blocks().forEach(([base, index, length]) => {
+			for(let i = 0; i < length; i++) {
+				matches[index + i] = base + i;
+			}
+		});
+		return matches;
+	}
+
+	/********************************** History ***********************************/
+
+	// Returns commits that changed `path` on `branch`, newest first, as
+	// `{commit, path, oldPath, action}`. Renames are followed like with
+	// `git log --follow`.
+	getFileHistory(branch, path, count) {
+		let history = [];
+		let queue = [];
+		let seen = new Set();
+
+		let enqueue = (commit, path) => {
+			if(seen.has(commit.id + "/" + path)) {
+				return;
+			}
+			seen.add(commit.id + "/" + path);
+
+			queue.push({commit: commit, path: path});
+			queue.sort((a, b) => this.getCommitTime(b.commit) - this.getCommitTime(a.commit));
+		};
+
+		let step = () => {
+			if(queue.length == 0 || history.length >= count) {
+				return Promise.resolve();
+			}
+
+			let {commit, path} = queue.shift();
+			let blob, parents;
+
+			return this.readTreeBlob(commit.content.tree, path)
+				.then(b => {
+					blob = b;
+					return Promise.all(commit.content.parents.map(parent => this.vcs.readUnknownObject(parent)));
+				})
+				.then(p => {
+					parents = p;
+					return Promise.all(parents.map(parent => this.readTreeBlob(parent.content.tree, path)));
+				})
+				.then(parentBlobs => {
+					// Follow the parent the file came from unchanged, if any
+					let same = parentBlobs.findIndex(parentBlob => parentBlob && parentBlob.id == blob.id);
+					if(same > -1) {
+						enqueue(parents[same], path);
+						return;
+					}
+
+					let entry = {commit: commit, path: path, oldPath: null, action: "modified"};
+					history.push(entry);
+
+					if(parentBlobs.some(parentBlob => parentBlob)) {
+						parents.forEach((parent, i) => {
+							if(parentBlobs[i]) {
+								enqueue(parent, path);
+							}
+						});
+						return;
+					} else if(parents.length == 0) {
+						entry.action = "add";
+						return;
+					}
+
+					return this.findRename(commit.content.tree, parents[0].content.tree, blob)
+						.then(rename => {
+							if(rename) {
+								entry.action = "rename";
+								entry.oldPath = rename.name;
+								enqueue(parents[0], rename.name);
+							} else {
+								entry.action = "add";
+							}
+						});
+				})
+				.then(step);
+		};
+
+		return this.vcs.readBranchCommit(branch)
+			.then(commit => {
+				return this.readTreeBlob(commit.content.tree, path)
+					.then(blob => {
+						if(!blob) {
+							return Promise.reject("File " + path + " does not exist on branch " + branch);
+						}
+
+						enqueue(commit, path);
+						return step();
+					});
+			})
+			.then(() => history);
+	}
+
+	// Returns `{name, id}` of the file in `base` tree that was renamed to `blob`
+	// in `tree`, or null if `blob` was added. Like Git, the removed file must be
+	// at least 50% similar to `blob`.
+	findRename(tree, base, blob) {
+		let best = null, bestSimilarity = 0.5;
+
+		return this.diffTree({tree: tree, base: base, root: ""})
+			.then(diff => {
+				let removed = diff.filter(item => item.action == "remove" && item.type == "blob");
+
+				let exact = removed.find(item => item.id == blob.id);
+				if(exact) {
+					return exact;
+				}
+
+				return removed.reduce((promise, item) => {
+					return promise
+						.then(() => this.readTreeBlob(base, item.name))
+						.then(removedBlob => {
+							let similarity = this.getSimilarity(removedBlob.content, blob.content);
+							if(similarity >= bestSimilarity) {
+								best = item;
+								bestSimilarity = similarity;
+							}
+						});
+				}, Promise.resolve())
+					.then(() => best);
+			});
+	}
+
+	// Returns similarity of two file contents from 0 to 1, binary files are
+	// only similar when equal
+	getSimilarity(a, b) {
+		let isBinary = content => content.indexOf(0) > -1;
+		if(isBinary(a) || isBinary(b)) {
+			return a.length == b.length && a.every((byte, i) => byte == b[i]) ? 1 : 0;
+		}
+
+		let aLines = difflib.stringAsLines(this.vcs.decodeUTF8(a));
+		let bLines = difflib.stringAsLines(this.vcs.decodeUTF8(b));
+		return new difflib.SequenceMatcher(aLines, bLines).ratio();
+	}
+
+	// Returns diff of `path` in commit against its first parent, like diff(),
+	// following the file if it was renamed
+	diffPath(branch, path) {
+		let commit, parent, blob, base, oldName = null;
+
+		return this.vcs.readBranchCommit(branch)
+			.then(c => {
+				commit = c;
+				return commit.content.parents.length ? this.vcs.readUnknownObject(commit.content.parents[0]) : null;
+			})
+			.then(p => {
+				parent = p;
+				return Promise.all([
+					this.readTreeBlob(commit.content.tree, path),
+					parent ? this.readTreeBlob(parent.content.tree, path) : null
+				]);
+			})
+			.then(([b, baseBlob]) => {
+				blob = b;
+				base = baseBlob;
+
+				if(blob && !base && parent) {
+					return this.findRename(commit.content.tree, parent.content.tree, blob)
+						.then(rename => {
+							if(rename) {
+								oldName = rename.name;
+								return this.readTreeBlob(parent.content.tree, oldName)
+									.then(b => base = b);
+							}
+						});
+				}
+			})
+			.then(() => {
+				if(!blob && !base) {
+					return [];
+				}
+
+				return [{
+					action: !base ? "add" : !blob ? "remove" : oldName ? "rename" : "modified",
+					name: path,
+					oldName: oldName,
+					type: "blob",
+					content: this.diffContent(blob ? blob.content : [], base ? base.content : [], path)
+				}];
+			});
+	}
+
+	// Returns blob at `path` in `tree`, or null if there is no file there
+	readTreeBlob(tree, path) {
+		return this.vcs.readTreeItem(tree, path)
+			.then(blob => blob.type == "blob" ? blob : null, () => null);
+	}
+
+	// Returns commit timestamp in seconds
+	getCommitTime(commit) {
+		let committer = commit.content.committer;
+		return parseInt(committer.substr(committer.indexOf(">") + 1).trim().split(" ")[0]);
+	}
+
+	/********************************** Compare ***********************************/
+
+	// Compares `head` to `base`, both can be branches, tags or commits. `head`
+	// is read from `other` repository if it is given, e.g. for pull requests.
+	// Returns `{base, head, mergeBase, commits, diff, stats}`, where `commits`
+	// are commits of `head` that aren't in `base`, newest first, `diff` is the
+	// diffTreeContent() of `head` against the merge base and `stats` is
+	// `{files, insertions, deletions}`.
+	compare(base, head, other) {
+		let repo = this;
+		if(other) {
+			// Read objects missing here from the other repository
+			let vcs = Object.create(this.vcs);
+			vcs.readUnknownObject = id => {
+				return this.vcs.readUnknownObject(id)
+					.catch(() => other.vcs.readUnknownObject(id));
+			};
+
+			repo = Object.create(this);
+			repo.vcs = vcs;
+			if(this.git) {
+				repo.git = vcs;
+			} else {
+				repo.hg = vcs;
+			}
+		}
+
+		return Promise.all([this.vcs.getBranchCommit(base), (other || this).vcs.getBranchCommit(head)])
+			.then(([baseCommit, headCommit]) => repo.compareCommits(baseCommit, headCommit));
+	}
+
+	compareCommits(base, head) {
+		let result = {
+			base: base,
+			head: head,
+			mergeBase: null,
+			commits: [],
+			diff: [],
+			stats: {
+				files: 0,
+				insertions: 0,
+				deletions: 0
+			}
+		};
+
+		return this.getMergeBase(base, head)
+			.then(mergeBase => {
+				result.mergeBase = mergeBase;
+				return this.getCommitsBetween(base, head);
+			})
+			.then(commits => {
+				result.commits = commits;
+
+				// Unrelated histories are diffed directly
+				return Promise.all([
+					this.vcs.readUnknownObject(head),
+					this.vcs.readUnknownObject(result.mergeBase || base)
+				]);
+			})
+			.then(([headCommit, baseCommit]) => {
+				return this.diffTreeContent(headCommit.content.tree, baseCommit.content.tree);
+			})
+			.then(diff => {
+				result.diff = diff;
+				result.stats.files = diff.length;
+				diff.forEach(item => {
+					result.stats.insertions += item.insertions || 0;
+					result.stats.deletions += item.deletions || 0;
+				});
+
+				return result;
+			});
+	}
+
+	// Returns commits that are ancestors of `head` but not of `base`, newest
+	// first
+	getCommitsBetween(base, head) {
+		let ids = [];
+		return this.getAncestors(base)
+			.then(ancestors => {
+				return this.walkCommits([head], id => {
+					if(ancestors.has(id)) {
+						return false;
+					}
+					ids.push(id);
+				});
+			})
+			.then(() => Promise.all(ids.map(id => this.vcs.readUnknownObject(id))))
+			.then(commits => commits.sort((a, b) => this.getCommitTime(b) - this.getCommitTime(a)));
+	}
+
+	/********************************** Patches ***********************************/
+
+	// Returns commits `ids` as mbox-formatted series like `git format-patch`.
+	// Merge commits are skipped, the rest is ordered parents first.
+	formatPatches(ids) {
+		return Promise.all(ids.map(id => this.vcs.readUnknownObject(id)))
+			.then(commits => {
+				let remaining = commits.filter(commit => commit.content.parents.length < 2);
+
+				commits = [];
+				while(remaining.length) {
+					let next = remaining.find(commit => !remaining.some(other => commit.content.parents.indexOf(other.id) > -1)) || remaining[0];
+					commits.push(next);
+					remaining.splice(remaining.indexOf(next), 1);
+				}
+
+				if(commits.length == 0) {
+					return Promise.reject("No commits to export, merges can't be exported as patches");
+				}
+
+				let patches = [];
+				return commits.reduce((promise, commit, i) => {
+					return promise
+						.then(() => this.formatPatch(commit, i + 1, commits.length))
+						.then(patch => patches.push(patch));
+				}, Promise.resolve())
+					.then(() => patches.join(""));
+			});
+	}
+
+	// Downloads commits `ids` as patch series (see formatPatches())
+	downloadPatches(ids) {
+		return this.formatPatches(ids)
+			.then(patches => {
+				let name = ids.length == 1 ? ids[0].substr(0, 7) : ids.length + "-commits";
+				this.download(name + ".patch", new Uint8Array(this.vcs.encodeUTF8(patches)));
+			});
+	}
+
+	// Returns single commit as email with `number` out of `total` in subject
+	formatPatch(commit, number, total) {
+		let author = this.parsePatchAuthor(commit.content.author);
+
+		let message = commit.content.message.replace(/\s+$/, "").split("\n");
+		let subjectEnd = message.findIndex(line => line.trim() == "");
+		if(subjectEnd == -1) {
+			subjectEnd = message.length;
+		}
+		let subject = message.slice(0, subjectEnd).map(line => line.trim()).join(" ");
+		let body = message.slice(subjectEnd).join("\n").trim();
+
+		let parent = commit.content.parents.length ? this.vcs.readUnknownObject(commit.content.parents[0]) : Promise.resolve(null);
+		return parent
+			.then(parent => {
+				return this.formatPatchDiff(commit.content.tree, parent ? parent.content.tree : "4b825dc642cb6eb9a060e54bf8d69288fbee4904");
+			})
+			.then(diff => {
+				return (
+					"From " + commit.id + " Mon Sep 17 00:00:00 2001\n" +
+					"From: " + this.encodeHeader(author.name) + " <" + author.email + ">\n" +
+					"Date: " + this.formatPatchDate(author.time, author.tz) + "\n" +
+					"Subject: [PATCH" + (total > 1 ? " " + number + "/" + total : "") + "] " + this.encodeHeader(subject) + "\n" +
+					(/[^\x00-\x7F]/.test(subject + body + diff.diff) ? "MIME-Version: 1.0\nContent-Type: text/plain; charset=UTF-8\nContent-Transfer-Encoding: 8bit\n" : "") +
+					"\n" +
+					(body ? body + "\n" : "") +
+					"---\n" +
+					diff.stats + "\n" +
+					diff.diff +
+					"-- \n" +
+					"Git Center\n\n"
+				);
+			});
+	}
+
+	// Returns `{stats, diff}` texts of `tree` against `base` in Git format
+	formatPatchDiff(tree, base) {
+		return this.diffTree({
+			tree: tree,
+			base: base,
+			root: ""
+		})
+			.then(diff => {
+				diff = diff.filter(item => item.type == "blob").sort((a, b) => a.name.localeCompare(b.name));
+
+				return Promise.all(diff.map(item => {
+					let id = item.action == "remove" ? null : item.id;
+					let baseId = item.action == "add" ? null : item.action == "remove" ? item.id : item.baseId;
+
+					return Promise.all([
+						this.readDiffBlobs(id, baseId, item.name),
+						id ? this.readTreeMode(tree, item.name) : null,
+						baseId ? this.readTreeMode(base, item.name) : null
+					])
+						.then(([[content, baseContent], mode, baseMode]) => {
+							return this.formatFileDiff(item.name, id, baseId, content, baseContent, mode, baseMode);
+						});
+				}));
+			})
+			.then(files => {
+				let width = Math.max(...files.map(file => file.name.length));
+				let countWidth = Math.max(...files.map(file => String(file.insertions + file.deletions).length));
+				let maxCount = Math.max(...files.map(file => file.insertions + file.deletions));
+				let scale = maxCount > 50 ? 50 / maxCount : 1;
+
+				let stats = files.map(file => {
+					let line = " " + file.name.padEnd(width) + " | ";
+					if(file.binary) {
+						return line + "Bin " + file.baseSize + " -> " + file.size + " bytes";
+					}
+
+					let count = file.insertions + file.deletions;
+					return line + String(count).padStart(countWidth) + (count ? " " : "") +
+						"+".repeat(Math.ceil(file.insertions * scale)) +
+						"-".repeat(Math.ceil(file.deletions * scale));
+				});
+
+				let insertions = files.reduce((sum, file) => sum + file.insertions, 0);
+				let deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+				let summary = " " + files.length + " file" + (files.length == 1 ? "" : "s") + " changed";
+				if(insertions) {
+					summary += ", " + insertions + " insertion" + (insertions == 1 ? "" : "s") + "(+)";
+				}
+				if(deletions) {
+					summary += ", " + deletions + " deletion" + (deletions == 1 ? "" : "s") + "(-)";
+				}
+				stats.push(summary);
+
+				files.forEach(file => {
+					if(!file.baseId) {
+						stats.push(" create mode " + file.mode + " " + file.name);
+					} else if(!file.id) {
+						stats.push(" delete mode " + file.baseMode + " " + file.name);
+					}
+				});
+
+				return {
+					stats: stats.join("\n") + "\n",
+					diff: files.map(file => file.diff).join("")
+				};
+			});
+	}
+
+	// Returns Git-style diff of one file, and its stats
+	formatFileDiff(name, id, baseId, content, baseContent, mode, baseMode) {
+		let short = sha => sha ? sha.substr(0, 7) : "0000000";
+
+		let diff = "diff --git a/" + name + " b/" + name + "\n";
+		if(!baseId) {
+			diff += "new file mode " + mode + "\n";
+			diff += "index " + short(baseId) + ".." + short(id) + "\n";
+		} else if(!id) {
+			diff += "deleted file mode " + baseMode + "\n";
+			diff += "index " + short(baseId) + ".." + short(id) + "\n";
+		} else if(mode != baseMode) {
+			diff += "old mode " + baseMode + "\n";
+			diff += "new mode " + mode + "\n";
+			diff += "index " + short(baseId) + ".." + short(id) + "\n";
+		} else {
+			diff += "index " + short(baseId) + ".." + short(id) + " " + mode + "\n";
+		}
+
+		let result = {
+			name: name,
+			id: id,
+			baseId: baseId,
+			mode: mode,
+			baseMode: baseMode,
+			insertions: 0,
+			deletions: 0,
+			binary: false
+		};
+
+		let oldName = baseId ? "a/" + name : "/dev/null";
+		let newName = id ? "b/" + name : "/dev/null";
+
+		if(this.isBinary(content) || this.isBinary(baseContent)) {
+			result.binary = true;
+			result.size = content.length;
+			result.baseSize = baseContent.length;
+			result.diff = diff + "Binary files " + oldName + " and " + newName + " differ\n";
+			return result;
+		}
+
+		let lines = this.splitPatchLines(content);
+		let baseLines = this.splitPatchLines(baseContent);
+		let opcodes = new difflib.SequenceMatcher(baseLines, lines).get_opcodes();
+
+		let hunks = this.groupOpcodes(opcodes, 3).map(group => {
+			let [, baseStart, , start] = group[0];
+			let [, , baseEnd, , end] = group[group.length - 1];
+			let range = (from, length) => length == 1 ? String(from + 1) : length == 0 ? from + ",0" : (from + 1) + "," + length;
+
+			let hunk = "@@ -" + range(baseStart, baseEnd - baseStart) + " +" + range(start, end - start) + " @@\n";
+			let addLine = (prefix, line) => {
+				hunk += prefix + line.replace(/\n$/, "") + "\n";
+				if(line.slice(-1) != "\n") {
+					hunk += "\\ No newline at end of file\n";
+				}
+			};
+
+			group.forEach(([tag, i1, i2, j1, j2]) => {
+				if(tag == "equal") {
+					baseLines.slice(i1, i2).forEach(line => addLine(" ", line));
+					return;
+				}
+
+				baseLines.slice(i1, i2).forEach(line => addLine("-", line));
+				lines.slice(j1, j2).forEach(line => addLine("+", line));
+				result.deletions += i2 - i1;
+				result.insertions += j2 - j1;
+			});
+
+			return hunk;
+		});
+
+		if(hunks.length) {
+			diff += "--- " + oldName + "\n";
+			diff += "+++ " + newName + "\n";
+			diff += hunks.join("");
+		}
+
+		result.diff = diff;
+		return result;
+	}
+
+	// Splits file content to lines keeping line endings, so that a missing
+	// newline at end of file is a change
+	splitPatchLines(content) {
+		return this.vcs.decodeUTF8(content).match(/[^\n]*\n|[^\n]+$/g) || [];
+	}
+
+	// Groups opcodes to hunks with `context` lines around changes
+	groupOpcodes(opcodes, context) {
+		if(!opcodes.some(([tag]) => tag != "equal")) {
+			return [];
+		}
+
+		let codes = opcodes.map(code => code.slice());
+
+		let first = codes[0];
+		if(first[0] == "equal") {
+			first[1] = Math.max(first[1], first[2] - context);
+			first[3] = Math.max(first[3], first[4] - context);
+		}
+		let last = codes[codes.length - 1];
+		if(last[0] == "equal") {
+			last[2] = Math.min(last[2], last[1] + context);
+			last[4] = Math.min(last[4], last[3] + context);
+		}
+
+		let groups = [];
+		let group = [];
+		codes.forEach(([tag, i1, i2, j1, j2]) => {
+			if(tag == "equal" && i2 - i1 > context * 2) {
+				group.push([tag, i1, Math.min(i2, i1 + context), j1, Math.min(j2, j1 + context)]);
+				groups.push(group);
+				group = [];
+				i1 = Math.max(i1, i2 - context);
+				j1 = Math.max(j1, j2 - context);
+			}
+			group.push([tag, i1, i2, j1, j2]);
+		});
+		if(group.length && !(group.length == 1 && group[0][0] == "equal")) {
+			groups.push(group);
+		}
+
+		return groups;
+	}
+
+	// Returns Git file mode of `path` in `tree`
+	readTreeMode(tree, path) {
+		if(this.hg) {
+			return Promise.resolve("100644");
+		}
+
+		let dir = path.split("/").slice(0, -1).join("/");
+		let name = path.split("/").slice(-1)[0];
+		return this.vcs.readTreeItem(tree, dir)
+			.then(dirTree => {
+				let item = dirTree.content.find(item => item.name == name);
+				return item && item.mode ? item.mode.padStart(6, "0") : "100644";
+			});
+	}
+
+	// Parses "Name <email> time tz" author line
+	parsePatchAuthor(author) {
+		let timestamp = author.substr(author.indexOf(">") + 1).trim().split(" ");
+
+		return {
+			name: author.substr(0, author.indexOf("<")).trim(),
+			email: author.substr(0, author.indexOf(">")).substr(author.indexOf("<") + 1),
+			time: parseInt(timestamp[0]),
+			tz: timestamp[1] || "+0000"
+		};
+	}
+
+	// Formats date as in RFC 2822, in timezone `tz` like "+0100"
+	formatPatchDate(time, tz) {
+		let offset = (parseInt(tz.substr(1, 2)) * 3600 + parseInt(tz.substr(3, 2)) * 60) * (tz[0] == "-" ? -1 : 1);
+		let date = new Date((time + offset) * 1000);
+		let pad = value => (value < 10 ? "0" : "") + value;
+
+		return (
+			["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][date.getUTCDay()] + ", " +
+			date.getUTCDate() + " " +
+			["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][date.getUTCMonth()] + " " +
+			date.getUTCFullYear() + " " +
+			pad(date.getUTCHours()) + ":" + pad(date.getUTCMinutes()) + ":" + pad(date.getUTCSeconds()) + " " +
+			tz
+		);
+	}
+
+	// Encodes non-ASCII email header as RFC 2047 encoded word
+	encodeHeader(value) {
+		if(/^[\x20-\x7E]*$/.test(value)) {
+			return value;
+		}
+
+		return "=?UTF-8?q?" + this.vcs.encodeUTF8(value).map(byte => {
+			let char = String.fromCharCode(byte);
+			if(/[A-Za-z0-9]/.test(char)) {
+				return char;
+			} else if(char == " ") {
+				return "_";
+			} else {
+				return "=" + (byte < 16 ? "0" : "") + byte.toString(16).toUpperCase();
+			}
+		}).join("") + "?=";
+	}
+
+	// Decodes RFC 2047 encoded words in email header
+	decodeHeader(value) {
+		return value
+			.replace(/\?=\s+=\?/g, "?==?")
+			.replace(/=\?[^?]+\?([qQbB])\?([^?]*)\?=/g, (match, encoding, text) => {
+				let bytes;
+				if(encoding.toLowerCase() == "b") {
+					bytes = atob(text);
+				} else {
+					bytes = text.replace(/_/g, " ").replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+				}
+				return this.vcs.decodeUTF8(this.vcs.stringToArray(bytes));
+			});
+	}
+
+	// Parses mbox patch series or a single patch. Returns list of
+	// `{author, time, tz, subject, message, files}`, see parsePatchFiles() for
+	// `files`.
+	parsePatches(text) {
+		return text
+			.replace(/\r\n/g, "\n")
+			.split(/^(?=From [0-9a-f]{40} )/m)
+			.filter(chunk => chunk.trim())
+			.map(chunk => {
+				let lines = chunk.split("\n");
+				let i = 0;
+				if(/^From [0-9a-f]{40} /.test(lines[0])) {
+					i++;
+				}
+
+				// Headers, possibly folded
+				let headers = {};
+				let lastHeader = null;
+				for(; i < lines.length && lines[i] != ""; i++) {
+					if(/^\s/.test(lines[i]) && lastHeader) {
+						headers[lastHeader] += " " + lines[i].trim();
+					} else if(/^[A-Za-z-]+:/.test(lines[i])) {
+						lastHeader = lines[i].substr(0, lines[i].indexOf(":")).toLowerCase();
+						headers[lastHeader] = lines[i].substr(lines[i].indexOf(":") + 1).trim();
+					} else {
+						// Not an email, e.g. a plain diff
+						break;
+					}
+				}
+
+				let body = [];
+				for(; i < lines.length && lines[i] != "---" && lines[i].indexOf("diff --git ") != 0; i++) {
+					body.push(lines[i]);
+				}
+
+				let subject = this.decodeHeader(headers.subject || "").replace(/^\[PATCH[^\]]*\]\s*/, "");
+				let from = this.decodeHeader(headers.from || "");
+				let date = headers.date ? new Date(headers.date) : new Date;
+				let tz = (headers.date || "").match(/([+-]\d{4})\s*$/);
+
+				body = body.join("\n").trim();
+
+				return {
+					author: from.indexOf("<") > -1 ? from : from + " <" + from + ">",
+					time: Math.floor(+date / 1000),
+					tz: tz ? tz[1] : "+0000",
+					subject: subject,
+					message: subject + (body ? "\n\n" + body : "") + "\n",
+					files: this.parsePatchFiles(lines.slice(i))
+				};
+			})
+			.filter(patch => patch.files.length);
+	}
+
+	// Parses Git diff. Returns list of `{path, oldPath, action, mode, binary,
+	// hunks}`, where `action` is "add", "remove", "modified" or "rename" and
+	// `hunks` are `{header, oldStart, oldCount, oldLines, newLines}`.
+	parsePatchFiles(lines) {
+		let files = [];
+
+		for(let i = 0; i < lines.length;) {
+			if(lines[i].indexOf("diff --git ") != 0) {
+				i++;
+				continue;
+			}
+
+			let names = lines[i].match(/^diff --git a\/(.*) b\/(.*)$/) || [];
+			let file = {
+				path: names[2],
+				oldPath: names[1],
+				action: "modified",
+				mode: null,
+				binary: false,
+				hunks: []
+			};
+			files.push(file);
+
+			// Extended headers
+			for(i++; i < lines.length && lines[i].indexOf("@@ ") != 0 && lines[i].indexOf("diff --git ") != 0; i++) {
+				let line = lines[i];
+				if(line.indexOf("new file mode ") == 0) {
+					file.action = "add";
+					file.mode = line.substr(14);
+				} else if(line.indexOf("deleted file mode ") == 0) {
+					file.action = "remove";
+				} else if(line.indexOf("new mode ") == 0) {
+					file.mode = line.substr(9);
+				} else if(line.indexOf("rename from ") == 0) {
+					file.action = "rename";
+					file.oldPath = line.substr(12);
+				} else if(line.indexOf("rename to ") == 0) {
+					file.path = line.substr(10);
+				} else if(line.indexOf("--- ") == 0 && line != "--- /dev/null") {
+					file.oldPath = line.substr(4).replace(/^a\//, "");
+				} else if(line.indexOf("+++ ") == 0 && line != "+++ /dev/null") {
+					file.path = line.substr(4).replace(/^b\//, "");
+				} else if(line.indexOf("Binary files ") == 0 || line == "GIT binary patch") {
+					file.binary = true;
+				} else if(line == "-- ") {
+					// Signature
+					break;
+				}
+			}
+
+			// Hunks
+			while(i < lines.length && lines[i].indexOf("@@ ") == 0) {
+				let header = lines[i].match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+				if(!header) {
+					break;
+				}
+
+				let hunk = {
+					header: header[0],
+					oldStart: parseInt(header[1]),
+					oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+					oldLines: [],
+					newLines: []
+				};
+				let newCount = header[4] === undefined ? 1 : parseInt(header[4]);
+				file.hunks.push(hunk);
+
+				let last = [];
+				for(i++; i < lines.length; i++) {
+					let line = lines[i];
+					let done = hunk.oldLines.length >= hunk.oldCount && hunk.newLines.length >= newCount;
+
+					if(line[0] == "\\") {
+						// No newline at end of file
+						last.forEach(arr => arr[arr.length - 1] = arr[arr.length - 1].replace(/\n$/, ""));
+					} else if(done) {
+						break;
+					} else if(line[0] == " " || line == "") {
+						last = [hunk.oldLines, hunk.newLines];
+						last.forEach(arr => arr.push(line.substr(1) + "\n"));
+					} else if(line[0] == "-") {
+						last = [hunk.oldLines];
+						hunk.oldLines.push(line.substr(1) + "\n");
+					} else if(line[0] == "+") {
+						last = [hunk.newLines];
+						hunk.newLines.push(line.substr(1) + "\n");
+					} else {
+						break;
+					}
+				}
+			}
+		}
+
+		return files;
+	}
+
+	// Applies hunks to file content. Hunks are searched near their original
+	// position if previous changes moved lines. Returns `{content, failed}`,
+	// where `failed` are 1-based numbers of hunks that didn't apply.
+	applyHunks(content, hunks) {
+		let lines = this.splitPatchLines(content);
+		let offset = 0;
+		let failed = [];
+
+		hunks.forEach((hunk, i) => {
+			let expected = (hunk.oldCount == 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+			let matches = pos => {
+				return (
+					pos >= 0 &&
+					pos + hunk.oldLines.length <= lines.length &&
+					hunk.oldLines.every((line, j) => lines[pos + j] == line)
+				);
+			};
+
+			let pos = -1;
+			for(let distance = 0; distance <= lines.length; distance++) {
+				if(matches(expected - distance)) {
+					pos = expected - distance;
+					break;
+				} else if(matches(expected + distance)) {
+					pos = expected + distance;
+					break;
+				}
+			}
+
+			if(pos == -1) {
+				failed.push(i + 1);
+				return;
+			}
+
+			lines.splice(pos, hunk.oldLines.length, ...hunk.newLines);
+			offset += pos - expected + hunk.newLines.length - hunk.oldLines.length;
+		});
+
+		return {
+			content: this.vcs.encodeUTF8(lines.join("")),
+			failed: failed
+		};
+	}
+
+	// Applies mbox patch series `text` onto `branch`, one commit per patch with
+	// original author kept. Nothing is committed if any patch can't be applied;
+	// the rejection lists failed hunks and files. The branch is only moved once
+	// all commits are written. Resolves with new commit ids.
+	applyPatches(branch, text) {
+		let patches = this.parsePatches(text);
+		if(patches.length == 0) {
+			return Promise.reject("No patches found");
+		}
+
+		// Files changed by already applied patches, null for removed ones
+		let files = {};
+		let tree;
+		let readFile = path => {
+			if(files.hasOwnProperty(path)) {
+				return Promise.resolve(files[path]);
+			}
+			return this.readTreeBlob(tree, path)
+				.then(blob => blob ? blob.content : null);
+		};
+
+		let rejected = [];
+		let series = [];
+		let head;
+
+		return this.vcs.readBranchCommit(branch)
+			.then(commit => {
+				head = commit.id;
+				tree = commit.content.tree;
+
+				return patches.reduce((promise, patch, i) => {
+					let title = "Patch " + (i + 1) + "/" + patches.length + " \"" + patch.subject + "\"";
+					let changes = [];
+
+					return promise
+						.then(() => {
+							if(rejected.length) {
+								// Later patches likely depend on the failed one
+								return;
+							}
+
+							return patch.files.reduce((promise, file) => {
+								return promise.then(() => this.applyPatchFile(file, readFile, tree))
+									.then(result => {
+										result.errors.forEach(error => rejected.push(title + ": " + error));
+										result.changes.forEach(change => {
+											files[change.path] = change.remove ? null : change.content;
+											changes.push(change);
+										});
+									});
+							}, Promise.resolve());
+						})
+						.then(() => {
+							let error = this.getUnsupportedChangesError(changes);
+							if(error) {
+								rejected.push(title + ": " + error);
+							}
+
+							series.push({patch: patch, changes: changes});
+						});
+				}, Promise.resolve());
+			})
+			.then(() => {
+				if(rejected.length) {
+					return Promise.reject("Patches were not applied:\n" + rejected.join("\n"));
+				}
+
+				// Commit on top of commit ids, so that the branch stays where it
+				// was if any commit fails
+				let commits = [];
+				return series.reduce((promise, {patch, changes}) => {
+					return promise
+						.then(() => {
+							let author = this.git ? {
+								author: patch.author + " " + patch.time + " " + patch.tz,
+								date: null
+							} : {
+								author: patch.author,
+								date: patch.time
+							};
+
+							return this.commitChanges(commits[commits.length - 1] || head, patch.message, changes, author);
+						})
+						.then(commit => commits.push(commit));
+				}, Promise.resolve())
+					.then(() => {
+						if(!this.vcs.isSha(branch)) {
+							return this.vcs.setRef("refs/heads/" + branch, commits[commits.length - 1]);
+						}
+					})
+					.then(() => commits);
+			});
+	}
+
+	// Applies one file of a patch. Returns `{changes, errors}`, see
+	// makeTreeDeltaPath() in git.js for `changes`.
+	applyPatchFile(file, readFile, tree) {
+		let result = {
+			changes: [],
+			errors: []
+		};
+
+		if(file.binary) {
+			result.errors.push("binary patch of " + file.path + " is not supported");
+			return Promise.resolve(result);
+		}
+
+		let source = file.action == "add" ? file.path : file.oldPath;
+		return Promise.all([
+			readFile(source),
+			file.action == "rename" && !file.mode ? this.readTreeMode(tree, source).catch(() => null) : file.mode
+		])
+			.then(([content, mode]) => {
+				if(file.action == "add" && content) {
+					result.errors.push(file.path + " already exists");
+					return result;
+				} else if(file.action != "add" && !content) {
+					result.errors.push(source + " does not exist");
+					return result;
+				}
+
+				if(file.action == "remove") {
+					result.changes.push({
+						path: file.path,
+						remove: true
+					});
+					return result;
+				}
+
+				let applied;
+				try {
+					applied = this.applyHunks(content || [], file.hunks);
+				} catch(e) {
+					// decodeUTF8() throws on other encodings
+					result.errors.push(source + " is not UTF-8 text");
+					return result;
+				}
+				applied.failed.forEach(number => {
+					let hunk = file.hunks[number - 1];
+					result.errors.push("hunk #" + number + " " + hunk.header + " failed in " + source);
+				});
+
+				if(file.action == "rename") {
+					result.changes.push({
+						path: file.oldPath,
+						remove: true
+					});
+				}
+
+				let change = {
+					path: file.path,
+					type: "blob",
+					content: applied.content
+				};
+				if(mode) {
+					change.mode = mode;
+				}
+				result.changes.push(change);
+
+				return result;
+			});
+	}
+
+	/********************************** Archives **********************************/
+
+	// Downloads tree of `branch` (branch, tag or commit) as `format` archive:
+	// "zip" or "tar.gz"
+	downloadArchive(branch, format) {
+		let prefix;
+
+		return this.getContent()
+			.then(content => {
+				prefix = (content.title + "-" + branch).replace(/[\/\\:*?"<>| ]/g, "-");
+				return this.getArchiveFiles(branch);
+			})
+			.then(({files, time}) => {
+				if(format == "zip") {
+					return this.createZip(prefix, files, time);
+				} else if(format == "tar.gz") {
+					return pako.gzip(this.createTar(prefix, files, time));
+				} else {
+					return Promise.reject("Unknown archive format " + format);
+				}
+			})
+			.then(archive => {
+				this.download(prefix + "." + format, archive);
+			});
+	}
+
+	// Returns all files of `branch` as a flat list, and commit time in seconds
+	getArchiveFiles(branch) {
+		let time;
+
+		return this.vcs.readBranchCommit(branch)
+			.then(commit => {
+				time = this.getCommitTime(commit);
+				return this.readArchiveTree(commit.content.tree, "");
+			})
+			.then(files => {
+				return {
+					files: files,
+					time: time
+				};
+			});
+	}
+
+	// Reads directory `dir` recursively. For Git, `tree` is the directory tree
+	// itself; for Mercurial, it is the root manifest because manifests are flat.
+	// Submodules are kept as empty directories.
+	readArchiveTree(tree, dir) {
+		return (this.hg ? this.vcs.readTreeItem(tree, dir) : this.vcs.readUnknownObject(tree))
+			.then(dirTree => {
+				return Promise.all(dirTree.content.map(item => {
+					let path = (dir ? dir + "/" : "") + item.name;
+
+					if(item.type == "tree") {
+						return this.readArchiveTree(this.hg ? tree : item.id, path)
+							.then(files => [{path: path, type: "directory"}].concat(files));
+					} else if(item.type == "submodule") {
+						return [{path: path, type: "directory"}];
+					}
+
+					// Mercurial keeps file flags after the hash in manifest
+					let flags = this.hg ? item.id.substr(40) : "";
+					return (this.hg ? this.vcs.readTreeItem(tree, path) : this.vcs.readUnknownObject(item.id))
+						.then(blob => {
+							return [{
+								path: path,
+								type: item.mode == "120000" || flags == "l" ? "symlink" : "file",
+								executable: item.mode == "100755" || flags == "x",
+								content: blob.content
+							}];
+						});
+				}));
+			})
+			.then(lists => [].concat(...lists));
+	}
+
+	// Returns Unix mode of archive file
+	getArchiveMode(file) {
+		if(file.type == "directory") {
+			return 0o40755;
+		} else if(file.type == "symlink") {
+			return 0o120777;
+		} else {
+			return file.executable ? 0o100755 : 0o100644;
+		}
+	}
+
+	// Builds ZIP archive of `files` inside `prefix` directory
+	createZip(prefix, files, time) {
+		let date = new Date(time * 1000);
+		let dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+		let dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+		let chunks = [];
+		let central = [];
+		let offset = 0;
+
+		[{path: "", type: "directory"}].concat(files).forEach(file => {
+			let name = this.vcs.encodeUTF8(prefix + "/" + file.path + (file.type == "directory" && file.path ? "/" : ""));
+			let content = file.type == "directory" ? new Uint8Array(0) : new Uint8Array(file.content);
+			let data = content.length ? pako.deflateRaw(content) : content;
+			let crc = Git.crc32(content);
+
+			// Version 2.0, UTF-8 names, deflate for non-empty files
+			let fields = this.vcs.concat(
+				this.packLE(20, 2), this.packLE(0x0800, 2), this.packLE(content.length ? 8 : 0, 2),
+				this.packLE(dosTime, 2), this.packLE(dosDate, 2),
+				this.packLE(crc, 4), this.packLE(data.length, 4), this.packLE(content.length, 4),
+				this.packLE(name.length, 2), this.packLE(0, 2)
+			);
 
-				let baseHasNewLine = baseContent.slice(-1)[0] == "";
-				if(baseHasNewLine) {
-					baseContent.pop();
-				}
+			let header = this.vcs.concat(this.packLE(0x04034B50, 4), fields, name);
+			chunks.push(new Uint8Array(header), data);
 
-				let sequenceMatcher = new difflib.SequenceMatcher(baseContent, blobContent);
-				let opcodes = sequenceMatcher.get_opcodes();
-				let view = diffview.buildView({
-					baseTextLines: baseContent,
-					newTextLines: blobContent,
-					opcodes: opcodes,
-					// set the display titles for each resource
-					baseTextName: "Base Text",
-					newTextName: "New Text",
-					contextSize: 3,
-					viewType: 1
-				});
+			// Made by Unix, so that the executable bit is kept
+			let mode = this.getArchiveMode(file);
+			central.push(new Uint8Array(this.vcs.concat(
+				this.packLE(0x02014B50, 4), this.packLE((3 << 8) | 20, 2), fields,
+				this.packLE(0, 2), this.packLE(0, 2), this.packLE(0, 2),
+				this.packLE(((mode << 16) | (file.type == "directory" ? 0x10 : 0)) >>> 0, 4),
+				this.packLE(offset, 4), name
+			)));
 
-				if(blobHasNewLine && !baseHasNewLine) {
-					// Add newline
-					let tr = document.createElement("tr");
-					tr.innerHTML += "<th></th><th></th><td class='insert'>Newline at the end of file</td>";
-					view.lastChild.appendChild(tr);
-				} else if(!blobHasNewLine && baseHasNewLine) {
-					// Remove newline
-					let tr = document.createElement("tr");
-					tr.innerHTML += "<th></th><th></th><td class='delete'>No newline at the end of file</td>";
-					view.lastChild.appendChild(tr);
-				}
+			offset += header.length + data.length;
+		});
 
-				return view;
-			});
+		let centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+		let end = this.vcs.concat(
+			this.packLE(0x06054B50, 4), this.packLE(0, 2), this.packLE(0, 2),
+			this.packLE(central.length, 2), this.packLE(central.length, 2),
+			this.packLE(centralSize, 4), this.packLE(offset, 4), this.packLE(0, 2)
+		);
+
+		return this.joinArrays(chunks.concat(central, [new Uint8Array(end)]));
 	}
 
-	// Returns diff view for submodule
-	diffSubmodule(submodule, base) {
-		let baseContent = base ? difflib.stringAsLines("Subproject commit " + base) : [];
-		let submoduleContent = submodule ? difflib.stringAsLines("Subproject commit " + submodule) : [];
+	// Builds tar archive of `files` inside `prefix` directory
+	createTar(prefix, files, time) {
+		let chunks = [];
 
-		let sequenceMatcher = new difflib.SequenceMatcher(baseContent, submoduleContent);
-		let opcodes = sequenceMatcher.get_opcodes();
-		let view = diffview.buildView({
-			baseTextLines: baseContent,
-			newTextLines: submoduleContent,
-			opcodes: opcodes,
-			// set the display titles for each resource
-			baseTextName: "Base Text",
-			newTextName: "New Text",
-			contextSize: null,
-			viewType: 1
+		[{path: "", type: "directory"}].concat(files).forEach(file => {
+			let path = prefix + "/" + file.path + (file.type == "directory" && file.path ? "/" : "");
+			let content = file.type == "file" ? new Uint8Array(file.content) : new Uint8Array(0);
+			let linkName = file.type == "symlink" ? this.vcs.decodeUTF8(file.content) : "";
+
+			// Names that don't fit into ustar header are saved as pax header
+			let pax = "";
+			if(this.vcs.encodeUTF8(path).length > 100) {
+				pax += this.getPaxRecord("path", path);
+				path = path.substr(0, 100);
+			}
+			if(this.vcs.encodeUTF8(linkName).length > 100) {
+				pax += this.getPaxRecord("linkpath", linkName);
+				linkName = linkName.substr(0, 100);
+			}
+			if(pax) {
+				let paxContent = new Uint8Array(this.vcs.encodeUTF8(pax));
+				chunks.push(this.createTarHeader("pax_header", 0o100644, paxContent.length, time, "x", ""));
+				chunks.push(paxContent, new Uint8Array((512 - paxContent.length % 512) % 512));
+			}
+
+			let type = {directory: "5", symlink: "2", file: "0"}[file.type];
+			chunks.push(this.createTarHeader(path, this.getArchiveMode(file) & 0o7777, content.length, time, type, linkName));
+			chunks.push(content, new Uint8Array((512 - content.length % 512) % 512));
 		});
 
-		return view;
+		// End of archive
+		chunks.push(new Uint8Array(1024));
+
+		return this.joinArrays(chunks);
+	}
+
+	// Builds 512-byte ustar header
+	createTarHeader(path, mode, size, time, type, linkName) {
+		let header = new Uint8Array(512);
+		let write = (offset, length, value) => {
+			header.set(this.vcs.encodeUTF8(value).slice(0, length), offset);
+		};
+		let writeOctal = (offset, length, value) => {
+			write(offset, length, value.toString(8).padStart(length - 1, "0"));
+		};
+
+		write(0, 100, path);
+		writeOctal(100, 8, mode);
+		writeOctal(108, 8, 0);
+		writeOctal(116, 8, 0);
+		writeOctal(124, 12, size);
+		writeOctal(136, 12, time);
+		write(148, 8, "        ");
+		write(156, 1, type);
+		write(157, 100, linkName);
+		write(257, 6, "ustar");
+		write(263, 2, "00");
+
+		let checksum = header.reduce((sum, byte) => sum + byte, 0);
+		write(148, 7, checksum.toString(8).padStart(6, "0") + "\0");
+
+		return header;
+	}
+
+	// Returns pax extended header record, which starts with its own length
+	getPaxRecord(key, value) {
+		let record = " " + key + "=" + value + "\n";
+		let length = this.vcs.encodeUTF8(record).length;
+		let size = length + String(length).length;
+		if(String(size).length != String(length).length) {
+			size++;
+		}
+		return size + record;
 	}
 
 	/********************************** Releases **********************************/
@@ -1130,7 +3961,8 @@ class Repository {
 										title: title,
 										description: description,
 										dateString: dateString,
-										date: relativeDate
+										date: relativeDate,
+										object: commit
 									};
 								} else {
 									// Lightweight tag
@@ -1139,7 +3971,8 @@ class Repository {
 										title: tag,
 										description: "",
 										dateString: dateString,
-										date: relativeDate
+										date: relativeDate,
+										object: commit
 									};
 								}
 							});
@@ -1181,6 +4014,700 @@ class Repository {
 			});
 	}
 
+	/********************************* Signatures *********************************/
+
+	// Commits and tags signed with OpenPGP or SSH keys are checked against
+	// `signingKeys` that users publish in their Git Center profile data.json.
+	// Resolves to null for unsigned objects and to `{status, signer, reason}`
+	// otherwise. `status` is "verified" when a published key made the
+	// signature and its owner's commit email matches the committer or tagger,
+	// "unverified" when the signature is invalid or the emails differ, and
+	// "unknown" when no user published the key or it can't be checked.
+	// `signer` is the ZeroID of the key owner, if found. Commits signed from the
+	// web interface are checked with verifyZeroNetSignature().
+	verifySignature(object) {
+		let signature = object.content.signature;
+		if(!signature) {
+			return Promise.resolve(null);
+		}
+
+		// Old git allowed tags without a tagger
+		let identity = /<([^>]*)>/.exec(object.content.committer || object.content.tagger || "");
+		if(!identity) {
+			return Promise.resolve({status: "unknown", signer: null, reason: "Nobody is named as the signer"});
+		}
+		let email = identity[1];
+
+		if(signature.format == "zeronet") {
+			return this.verifyZeroNetSignature(signature, email);
+		}
+
+		let parsed;
+		try {
+			if(signature.format == "ssh") {
+				parsed = this.parseSshSignature(signature.armor);
+			} else if(signature.format == "openpgp") {
+				parsed = this.parsePgpSignature(signature.armor);
+			}
+		} catch(e) {
+			return Promise.resolve({status: "unverified", signer: null, reason: "Malformed signature: " + e});
+		}
+
+		if(!parsed) {
+			return Promise.resolve({status: "unknown", signer: null, reason: "Unsupported " + signature.format + " signature"});
+		}
+
+		return this.getSigningKeys()
+			.then(users => {
+				let owners = [];
+				users.forEach(user => {
+					user.keys.forEach(key => {
+						if(
+							key.format == parsed.format &&
+							(key.id == parsed.keyId || (parsed.fingerprint && key.fingerprint == parsed.fingerprint))
+						) {
+							owners.push({user: user, key: key});
+						}
+					});
+				});
+
+				if(owners.length == 0) {
+					return {status: "unknown", signer: null, reason: "The key is not published by any Git Center user"};
+				} else if(owners.some(owner => owner.user != owners[0].user)) {
+					// Possession proofs should make this impossible, but never pick one
+					return {status: "unknown", signer: null, reason: "The key is published by several Git Center users"};
+				}
+
+				let owner = owners[0];
+				let verify = parsed.format == "ssh" ? this.verifySshSignature(parsed, owner.key, signature.payload) : this.verifyPgpSignature(parsed, owner.key, signature.payload);
+
+				return verify
+					.then(valid => {
+						if(!valid) {
+							return {status: "unverified", signer: owner.user.certUserId, reason: "The signature is invalid"};
+						} else if(owner.user.email != email) {
+							return {status: "unverified", signer: owner.user.certUserId, reason: "Signed by " + owner.user.certUserId + ", whose commit email is not " + email};
+						}
+
+						return {status: "verified", signer: owner.user.certUserId, reason: "Signed by " + owner.user.certUserId};
+					}, e => {
+						return {status: "unknown", signer: owner.user.certUserId, reason: "Cannot check the signature: " + (e && e.message || e)};
+					});
+			});
+	}
+
+	// Checks `zeronetsig` signature made by signCommit(): the signature of the
+	// payload by the auth address and the ZeroID certificate of that address,
+	// against cert signers of data/users/content.json. Resolves to the same
+	// result as verifySignature().
+	verifyZeroNetSignature(signature, email) {
+		let fields = {};
+		signature.armor.split("\n").forEach(line => {
+			let space = line.indexOf(" ");
+			if(space > -1) {
+				fields[line.substr(0, space)] = line.substr(space + 1);
+			}
+		});
+
+		if(!fields.address || !fields.signature) {
+			return Promise.resolve({status: "unverified", signer: null, reason: "Malformed signature"});
+		}
+
+		let cert = (fields.cert || "").split(" ");
+		let certUserId = cert[1];
+
+		return this.zeroPage.cmd("ecdsaVerify", [this.vcs.decodeUTF8(signature.payload), fields.address, fields.signature])
+			.then(valid => {
+				if(valid !== true) {
+					return valid === false ? "invalid" : "unavailable";
+				} else if(cert.length != 3) {
+					return "no-cert";
+				}
+
+				return this.zeroFS.readFile("data/users/content.json")
+					.then(content => {
+						let signers = ((JSON.parse(content).user_contents || {}).cert_signers || {})[certUserId.split("@")[1]];
+						if(!signers) {
+							return "no-cert";
+						}
+
+						let subject = fields.address + "#" + cert[0] + "/" + certUserId.split("@")[0];
+						return this.zeroPage.cmd("ecdsaVerify", [subject, signers, cert[2]]);
+					})
+					.then(certValid => {
+						if(certValid === "no-cert") {
+							return certValid;
+						} else if(certValid !== true) {
+							return "invalid-cert";
+						}
+
+						return this.zeroFS.readFile("data/users/" + fields.address + "/data.json")
+							.then(profile => JSON.parse(profile), () => ({}))
+							.then(profile => (profile.commitEmail || certUserId) == email ? "verified" : "email");
+					});
+			})
+			.then(result => {
+				return {
+					invalid: {status: "unverified", signer: null, reason: "The signature is invalid"},
+					unavailable: {status: "unknown", signer: null, reason: "ZeroNet can't check signatures"},
+					"no-cert": {status: "unknown", signer: null, reason: "Signed by " + fields.address + " without a known ZeroID certificate"},
+					"invalid-cert": {status: "unverified", signer: null, reason: "The ZeroID certificate is invalid"},
+					email: {status: "unverified", signer: certUserId, reason: "Signed by " + certUserId + ", whose commit email is not " + email},
+					verified: {status: "verified", signer: certUserId, reason: "Signed by " + certUserId}
+				}[result];
+			});
+	}
+
+	// Returns list of `{address, certUserId, email, keys}` of users who
+	// published signing keys, see parseSigningKey() for `keys`. Each published
+	// key is `{key, proof}`, where `proof` is a signature of the user's auth
+	// address made with that key, so that nobody can claim keys of others.
+	// Keys without a valid proof are skipped. Loaded once per page.
+	getSigningKeys() {
+		if(this.signingKeys) {
+			return this.signingKeys;
+		}
+
+		this.signingKeys = this.zeroFS.readDirectory("data/users", true)
+			.then(files => {
+				return Promise.all(
+					files
+						.filter(file => /^[^\/]+\/data\.json$/.test(file))
+						.map(file => {
+							let address = file.split("/")[0];
+							let profile;
+
+							return this.zeroFS.readFile("data/users/" + file)
+								.then(p => {
+									profile = JSON.parse(p);
+									if(!(profile.signingKeys instanceof Array) || profile.signingKeys.length == 0) {
+										return null;
+									}
+
+									return this.zeroFS.readFile("data/users/" + address + "/content.json")
+										.then(content => JSON.parse(content).cert_user_id)
+										.then(certUserId => {
+											return Promise.all(
+												profile.signingKeys.map(entry => this.parseProvenKey(entry, address).catch(() => []))
+											)
+												.then(keys => {
+													return {
+														address: address,
+														certUserId: certUserId,
+														email: profile.commitEmail || certUserId,
+														keys: keys.reduce((all, keys) => all.concat(keys), [])
+													};
+												});
+										});
+								})
+								.catch(() => null);
+						})
+				);
+			})
+			.then(users => users.filter(user => user));
+
+		return this.signingKeys;
+	}
+
+	// Parses published `{key, proof}` of user `address`, see getSigningKeys().
+	// Resolves to the keys of parseSigningKey() if `proof` is a valid signature
+	// of `address` by one of them, to an empty list otherwise. SSH proofs are
+	// made in "gitcenter" namespace.
+	parseProvenKey(entry, address) {
+		if(!entry || typeof entry.key != "string" || typeof entry.proof != "string") {
+			return Promise.resolve([]);
+		}
+
+		let payload = new Uint8Array(this.vcs.encodeUTF8(address));
+		let keys;
+		return this.parseSigningKey(entry.key)
+			.then(k => {
+				keys = k;
+
+				let proof;
+				if(entry.proof.indexOf("-----BEGIN SSH SIGNATURE-----") == 0) {
+					proof = this.parseSshSignature(entry.proof);
+				} else {
+					proof = this.parsePgpSignature(entry.proof);
+				}
+
+				let key = proof && keys.find(key => {
+					return key.format == proof.format && (key.id == proof.keyId || (proof.fingerprint && key.fingerprint == proof.fingerprint));
+				});
+				if(!key) {
+					return false;
+				}
+
+				return proof.format == "ssh" ? this.verifySshSignature(proof, key, payload, "gitcenter") : this.verifyPgpSignature(proof, key, payload);
+			})
+			.then(valid => valid ? keys : []);
+	}
+
+	// Parses published SSH public key line or armored OpenPGP public key block.
+	// Resolves to a list of keys, an OpenPGP block gives its primary key and
+	// subkeys. SSH keys are `{format: "ssh", id, blob}`, `id` is base64 of the
+	// key blob. OpenPGP keys are `{format: "openpgp", id, fingerprint,
+	// algorithm, params}`, `id` is the 16-digit hex key ID.
+	parseSigningKey(text) {
+		text = text.trim();
+
+		if(text.indexOf("-----BEGIN PGP PUBLIC KEY BLOCK-----") == 0) {
+			let packets = this.parsePgpPackets(this.decodeArmor(text));
+			return Promise.all(
+				packets
+					.filter(packet => packet.tag == 6 || packet.tag == 14)
+					.map(packet => this.parsePgpKey(packet.body))
+			)
+				.then(keys => keys.filter(key => key));
+		}
+
+		let parts = text.split(/\s+/);
+		if(parts.length < 2) {
+			return Promise.reject("Unknown key format");
+		}
+
+		return Promise.resolve([{
+			format: "ssh",
+			id: parts[1],
+			blob: this.decodeBase64(parts[1])
+		}]);
+	}
+
+	// Returns bytes of ASCII-armored data, without armor headers and checksum
+	decodeArmor(armor) {
+		let lines = armor.trim().split(/\r?\n/);
+		let body = lines.slice(1, lines.findIndex(line => line.indexOf("-----END ") == 0));
+
+		// Armor headers, like Comment:, are separated from data by an empty line
+		let empty = body.findIndex(line => line.trim() == "");
+		if(empty > -1 && body.slice(0, empty).every(line => line.indexOf(": ") > -1)) {
+			body = body.slice(empty + 1);
+		}
+
+		return this.decodeBase64(
+			body
+				.filter(line => line[0] != "=")
+				.join("")
+		);
+	}
+
+	// Returns bytes of base64 string
+	decodeBase64(text) {
+		return new Uint8Array(atob(text.replace(/\s/g, "")).split("").map(char => char.charCodeAt(0)));
+	}
+
+	// Returns base64url string of bytes, used in JWK
+	encodeBase64Url(bytes) {
+		return btoa(Array.from(bytes).map(byte => String.fromCharCode(byte)).join(""))
+			.replace(/\+/g, "-")
+			.replace(/\//g, "_")
+			.replace(/=+$/, "");
+	}
+
+	// Returns reader of SSH wire format: big-endian integers and strings
+	// prefixed with their length
+	readSsh(data) {
+		let pos = 0;
+		let reader = {
+			uint32: () => {
+				if(pos + 4 > data.length) {
+					throw "Unexpected end of data";
+				}
+
+				pos += 4;
+				return ((data[pos - 4] << 24) | (data[pos - 3] << 16) | (data[pos - 2] << 8) | data[pos - 1]) >>> 0;
+			},
+			bytes: length => {
+				if(pos + length > data.length) {
+					throw "Unexpected end of data";
+				}
+
+				pos += length;
+				return data.slice(pos - length, pos);
+			},
+			string: () => reader.bytes(reader.uint32()),
+			text: () => String.fromCharCode.apply(null, reader.string())
+		};
+		return reader;
+	}
+
+	// Returns SSH string encoding of `bytes`
+	packSshString(bytes) {
+		return this.joinArrays([
+			new Uint8Array([
+				(bytes.length >>> 24) & 0xFF,
+				(bytes.length >>> 16) & 0xFF,
+				(bytes.length >>> 8) & 0xFF,
+				bytes.length & 0xFF
+			]),
+			new Uint8Array(bytes)
+		]);
+	}
+
+	// Parses armored SSHSIG signature, see PROTOCOL.sshsig in OpenSSH
+	parseSshSignature(armor) {
+		let reader = this.readSsh(this.decodeArmor(armor));
+
+		if(String.fromCharCode.apply(null, reader.bytes(6)) != "SSHSIG") {
+			throw "Invalid SSH signature magic";
+		}
+		if(reader.uint32() != 1) {
+			throw "Unsupported SSH signature version";
+		}
+
+		let key = reader.string();
+		let namespace = reader.text();
+		reader.string(); // Reserved
+		let hashAlgorithm = reader.text();
+
+		let signature = this.readSsh(reader.string());
+
+		return {
+			format: "ssh",
+			keyId: btoa(String.fromCharCode.apply(null, key)),
+			namespace: namespace,
+			hashAlgorithm: hashAlgorithm,
+			algorithm: signature.text(),
+			signature: signature.string()
+		};
+	}
+
+	// Checks SSH signature of `payload` made with `key` in `namespace` ("git"
+	// by default). Resolves to boolean, rejects if the algorithm is not
+	// supported.
+	verifySshSignature(signature, key, payload, namespace) {
+		namespace = namespace || "git";
+
+		let hash = {sha256: "SHA-256", sha512: "SHA-512"}[signature.hashAlgorithm];
+		if(!hash) {
+			return Promise.reject("Unsupported hash " + signature.hashAlgorithm);
+		}
+		if(signature.namespace != namespace) {
+			return Promise.resolve(false);
+		}
+
+		let reader = this.readSsh(key.blob);
+		let keyType = reader.text();
+
+		let importKey, algorithm, signatureBytes = signature.signature;
+		if(keyType == "ssh-ed25519" && signature.algorithm == "ssh-ed25519") {
+			importKey = crypto.subtle.importKey("raw", reader.string(), {name: "Ed25519"}, false, ["verify"]);
+			algorithm = {name: "Ed25519"};
+		} else if(keyType == "ssh-rsa" && (signature.algorithm == "rsa-sha2-256" || signature.algorithm == "rsa-sha2-512")) {
+			let e = reader.string();
+			let n = reader.string();
+			algorithm = {
+				name: "RSASSA-PKCS1-v1_5",
+				hash: signature.algorithm == "rsa-sha2-256" ? "SHA-256" : "SHA-512"
+			};
+			importKey = this.importRsaKey(n, e, algorithm);
+		} else if(keyType.indexOf("ecdsa-sha2-nistp") == 0 && signature.algorithm == keyType) {
+			let curve = this.getEcCurve(reader.text());
+			let point = reader.string();
+			if(!curve) {
+				return Promise.reject("Unsupported curve");
+			}
+
+			let rs = this.readSsh(signature.signature);
+			signatureBytes = this.joinArrays([
+				this.padInteger(rs.string(), curve.size),
+				this.padInteger(rs.string(), curve.size)
+			]);
+			algorithm = {name: "ECDSA", hash: curve.hash};
+			importKey = crypto.subtle.importKey("raw", point, {name: "ECDSA", namedCurve: curve.name}, false, ["verify"]);
+		} else {
+			return Promise.reject("Unsupported key type " + keyType);
+		}
+
+		return Promise.all([importKey, crypto.subtle.digest(hash, payload)])
+			.then(([cryptoKey, digest]) => {
+				let signed = this.joinArrays([
+					new Uint8Array(this.vcs.stringToArray("SSHSIG")),
+					this.packSshString(this.vcs.stringToArray(namespace)),
+					this.packSshString([]),
+					this.packSshString(this.vcs.stringToArray(signature.hashAlgorithm)),
+					this.packSshString(new Uint8Array(digest))
+				]);
+
+				return crypto.subtle.verify(algorithm, cryptoKey, signatureBytes, signed);
+			});
+	}
+
+	// Returns WebCrypto RSA public key of modulus `n` and exponent `e`
+	importRsaKey(n, e, algorithm) {
+		let strip = bytes => {
+			let start = 0;
+			while(start < bytes.length - 1 && bytes[start] == 0) {
+				start++;
+			}
+			return bytes.slice(start);
+		};
+
+		return crypto.subtle.importKey("jwk", {
+			kty: "RSA",
+			n: this.encodeBase64Url(strip(n)),
+			e: this.encodeBase64Url(strip(e)),
+			ext: true
+		}, algorithm, false, ["verify"]);
+	}
+
+	// Returns WebCrypto name, coordinate size and hash of SSH curve name or
+	// OpenPGP curve OID bytes (as hex string)
+	getEcCurve(name) {
+		return {
+			"nistp256": {name: "P-256", size: 32, hash: "SHA-256"},
+			"nistp384": {name: "P-384", size: 48, hash: "SHA-384"},
+			"nistp521": {name: "P-521", size: 66, hash: "SHA-512"},
+			"2a8648ce3d030107": {name: "P-256", size: 32, hash: "SHA-256"},
+			"2b81040022": {name: "P-384", size: 48, hash: "SHA-384"},
+			"2b81040023": {name: "P-521", size: 66, hash: "SHA-512"}
+		}[name];
+	}
+
+	// Left-pads or strips leading zeros of big-endian integer to `size` bytes
+	padInteger(bytes, size) {
+		let start = 0;
+		while(bytes.length - start > size && bytes[start] == 0) {
+			start++;
+		}
+		bytes = bytes.slice(start);
+
+		let result = new Uint8Array(Math.max(size, bytes.length));
+		result.set(bytes, result.length - bytes.length);
+		return result;
+	}
+
+	// Splits OpenPGP data into `{tag, body}` packets, see RFC 4880 section 4.2
+	parsePgpPackets(data) {
+		let packets = [];
+		let pos = 0;
+
+		while(pos < data.length) {
+			let header = data[pos++];
+			if(!(header & 0x80)) {
+				throw "Invalid OpenPGP packet header";
+			}
+
+			let tag, length;
+			if(header & 0x40) {
+				tag = header & 0x3F;
+
+				let first = data[pos++];
+				if(first < 192) {
+					length = first;
+				} else if(first < 224) {
+					length = ((first - 192) << 8) + data[pos++] + 192;
+				} else if(first == 255) {
+					length = ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3]) >>> 0;
+					pos += 4;
+				} else {
+					throw "Partial OpenPGP packets are not supported";
+				}
+			} else {
+				tag = (header >> 2) & 0x0F;
+
+				let lengthType = header & 3;
+				if(lengthType == 3) {
+					length = data.length - pos;
+				} else {
+					length = 0;
+					for(let i = 0; i < 1 << lengthType; i++) {
+						length = length * 256 + data[pos++];
+					}
+				}
+			}
+
+			if(pos + length > data.length) {
+				throw "Truncated OpenPGP packet";
+			}
+
+			packets.push({
+				tag: tag,
+				body: data.slice(pos, pos + length)
+			});
+			pos += length;
+		}
+
+		return packets;
+	}
+
+	// Reads OpenPGP multiprecision integers of `data` from `pos`. Returns
+	// `{values, pos}`.
+	readPgpMpis(data, pos, count) {
+		let values = [];
+		for(let i = 0; i < count; i++) {
+			if(pos + 2 > data.length) {
+				throw "Unexpected end of data";
+			}
+
+			let length = Math.ceil(((data[pos] << 8) | data[pos + 1]) / 8);
+			values.push(data.slice(pos + 2, pos + 2 + length));
+			pos += 2 + length;
+		}
+
+		return {values: values, pos: pos};
+	}
+
+	// Parses armored OpenPGP v4 signature
+	parsePgpSignature(armor) {
+		let packet = this.parsePgpPackets(this.decodeArmor(armor)).find(packet => packet.tag == 2);
+		if(!packet) {
+			throw "No signature packet";
+		}
+
+		let body = packet.body;
+		if(body[0] != 4) {
+			return null;
+		}
+
+		let hashedLength = (body[4] << 8) | body[5];
+		let unhashedStart = 6 + hashedLength;
+		let unhashedLength = (body[unhashedStart] << 8) | body[unhashedStart + 1];
+		let mpiStart = unhashedStart + 2 + unhashedLength + 2;
+
+		let keyId = null, fingerprint = null;
+		[
+			body.slice(6, unhashedStart),
+			body.slice(unhashedStart + 2, unhashedStart + 2 + unhashedLength)
+		].forEach(subpackets => {
+			let pos = 0;
+			while(pos < subpackets.length) {
+				let length = subpackets[pos++];
+				if(length >= 255) {
+					length = ((subpackets[pos] << 24) | (subpackets[pos + 1] << 16) | (subpackets[pos + 2] << 8) | subpackets[pos + 3]) >>> 0;
+					pos += 4;
+				} else if(length >= 192) {
+					length = ((length - 192) << 8) + subpackets[pos++] + 192;
+				}
+
+				let type = subpackets[pos] & 0x7F;
+				let data = subpackets.slice(pos + 1, pos + length);
+				if(type == 16) {
+					keyId = keyId || this.toHex(data);
+				} else if(type == 33 && data[0] == 4) {
+					fingerprint = fingerprint || this.toHex(data.slice(1));
+				}
+				pos += length;
+			}
+		});
+
+		if(fingerprint) {
+			keyId = keyId || fingerprint.substr(-16);
+		}
+
+		let algorithm = body[2];
+		let values;
+		if(algorithm == 27) {
+			values = [body.slice(mpiStart, mpiStart + 32), body.slice(mpiStart + 32, mpiStart + 64)];
+		} else {
+			values = this.readPgpMpis(body, mpiStart, algorithm == 1 ? 1 : 2).values;
+		}
+
+		return {
+			format: "openpgp",
+			keyId: keyId,
+			fingerprint: fingerprint,
+			type: body[1],
+			algorithm: algorithm,
+			hash: {2: "SHA-1", 8: "SHA-256", 9: "SHA-384", 10: "SHA-512"}[body[3]],
+			// Hashed part of the signature packet and its trailer, hashed after the
+			// signed data
+			trailer: this.joinArrays([
+				body.slice(0, unhashedStart),
+				new Uint8Array([0x04, 0xFF].concat(this.packLE(unhashedStart, 4).reverse()))
+			]),
+			values: values
+		};
+	}
+
+	// Parses OpenPGP v4 public key or subkey packet body. Resolves to null for
+	// other versions.
+	parsePgpKey(body) {
+		if(body[0] != 4) {
+			return Promise.resolve(null);
+		}
+
+		let algorithm = body[5];
+		let params;
+		if(algorithm == 1 || algorithm == 3) {
+			let mpis = this.readPgpMpis(body, 6, 2);
+			params = {n: mpis.values[0], e: mpis.values[1]};
+		} else if(algorithm == 19 || algorithm == 22) {
+			let oid = this.toHex(body.slice(7, 7 + body[6]));
+			let point = this.readPgpMpis(body, 7 + body[6], 1).values[0];
+			params = {oid: oid, point: algorithm == 22 ? point.slice(1) : point};
+		} else if(algorithm == 27) {
+			params = {point: body.slice(6, 38)};
+		} else {
+			params = {};
+		}
+
+		let header = new Uint8Array([0x99, (body.length >> 8) & 0xFF, body.length & 0xFF]);
+		return crypto.subtle.digest("SHA-1", this.joinArrays([header, body]))
+			.then(hash => {
+				let fingerprint = this.toHex(new Uint8Array(hash));
+				return {
+					format: "openpgp",
+					id: fingerprint.substr(-16),
+					fingerprint: fingerprint,
+					algorithm: algorithm,
+					params: params
+				};
+			});
+	}
+
+	// Checks OpenPGP signature of `payload` made with `key`. Resolves to
+	// boolean, rejects if the algorithm is not supported.
+	verifyPgpSignature(signature, key, payload) {
+		if(!signature.hash) {
+			return Promise.reject("Unsupported hash algorithm");
+		}
+		if(signature.type != 0) {
+			return Promise.reject("Only binary document signatures are supported");
+		}
+		if(signature.algorithm != key.algorithm && !(signature.algorithm == 1 && key.algorithm == 3)) {
+			return Promise.resolve(false);
+		}
+
+		let signed = this.joinArrays([new Uint8Array(payload), signature.trailer]);
+		let params = key.params;
+
+		if(signature.algorithm == 1) {
+			let algorithm = {name: "RSASSA-PKCS1-v1_5", hash: signature.hash};
+			return this.importRsaKey(params.n, params.e, algorithm)
+				.then(cryptoKey => {
+					return crypto.subtle.verify(algorithm, cryptoKey, this.padInteger(signature.values[0], params.n.length), signed);
+				});
+		} else if(signature.algorithm == 19) {
+			let curve = this.getEcCurve(params.oid);
+			if(!curve) {
+				return Promise.reject("Unsupported curve");
+			}
+
+			return crypto.subtle.importKey("raw", params.point, {name: "ECDSA", namedCurve: curve.name}, false, ["verify"])
+				.then(cryptoKey => {
+					let signatureBytes = this.joinArrays(signature.values.map(value => this.padInteger(value, curve.size)));
+					return crypto.subtle.verify({name: "ECDSA", hash: signature.hash}, cryptoKey, signatureBytes, signed);
+				});
+		} else if(signature.algorithm == 22 || signature.algorithm == 27) {
+			if(signature.algorithm == 22 && params.oid != "2b06010401da470f01") {
+				return Promise.reject("Unsupported curve");
+			}
+
+			// EdDSA signs the digest rather than the data itself
+			return Promise.all([
+				crypto.subtle.importKey("raw", params.point, {name: "Ed25519"}, false, ["verify"]),
+				crypto.subtle.digest(signature.hash, signed)
+			])
+				.then(([cryptoKey, digest]) => {
+					let signatureBytes = this.joinArrays(signature.values.map(value => this.padInteger(value, 32)));
+					return crypto.subtle.verify({name: "Ed25519"}, cryptoKey, signatureBytes, digest);
+				});
+		}
+
+		return Promise.reject("Unsupported public key algorithm " + signature.algorithm);
+	}
+
 	/******************************** Issues / PRs ********************************/
 	// Fallback to RepositoryIssues
 
@@ -1259,9 +4786,18 @@ class Repository {
 	changePullRequestStatus(...args) {
 		return this.issues.changePullRequestStatus(...args);
 	}
+	getForkAddress(...args) {
+		return this.issues.getForkAddress(...args);
+	}
+	getPullRequestTarget(...args) {
+		return this.issues.getPullRequestTarget(...args);
+	}
 	importPullRequest(...args) {
 		return this.issues.importPullRequest(...args);
 	}
+	mergePullRequest(...args) {
+		return this.issues.mergePullRequest(...args);
+	}
 
 	/********************************** Markdown **********************************/
 
@@ -2049,6 +5585,39 @@ class Repository {
 		document.body.removeChild(link);
 	}
 
+	// Packs unsigned integer as little-endian byte array
+	packLE(value, length) {
+		let bytes = [];
+		for(let i = 0; i < length; i++) {
+			bytes.push((value >>> (i * 8)) & 0xFF);
+		}
+		return bytes;
+	}
+
+	// Returns lowercase hex string of bytes
+	toHex(bytes) {
+		return Array.from(bytes)
+			.map(byte => (byte < 16 ? "0" : "") + byte.toString(16))
+			.join("");
+	}
+
+	// Returns SHA-256 of byte array as hex string
+	sha256(data) {
+		return crypto.subtle.digest("SHA-256", new Uint8Array(data))
+			.then(hash => this.toHex(new Uint8Array(hash)));
+	}
+
+	// Concatenates list of Uint8Arrays
+	joinArrays(arrays) {
+		let result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+		let offset = 0;
+		arrays.forEach(array => {
+			result.set(array, offset);
+			offset += array.length;
+		});
+		return result;
+	}
+
 	// Converts text to color
 	tagToColor(tag) {
 		tag = tag + tag + tag;
@@ -2071,6 +5640,33 @@ class Repository {
 	}
 };
 
+// `split` shows side-by-side diffs instead of unified ones, `contextSize` is
+// count of unchanged lines shown around changes and `ignoreWhitespace` hides
+// changes of whitespace only
+Repository.defaultDiffSettings = {
+	split: false,
+	contextSize: 3,
+	ignoreWhitespace: false
+};
+
+// Magic numbers of binary formats that may have no NUL bytes at the start,
+// null matches any byte
+Repository.binaryFormats = {
+	"image/png": [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+	"image/jpeg": [0xFF, 0xD8, 0xFF],
+	"image/gif": [0x47, 0x49, 0x46, 0x38],
+	"image/webp": [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+	"application/pdf": [0x25, 0x50, 0x44, 0x46, 0x2D],
+	"application/zip": [0x50, 0x4B, 0x03, 0x04],
+	"application/gzip": [0x1F, 0x8B],
+	"application/x-executable": [0x7F, 0x45, 0x4C, 0x46]
+};
+
+// LFS is opt-in: blobs are only stored as LFS objects once `lfs_threshold`
+// is set in content.json
+Repository.defaultLfsThreshold = 0;
+Repository.lfsVersion = "https://git-lfs.github.com/spec/v1";
+
 Repository.createRepo = zeroPage => {
 	return zeroPage.cmd("siteClone", ["1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6"]);
 };
@@ -41,18 +41,47 @@ zeroPage.getSiteInfo()
 		let commitName = document.getElementById("commit_name");
 		commitName.value = profile.commitName || auth.user[0].toUpperCase() + auth.user.substr(1).replace(/@.*/, "");
 
+		Array.from(document.getElementsByClassName("signing-address")).forEach(node => {
+			node.textContent = auth.address;
+		});
+
+		let signingKeys = document.getElementById("signing_keys");
+		signingKeys.value = (profile.signingKeys || [])
+			.filter(entry => entry.key)
+			.map(entry => entry.key + "\n" + entry.proof)
+			.join("\n\n");
+
 		let saveButton = document.getElementById("save");
 		saveButton.onclick = () => {
 			if(saveButton.classList.contains("button-disabled")) {
 				return;
 			}
 
+			// Armored blocks span several lines, other lines are SSH keys. Every key
+			// is followed by its proof signature.
+			let parts = (signingKeys.value.match(/-----BEGIN ([A-Z ]+)-----[\s\S]*?-----END \1-----|[^\n]+/g) || [])
+				.map(part => part.trim())
+				.filter(part => part);
+
+			let keys = [];
+			for(let i = 0; i < parts.length; i++) {
+				let isProof = /^-----BEGIN (PGP|SSH) SIGNATURE-----/.test(parts[i]);
+				if(isProof || !/^-----BEGIN (PGP|SSH) SIGNATURE-----/.test(parts[i + 1] || "")) {
+					zeroPage.error("Every key must be followed by a signature of " + auth.address + " made with it");
+					return;
+				}
+
+				keys.push({key: parts[i], proof: parts[i + 1]});
+				i++;
+			}
+
 			saveButton.classList.add("button-disabled");
 
-			saveProfile(auth.address, {
+			saveProfile(auth.address, Object.assign(profile, {
 				commitEmail: commitEmail.value,
-				commitName: commitName.value
-			})
+				commitName: commitName.value,
+				signingKeys: keys
+			}))
 				.then(() => {
 					saveButton.classList.remove("button-disabled");
 				}, e => {
@@ -0,0 +1,140 @@
+if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
+	location.href = "../../default/";
+}
+
+let head;
+
+// Splits highlighted HTML into lines. Spans of tokens that continue on the
+// next line (block comments, strings) are closed at the end of the line and
+// opened again on the next one, so that each line is valid on its own.
+function splitHighlightedLines(html) {
+	let open = [];
+	return html.split("\n").map(line => {
+		let result = open.join("") + line;
+		(line.match(/<span[^>]*>|<\/span>/g) || []).forEach(tag => {
+			if(tag == "</span>") {
+				open.pop();
+			} else {
+				open.push(tag);
+			}
+		});
+		return result + "</span>".repeat(open.length);
+	});
+}
+
+// Returns commit info shown before the first line of each run of lines
+// changed by `commit`
+function showCommit(commit) {
+	let node = document.createElement("span");
+	node.className = "blame-commit";
+
+	let link = document.createElement("a");
+	link.className = "blame-commit-id";
+	link.textContent = commit.id.substr(0, 7);
+	link.title = commit.content.message;
+	link.href = "../commit/?" + address + "/" + commit.id;
+	node.appendChild(link);
+
+	let author = document.createElement("span");
+	author.className = "blame-author";
+	author.textContent = repo.parseAuthor(commit.content.author);
+	author.title = commit.content.message;
+	node.appendChild(author);
+
+	return node;
+}
+
+repo.addMerger()
+	.then(() => {
+		return repo.getContent();
+	})
+	.then(content => {
+		if(!content.installed) {
+			location.href = "../../install/?" + address;
+		}
+
+		setTitle("Blame " + path + " - " + content.title);
+
+		showTitle(content.title);
+		showHeader(1, content);
+		showBranches();
+		showPath(true);
+		showLinks();
+		showTabs(1);
+
+		return branch || repo.vcs.getHead();
+	})
+	.then(h => {
+		head = h;
+
+		document.getElementById("view_file").href = "../file/?" + address + "/" + path.replace(/@/g, "@@") + "@" + head.replace(/@/g, "@@");
+
+		return repo.vcs.readBranchCommit(head);
+	})
+	.then(commit => {
+		document.getElementById("commit_title").textContent = commit.content.message;
+
+		document.getElementById("commit_description").appendChild(document.createElement("br"));
+		document.getElementById("commit_description").appendChild(document.createTextNode(repo.parseAuthor(commit.content.committer)));
+
+		return repo.blame(head, path);
+	})
+	.then(blame => {
+		let fileContent = document.getElementById("file_content");
+
+		// Highlight the whole file at once, so that multiline tokens are known
+		fileContent.textContent = blame.map(line => line.content).join("\n");
+		hljs.highlightBlock(fileContent);
+		let lines = splitHighlightedLines(fileContent.innerHTML);
+
+		fileContent.innerHTML = "";
+		blame.forEach((line, i) => {
+			let node = document.createElement("span");
+			node.className = "line";
+			node.id = "line_" + (i + 1);
+
+			if(i == 0 || blame[i - 1].commit != line.commit) {
+				node.classList.add("blame-first");
+				node.appendChild(showCommit(line.commit));
+			} else {
+				let empty = document.createElement("span");
+				empty.className = "blame-commit";
+				node.appendChild(empty);
+			}
+
+			let lineNumber = document.createElement("span");
+			lineNumber.className = "line-number";
+			lineNumber.textContent = i + 1;
+			lineNumber.onclick = () => {
+				zeroPage.cmd("wrapperReplaceState", [null, "", "#L" + (i + 1)]);
+				location.hash = "#L" + (i + 1);
+			};
+			node.appendChild(lineNumber);
+
+			let code = document.createElement("span");
+			code.innerHTML = lines[i];
+			node.appendChild(code);
+
+			fileContent.appendChild(node);
+			fileContent.appendChild(document.createTextNode("\n"));
+		});
+
+		window.onhashchange = () => {
+			let hash = location.hash.replace("#", "");
+			if(hash[0] == "L" && !isNaN(hash.substr(1))) {
+				let line = parseInt(hash.substr(1));
+				let node = document.getElementById("line_" + line);
+				node.scrollIntoView();
+
+				let selected = Array.from(document.getElementsByClassName("line-selected"));
+				selected.forEach(line => {
+					line.classList.remove("line-selected");
+				});
+				node.classList.add("line-selected");
+			}
+		};
+		return zeroPage.cmd("wrapperInnerLoaded");
+	})
+	.catch(e => {
+		document.getElementById("file_content").textContent = e;
+	});
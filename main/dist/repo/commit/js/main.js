@@ -4,6 +4,13 @@ if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
 
 branch = additional;
 
+// Diff can be limited to a single file with commit@path
+let scope = "";
+if(additional.indexOf("@") > -1) {
+	branch = additional.substr(0, additional.indexOf("@"));
+	scope = additional.substr(additional.indexOf("@") + 1);
+}
+
 repo.addMerger()
 	.then(() => {
 		return repo.getContent();
@@ -20,11 +27,36 @@ repo.addMerger()
 		showLinks();
 		showTabs(1);
 
+		return showDiffSettings();
+	})
+	.then(() => {
 		return repo.vcs.readBranchCommit(branch);
 	})
 	.then(commit => {
 		document.getElementById("commit_title").textContent = commit.content.message;
 		document.getElementById("commit_description").appendChild(document.createTextNode(repo.parseAuthor(commit.content.committer)));
+		showSignature(document.getElementById("commit_description"), commit);
+
+		if(commit.content.parents.length < 2) {
+			let patch = document.createElement("a");
+			patch.textContent = "[patch]";
+			patch.onclick = () => {
+				repo.downloadPatches([commit.id])
+					.catch(e => zeroPage.error(e));
+			};
+			document.getElementById("commit_description").appendChild(document.createTextNode(" "));
+			document.getElementById("commit_description").appendChild(patch);
+		}
+
+		if(scope) {
+			let all = document.createElement("a");
+			all.textContent = "[all files]";
+			all.href = "?" + address + "/" + branch;
+			document.getElementById("commit_description").appendChild(document.createTextNode(" "));
+			document.getElementById("commit_description").appendChild(all);
+
+			return repo.diffPath(branch, scope);
+		}
 
 		return repo.diff(branch);
 	})
@@ -35,7 +67,7 @@ repo.addMerger()
 
 			let header = document.createElement("div");
 			header.className = "diff-header";
-			header.textContent = item.name;
+			header.textContent = item.oldName ? item.oldName + " → " + item.name : item.name;
 			diff.appendChild(header);
 
 			if(item.type == "blob") {
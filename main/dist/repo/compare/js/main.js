@@ -0,0 +1,168 @@
+if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
+	location.href = "../../default/";
+}
+
+// ?address/base...head, head can be in another repository as address:head
+let base = "", head = "", forkAddress = "";
+if(additional.indexOf("...") > -1) {
+	base = additional.substr(0, additional.indexOf("..."));
+	head = additional.substr(additional.indexOf("...") + 3);
+} else {
+	head = additional;
+}
+if(head.indexOf(":") > -1) {
+	forkAddress = head.substr(0, head.indexOf(":"));
+	head = head.substr(head.indexOf(":") + 1);
+}
+
+function showStats(node, insertions, deletions) {
+	let insertionsNode = document.createElement("span");
+	insertionsNode.className = "compare-insertions";
+	insertionsNode.textContent = "+" + insertions;
+	node.appendChild(insertionsNode);
+
+	let deletionsNode = document.createElement("span");
+	deletionsNode.className = "compare-deletions";
+	deletionsNode.textContent = "−" + deletions;
+	node.appendChild(deletionsNode);
+}
+
+function showCommits(commits) {
+	// Commits of the fork only exist there
+	let commitAddress = forkAddress || address;
+
+	commits.forEach(commit => {
+		let node = document.createElement("div");
+		node.className = "commit";
+
+		let title = document.createElement("div");
+		title.className = "commit-title";
+		title.textContent = commit.content.message;
+		node.appendChild(title);
+
+		let description = document.createElement("div");
+		description.className = "commit-description";
+
+		let commitLink = document.createElement("a");
+		commitLink.href = "../?" + commitAddress + "/@" + commit.id;
+		commitLink.textContent = commit.id;
+		description.appendChild(commitLink);
+
+		description.appendChild(document.createTextNode(" "));
+
+		let diffLink = document.createElement("a");
+		diffLink.innerHTML = "[diff]";
+		diffLink.href = "../commit/?" + commitAddress + "/" + commit.id;
+		description.appendChild(diffLink);
+
+		description.appendChild(document.createElement("br"));
+
+		description.appendChild(document.createTextNode(repo.parseAuthor(commit.content.committer)));
+
+		node.appendChild(description);
+
+		document.getElementById("commits").appendChild(node);
+	});
+}
+
+function showDiff(diff) {
+	diff.forEach(item => {
+		let node = document.createElement("div");
+		node.className = "diff-file";
+
+		let header = document.createElement("div");
+		header.className = "diff-header";
+		header.textContent = item.name;
+		if(item.type == "blob" && !item.binary) {
+			showStats(header, item.insertions, item.deletions);
+		}
+		node.appendChild(header);
+
+		if(item.type == "blob") {
+			node.appendChild(item.content);
+		} else if(item.type == "submodule") {
+			node.appendChild(item.content);
+		}
+
+		document.getElementById("diffs").appendChild(node);
+	});
+}
+
+let other = null;
+repo.addMerger()
+	.then(() => {
+		return repo.getContent();
+	})
+	.then(content => {
+		if(!content.installed) {
+			location.href = "../../install/?" + address;
+		}
+
+		setTitle("Compare - " + content.title);
+
+		showTitle(content.title);
+		showHeader(1, content);
+		showTabs(1);
+
+		let compareBase = document.getElementById("compare_base");
+		let compareHead = document.getElementById("compare_head");
+		compareHead.value = forkAddress ? forkAddress + ":" + head : head;
+
+		let load = () => {
+			location.href = "?" + address + "/" + compareBase.value + "..." + compareHead.value;
+		};
+		document.getElementById("compare_load").onclick = load;
+		[compareBase, compareHead].forEach(input => {
+			input.onkeypress = e => {
+				if(e.keyCode == 13) {
+					load();
+				}
+			};
+		});
+
+		return (base ? Promise.resolve(base) : repo.vcs.getHead())
+			.then(b => {
+				base = b;
+				compareBase.value = base;
+
+				return showDiffSettings();
+			});
+	})
+	.then(() => {
+		if(!head) {
+			return;
+		}
+
+		if(forkAddress) {
+			other = new Repository(forkAddress, zeroPage);
+		}
+
+		document.getElementById("compare_status").textContent = "Comparing...";
+		return (other ? other.addMerger() : Promise.resolve())
+			.then(() => repo.compare(base, head, other))
+			.then(result => {
+				let status = document.getElementById("compare_status");
+				let headName = forkAddress ? forkAddress + ":" + head : head;
+
+				if(result.commits.length == 0) {
+					status.textContent = base + " is up to date with " + headName;
+					return;
+				}
+
+				status.textContent = (
+					result.commits.length + " commit" + (result.commits.length == 1 ? "" : "s") + ", " +
+					result.stats.files + " file" + (result.stats.files == 1 ? "" : "s") + " changed"
+				);
+				showStats(status, result.stats.insertions, result.stats.deletions);
+
+				if(!result.mergeBase) {
+					status.appendChild(document.createTextNode(". " + base + " and " + headName + " have unrelated histories"));
+				}
+
+				showCommits(result.commits);
+				showDiff(result.diff);
+			});
+	})
+	.catch(e => {
+		document.getElementById("compare_status").textContent = e;
+	});
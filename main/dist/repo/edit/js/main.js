@@ -15,20 +15,32 @@ repo.addMerger()
 
 		showTitle(content.title);
 		showHeader(1, content);
-		showBranches();
 		showPath(true);
 		showTabs(1);
 
 		document.getElementById("view").href = "../file/?" + address + "/" + path.replace(/@/g, "@@") + "@" + branch.replace(/@/g, "@@");
 
+		return showBranches();
+	})
+	.then(() => {
 		return repo.getFiles(branch, "");
 	})
 	.then(() => {
 		// Tree exists
-		return repo.getFile(branch, path)
+		let staged;
+		return showStaged(1)
+			.then(changes => {
+				staged = changes.find(change => change.path == path);
+				return repo.getFile(branch, path);
+			})
 			.then(blob => {
 				let fileContent = document.getElementById("file_content");
-				fileContent.value = repo.vcs.decodeUTF8(blob);
+				if(staged && staged.content !== undefined) {
+					// Continue editing staged version
+					fileContent.value = repo.vcs.decodeUTF8(staged.content);
+				} else {
+					fileContent.value = repo.vcs.decodeUTF8(blob);
+				}
 
 				let saveButton = document.getElementById("save");
 				let commitMessage = document.getElementById("commit_message");
@@ -48,6 +60,63 @@ repo.addMerger()
 							commitMessage.value = "";
 						});
 				};
+
+				document.getElementById("stage").onclick = () => {
+					repo.stageFile(branch, path, repo.vcs.encodeUTF8(fileContent.value))
+						.then(() => showStaged(1));
+				};
+
+				document.getElementById("rename").onclick = () => {
+					zeroPage.prompt("New path:")
+						.then(newPath => {
+							newPath = newPath.split("/").filter(part => part.length).join("/");
+							if(!newPath || newPath == path) {
+								return;
+							}
+
+							return repo.stageFile(branch, path, repo.vcs.encodeUTF8(fileContent.value))
+								.then(() => repo.stageRename(branch, path, newPath))
+								.then(() => showStaged(1))
+								.then(() => zeroPage.alert("Renaming " + path + " to " + newPath + " is staged"));
+						})
+						.catch(e => zeroPage.error(e));
+				};
+
+				document.getElementById("remove").onclick = () => {
+					zeroPage.confirm("Delete " + path + "?")
+						.then(() => repo.stageRemove(branch, path))
+						.then(() => showStaged(1))
+						.then(() => zeroPage.alert("Deleting " + path + " is staged"));
+				};
+
+				let chmodButton = document.getElementById("chmod");
+				if(!repo.git) {
+					chmodButton.style.display = "none";
+					return;
+				}
+
+				repo.vcs.readBranchCommit(branch)
+					.then(commit => repo.getTreeEntry(commit.content.tree, path))
+					.then(entry => {
+						let executable = entry.mode == "100755";
+						if(staged && staged.executable !== undefined) {
+							executable = staged.executable;
+						}
+
+						let updateChmodButton = () => {
+							chmodButton.textContent = executable ? "Make non-executable" : "Make executable";
+						};
+						updateChmodButton();
+
+						chmodButton.onclick = () => {
+							repo.stageChmod(branch, path, !executable)
+								.then(() => {
+									executable = !executable;
+									updateChmodButton();
+									return showStaged(1);
+								});
+						};
+					});
 			}, () => {
 				// Blob doesn't exist
 				let fileContent = document.getElementById("file_content");
@@ -34,6 +34,8 @@ repo.addMerger()
 	})
 	.then(h => {
 		head = h;
+		document.getElementById("blame").href = "../blame/?" + address + "/" + path.replace(/@/g, "@@") + "@" + head.replace(/@/g, "@@");
+		document.getElementById("history").href = "../history/?" + address + "/" + path.replace(/@/g, "@@") + "@" + head.replace(/@/g, "@@");
 		return repo.vcs.readBranchCommit(head);
 	})
 	.then(commit => {
@@ -0,0 +1,90 @@
+if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
+	location.href = "../../default/";
+}
+
+let head;
+
+repo.addMerger()
+	.then(() => {
+		return repo.getContent();
+	})
+	.then(content => {
+		if(!content.installed) {
+			location.href = "../../install/?" + address;
+		}
+
+		setTitle("History of " + path + " - " + content.title);
+
+		showTitle(content.title);
+		showHeader(1, content);
+		showBranches();
+		showPath(true);
+		showTabs(1);
+
+		return branch || repo.vcs.getHead();
+	})
+	.then(h => {
+		head = h;
+
+		document.getElementById("view_file").href = "../file/?" + address + "/" + path.replace(/@/g, "@@") + "@" + head.replace(/@/g, "@@");
+
+		return repo.getFileHistory(head, path);
+	})
+	.then(history => {
+		document.getElementById("commits").innerHTML = "";
+
+		history.forEach(entry => {
+			let commit = entry.commit;
+
+			let node = document.createElement("div");
+			node.className = "commit";
+
+			let title = document.createElement("div");
+			title.className = "commit-title";
+			title.textContent = commit.content.message;
+			node.appendChild(title);
+
+			let description = document.createElement("div");
+			description.className = "commit-description";
+
+			let commitLink = document.createElement("a");
+			commitLink.href = "../file/?" + address + "/" + entry.path.replace(/@/g, "@@") + "@" + commit.id;
+			commitLink.textContent = commit.id;
+			description.appendChild(commitLink);
+
+			description.appendChild(document.createTextNode(" "));
+
+			let diffLink = document.createElement("a");
+			diffLink.innerHTML = "[diff]";
+			diffLink.href = "../commit/?" + address + "/" + commit.id + "@" + encodeURIComponent(entry.path);
+			description.appendChild(diffLink);
+
+			description.appendChild(document.createElement("br"));
+
+			description.appendChild(document.createTextNode(repo.parseAuthor(commit.content.committer)));
+
+			node.appendChild(description);
+
+			document.getElementById("commits").appendChild(node);
+
+			if(entry.action == "rename") {
+				let note = document.createElement("div");
+				note.className = "note";
+				note.textContent = "File was renamed from " + entry.oldPath + " to " + entry.path + " in " + commit.id;
+				document.getElementById("commits").appendChild(note);
+			} else if(entry.action == "add") {
+				let note = document.createElement("div");
+				note.className = "note";
+				note.textContent = "File " + entry.path + " was added in " + commit.id;
+				document.getElementById("commits").appendChild(note);
+			}
+		});
+	})
+	.catch(e => {
+		document.getElementById("commits").innerHTML = "";
+
+		let note = document.createElement("div");
+		note.className = "note";
+		note.textContent = e;
+		document.getElementById("commits").appendChild(note);
+	});
@@ -193,6 +193,23 @@ function showPath(isCurrentFile, prefix) {
 	});
 }
 
+// Shows link to staged changes of current branch, if there are any
+function showStaged(level) {
+	let link = document.getElementById("staged");
+	link.href = (
+		"../".repeat(level) +
+		"staged/" +
+		"?" + address + "@" + branch.replace(/@/g, "@@")
+	);
+
+	return repo.getStaged(branch)
+		.then(changes => {
+			link.textContent = "Review staged changes (" + changes.length + ")";
+			link.style.display = changes.length ? "inline-block" : "none";
+			return changes;
+		});
+}
+
 function copy(text) {
 	let input = document.createElement("input");
 	input.value = text;
@@ -233,4 +250,68 @@ function showLinks() {
 				};
 			});
 	}
+}
+
+// Appends signature badge of commit or tag `object` to `node`. The badge is
+// filled in once the signature is checked, unsigned objects get no badge.
+function showSignature(node, object) {
+	let badge = document.createElement("span");
+	node.appendChild(badge);
+
+	return repo.verifySignature(object)
+		.then(result => {
+			if(!result) {
+				node.removeChild(badge);
+				return;
+			}
+
+			badge.className = "signature signature-" + result.status;
+			badge.textContent = {
+				verified: "Verified",
+				unverified: "Unverified",
+				unknown: "Unknown signature"
+			}[result.status];
+			badge.title = result.reason;
+			node.appendChild(badge);
+		});
+}
+
+// Downloads tree at `head` as archive, disabling `button` meanwhile
+function downloadArchive(button, head, format) {
+	if(button.classList.contains("button-disabled")) {
+		return;
+	}
+
+	button.classList.add("button-disabled");
+	repo.downloadArchive(head, format)
+		.catch(e => zeroPage.error(e))
+		.then(() => button.classList.remove("button-disabled"));
+}
+
+// Loads diff view settings and shows them above diffs. Changing them reloads
+// the page.
+function showDiffSettings() {
+	return repo.getDiffSettings()
+		.then(settings => {
+			let node = document.createElement("div");
+			node.className = "diff-settings";
+
+			let addButton = (text, active, change) => {
+				let button = document.createElement("a");
+				button.className = "button" + (active ? " button-blue" : "");
+				button.textContent = text;
+				button.onclick = () => {
+					repo.setDiffSettings(Object.assign({}, settings, change))
+						.then(() => location.reload());
+				};
+				node.appendChild(button);
+			};
+
+			addButton("Unified", !settings.split, {split: false});
+			addButton("Split", settings.split, {split: true});
+			addButton("Ignore whitespace", settings.ignoreWhitespace, {ignoreWhitespace: !settings.ignoreWhitespace});
+
+			let diffs = document.getElementById("diffs");
+			diffs.parentNode.insertBefore(node, diffs);
+		});
 }
\ No newline at end of file
@@ -4,6 +4,50 @@ if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
 
 let content, head;
 
+// Shows bundle export: a list of refs to choose from
+function showBundle() {
+	let link = document.getElementById("bundle_link");
+	link.style.display = "inline-block";
+	link.onclick = () => {
+		document.getElementById("bundle").style.display = "block";
+	};
+
+	repo.getBranches()
+		.then(refs => {
+			let checkboxes = refs.map(ref => {
+				let label = document.createElement("label");
+				label.className = "bundle-ref";
+
+				let checkbox = document.createElement("input");
+				checkbox.type = "checkbox";
+				checkbox.checked = true;
+				checkbox.value = ref;
+				label.appendChild(checkbox);
+
+				label.appendChild(document.createTextNode(" " + ref.replace(/^refs\/(heads|tags)\//, "")));
+				if(ref.indexOf("refs/tags/") == 0) {
+					label.appendChild(document.createTextNode(" (tag)"));
+				}
+
+				document.getElementById("bundle_refs").appendChild(label);
+				return checkbox;
+			});
+
+			let button = document.getElementById("bundle_download");
+			button.onclick = () => {
+				let chosen = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+				if(chosen.length == 0 || button.classList.contains("button-disabled")) {
+					return;
+				}
+
+				button.classList.add("button-disabled");
+				repo.downloadBundle(chosen)
+					.catch(e => zeroPage.error(e))
+					.then(() => button.classList.remove("button-disabled"));
+			};
+		});
+}
+
 repo.addMerger()
 	.then(() => {
 		return repo.getContent();
@@ -19,7 +63,8 @@ repo.addMerger()
 
 		showTitle(content.title);
 		showHeader(0, content);
-		showBranches();
+		showBranches()
+			.then(() => showStaged(0));
 		showPath(false);
 		showLinks();
 		showTabs(0);
@@ -36,6 +81,16 @@ repo.addMerger()
 	})
 	.then(h => {
 		head = h;
+
+		let downloadZip = document.getElementById("download_zip");
+		downloadZip.onclick = () => downloadArchive(downloadZip, head, "zip");
+		let downloadTar = document.getElementById("download_tar");
+		downloadTar.onclick = () => downloadArchive(downloadTar, head, "tar.gz");
+
+		if(repo.git) {
+			showBundle();
+		}
+
 		return repo.vcs.readBranchCommit(head);
 	})
 	.then(commit => {
@@ -75,10 +130,9 @@ repo.addMerger()
 					}
 
 					if(file.type == "submodule") {
-						let url = file.submodule.url.match(/(1[A-Za-z0-9]{25,34})/);
-						if(url) {
-							// Likely Git Center URL
-							location.href = "?" + url[1];
+						if(repo.getSubmoduleAddress(file.submodule)) {
+							// Likely Git Center URL, browse pinned commit in place
+							location.href = "?" + address + "/" + ((path ? path + "/" : "") + file.name).replace(/@/g, "@@") + "@" + branch.replace(/@/g, "@@");
 						} else if(/^git@.*:.*$/.test(file.submodule.url)) {
 							// SSH
 
@@ -115,6 +169,13 @@ repo.addMerger()
 				name.textContent = file.name;
 				tr.appendChild(name);
 
+				if(file.type == "submodule") {
+					let commit = document.createElement("span");
+					commit.className = "submodule-commit";
+					commit.textContent = " @ " + file.id.substr(0, 7);
+					name.appendChild(commit);
+				}
+
 				let icon = document.createElement("img");
 				icon.className = "file-icon";
 				icon.src = "../img/" + file.type + ".svg";
@@ -79,11 +79,45 @@ repo.addMerger()
 			location.href = "?" + address + "/" + document.getElementById("commit_count").value + "@" + branch.replace(/@/g, "@@");
 		};
 
+		repo.isSignable()
+			.then(signable => {
+				if(!signable) {
+					return;
+				}
+
+				let apply = document.getElementById("apply_patches");
+				apply.style.display = "inline-block";
+				apply.onclick = () => {
+					let text;
+					return repo.pickFile()
+						.then(content => {
+							text = repo.vcs.decodeUTF8(content);
+							return zeroPage.confirm("Apply patches onto " + branch + "?");
+						})
+						.then(() => repo.applyPatches(branch, text))
+						.then(commits => {
+							zeroPage.alert("Applied " + commits.length + " patch" + (commits.length == 1 ? "" : "es") + " onto " + branch);
+							location.reload();
+						})
+						.catch(e => {
+							let note = document.createElement("div");
+							note.className = "note patch-rejected";
+							note.textContent = e;
+							document.getElementById("commits").insertBefore(note, document.getElementById("commits").firstChild);
+						});
+				};
+			});
+
 		return repo.getCommits(branch, count);
 	})
 	.then(commits => {
 		document.getElementById("commits").innerHTML = "";
 
+		document.getElementById("export_patches").onclick = () => {
+			repo.downloadPatches(commits.map(commit => commit.id))
+				.catch(e => zeroPage.error(e));
+		};
+
 		commits.forEach(commit => {
 			let node = document.createElement("div");
 			node.className = "commit";
@@ -108,6 +142,20 @@ repo.addMerger()
 			diffLink.href = "../commit/?" + address + "/" + commit.id;
 			description.appendChild(diffLink);
 
+			if(commit.content.parents.length < 2) {
+				description.appendChild(document.createTextNode(" "));
+
+				let patchLink = document.createElement("a");
+				patchLink.innerHTML = "[patch]";
+				patchLink.onclick = () => {
+					repo.downloadPatches([commit.id])
+						.catch(e => zeroPage.error(e));
+				};
+				description.appendChild(patchLink);
+			}
+
+			showSignature(description, commit);
+
 			description.appendChild(document.createElement("br"));
 
 			description.appendChild(document.createTextNode(repo.parseAuthor(commit.content.committer)));
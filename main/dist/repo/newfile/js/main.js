@@ -15,7 +15,8 @@ repo.addMerger()
 
 		showTitle(content.title);
 		showHeader(1, content);
-		showBranches();
+		showBranches()
+			.then(() => showStaged(1));
 		showPath(true, true);
 		showTabs(1);
 
@@ -53,4 +54,33 @@ repo.addMerger()
 					location.href = "../?" + address + "/" + path.replace(/@/g, "@@") + "@" + (repo.vcs.isSha(branch) ? commit : branch).replace(/@/g, "@@");
 				});
 		};
+
+		document.getElementById("stage").onclick = () => {
+			if(fileName.value == "") {
+				zeroPage.alert("Please fill file name in");
+				return;
+			}
+
+			repo.stageFile(branch, (path ? path + "/" : "") + fileName.value, repo.vcs.encodeUTF8(fileContent.value))
+				.then(() => {
+					fileName.value = "";
+					fileContent.value = "";
+					return showStaged(1);
+				});
+		};
+
+		document.getElementById("upload_stage").onclick = () => {
+			if(fileName.value == "") {
+				zeroPage.alert("Please fill file name in");
+				return;
+			}
+
+			let filePath = (path ? path + "/" : "") + fileName.value;
+			repo.pickFile()
+				.then(content => repo.stageFile(branch, filePath, content))
+				.then(() => {
+					fileName.value = "";
+					return showStaged(1);
+				});
+		};
 	});
\ No newline at end of file
@@ -24,7 +24,7 @@ repo.addMerger()
 				.filter(tag => tag.length > 0)
 				.filter((tag, i, arr) => arr.indexOf(tag) == i);
 
-			repo.addPullRequest(document.getElementById("title").value, document.getElementById("content").value, document.getElementById("fork_address").value, document.getElementById("fork_branch").value, tags)
+			repo.addPullRequest(document.getElementById("title").value, document.getElementById("content").value, document.getElementById("fork_address").value, document.getElementById("fork_branch").value, tags, document.getElementById("target_branch").value.trim())
 				.then(pullRequest => {
 					location.href = "../view/?" + address + "/" + pullRequest.id + "@" + pullRequest.json.replace("data/users/", "");
 				});
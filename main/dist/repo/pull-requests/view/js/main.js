@@ -43,6 +43,16 @@ repo.addMerger()
 		document.getElementById("pull_request_fork_address").textContent = pullRequest.fork_address;
 		document.getElementById("pull_request_fork_branch").textContent = pullRequest.fork_branch;
 
+		repo.getPullRequestTarget(pullRequest)
+			.then(target => {
+				document.getElementById("pull_request_target_branch").textContent = target;
+				document.getElementById("pull_request_compare").href = (
+					"../../../compare/?" + address + "/" + target + "..." +
+					repo.getForkAddress(pullRequest) + ":" + pullRequest.fork_branch
+				);
+			})
+			.catch(e => zeroPage.error(e));
+
 		setTitle(pullRequest.title + " - " + content.title);
 
 		showTags("pull_request", pullRequest);
@@ -76,5 +86,34 @@ repo.addMerger()
 						commentImport.classList.remove("button-disabled");
 					});
 			};
+
+			let commentMerge = document.getElementById("comment_merge");
+			commentMerge.style.display = pullRequest.merged ? "none" : "inline-block";
+			commentMerge.title = "Merge " + pullRequest.fork_address + "/" + pullRequest.fork_branch + " into " + (pullRequest.target_branch || "the default branch");
+			commentMerge.onclick = () => {
+				if(commentMerge.classList.contains("button-disabled")) {
+					return;
+				}
+				commentMerge.classList.add("button-disabled");
+
+				repo.mergePullRequest(pullRequest)
+					.then(result => {
+						if(result.conflicts.length) {
+							// Let the maintainer resolve the conflicts
+							location.href = "merge/?" + address + "/" + id + "@" + json.replace("data/users/", "");
+							return;
+						}
+
+						return repo.issues.changePullRequestStatus(id, json, true)
+							.then(() => {
+								zeroPage.alert(result.fastForward ? "Pull request was merged (fast-forward)." : "Pull request was merged.");
+								location.reload();
+							});
+					})
+					.catch(e => {
+						zeroPage.error(e);
+						commentMerge.classList.remove("button-disabled");
+					});
+			};
 		}
 	});
\ No newline at end of file
@@ -0,0 +1,312 @@
+if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
+	location.href = "../../../../default/";
+}
+
+if(additional.indexOf("@") == -1) {
+	location.href = "../../?" + address;
+}
+
+let id = parseInt(additional.substr(0, additional.indexOf("@")));
+let json = "data/users/" + additional.substr(additional.indexOf("@") + 1);
+
+if(isNaN(id) || json == "data/users/") {
+	location.href = "../../?" + address;
+}
+
+let viewLink = "../?" + address + "/" + id + "@" + json.replace("data/users/", "");
+
+// Lines of `lines` as byte array for diffContent(), with a trailing newline
+// so that it isn't reported as missing
+function linesToContent(lines) {
+	return lines.length ? repo.vcs.encodeUTF8(lines.join("\n") + "\n") : [];
+}
+
+function createButton(text, onclick) {
+	let button = document.createElement("a");
+	button.className = "button merge-choice";
+	button.textContent = text;
+	button.onclick = onclick;
+	return button;
+}
+
+// Marks `button` as the chosen one among its siblings
+function choose(button) {
+	Array.from(button.parentNode.getElementsByClassName("merge-choice")).forEach(sibling => {
+		sibling.classList.toggle("button-blue", sibling == button);
+	});
+}
+
+function createContext(lines) {
+	let context = document.createElement("pre");
+	context.className = "merge-context";
+	context.textContent = lines.join("\n");
+	return context;
+}
+
+// Shows one conflicting hunk and returns `{getLines}`, which returns the
+// chosen lines or null if nothing was chosen yet
+function showHunk(region, before, after, labels, file) {
+	let hunk = document.createElement("div");
+	hunk.className = "merge-hunk";
+
+	let header = document.createElement("div");
+	header.className = "merge-hunk-header";
+
+	let choice = null;
+	let edit = document.createElement("textarea");
+	edit.className = "file-content-text merge-edit";
+	edit.value = [].concat(
+		"<<<<<<< " + labels.ours,
+		region.ours,
+		"=======",
+		region.theirs,
+		">>>>>>> " + labels.theirs
+	).join("\n");
+
+	header.appendChild(createButton("Use " + labels.ours, function() {
+		choice = "ours";
+		edit.style.display = "none";
+		choose(this);
+	}));
+	header.appendChild(createButton("Use " + labels.theirs, function() {
+		choice = "theirs";
+		edit.style.display = "none";
+		choose(this);
+	}));
+	header.appendChild(createButton("Edit", function() {
+		choice = "edit";
+		edit.style.display = "block";
+		edit.focus();
+		choose(this);
+	}));
+	hunk.appendChild(header);
+
+	if(before && before.lines.length) {
+		hunk.appendChild(createContext(before.lines.slice(-3)));
+	}
+	hunk.appendChild(repo.diffContent(linesToContent(region.theirs), linesToContent(region.ours)));
+	hunk.appendChild(edit);
+	if(after && after.lines.length) {
+		hunk.appendChild(createContext(after.lines.slice(0, 3)));
+	}
+
+	file.appendChild(hunk);
+
+	return {
+		getLines: () => {
+			if(choice == "edit") {
+				return edit.value.split("\n");
+			}
+			return choice ? region[choice] : null;
+		}
+	};
+}
+
+// Each conflict gets `getChange()`, which returns the makeTreeDeltaPath()
+// change resolving it, null to keep the merged version, or false if it isn't
+// resolved yet
+function showContentConflict(conflict, labels, file) {
+	return repo.getConflictRegions(conflict)
+		.then(regions => {
+			let hunks = regions.map((region, i) => {
+				if(region.conflict) {
+					return showHunk(region, regions[i - 1], regions[i + 1], labels, file);
+				}
+				return null;
+			});
+
+			conflict.getChange = () => {
+				let lines = [];
+				for(let i = 0; i < regions.length; i++) {
+					let regionLines = hunks[i] ? hunks[i].getLines() : regions[i].lines;
+					if(!regionLines) {
+						return false;
+					}
+					lines = lines.concat(regionLines);
+				}
+
+				return {
+					path: conflict.path,
+					type: "blob",
+					content: repo.vcs.encodeUTF8(lines.join("\n"))
+				};
+			};
+		});
+}
+
+function showFileConflict(conflict, labels, file) {
+	let description = document.createElement("div");
+	description.className = "merge-hunk-header";
+	file.appendChild(description);
+
+	// The merged tree has our version, or the only remaining one
+	let current = conflict.ours || conflict.theirs;
+
+	if(conflict.reason == "submodule") {
+		description.textContent = "Submodule was changed on both sides, " + labels.ours + " version is kept";
+		conflict.getChange = () => null;
+		return;
+	}
+
+	let describe = (item, label) => {
+		if(!item) {
+			return "Delete file";
+		}
+		return "Use " + label + " " + (item.type == "tree" ? "directory" : item.type == "submodule" ? "submodule" : "file");
+	};
+
+	let choice = null;
+	description.appendChild(createButton(describe(conflict.ours, labels.ours), function() {
+		choice = "ours";
+		choose(this);
+	}));
+	description.appendChild(createButton(describe(conflict.theirs, labels.theirs), function() {
+		choice = "theirs";
+		choose(this);
+	}));
+
+	conflict.getChange = () => {
+		if(!choice) {
+			return false;
+		}
+
+		let chosen = conflict[choice];
+		if(chosen == current) {
+			return null;
+		} else if(!chosen) {
+			return {path: conflict.path, remove: true};
+		}
+		return {path: conflict.path, type: chosen.type, mode: chosen.mode, id: chosen.id};
+	};
+}
+
+function showConflicts(result, labels) {
+	let diffs = document.getElementById("diffs");
+
+	return Promise.all(
+		result.conflicts.map(conflict => {
+			let file = document.createElement("div");
+			file.className = "diff-file";
+
+			let header = document.createElement("div");
+			header.className = "diff-header";
+			header.textContent = conflict.path;
+
+			let reason = document.createElement("span");
+			reason.className = "diff-action";
+			reason.textContent = {
+				content: "conflicting changes",
+				binary: "binary file changed on both sides",
+				"modify/delete": "changed on one side, deleted on the other",
+				type: "file and directory",
+				submodule: "submodule changed on both sides"
+			}[conflict.reason];
+			header.appendChild(reason);
+
+			file.appendChild(header);
+			diffs.appendChild(file);
+
+			if(conflict.reason == "content") {
+				return showContentConflict(conflict, labels, file);
+			} else {
+				return showFileConflict(conflict, labels, file);
+			}
+		})
+	);
+}
+
+let pullRequest, user;
+repo.addMerger()
+	.then(() => {
+		return repo.getContent();
+	})
+	.then(content => {
+		if(!content.installed) {
+			location.href = "../../../../install/?" + address;
+		}
+
+		setTitle("Merge pull request - " + content.title);
+
+		showTitle(content.title);
+		showHeader(3, content);
+		showTabs(3);
+
+		document.getElementById("back").href = viewLink;
+
+		return repo.getDiffSettings();
+	})
+	.then(() => {
+		return repo.getPullRequest(id, json);
+	})
+	.then(p => {
+		pullRequest = p;
+		user = pullRequest.cert_user_id.replace(/@.*/, "");
+
+		document.getElementById("pull_request_title").textContent = pullRequest.title;
+		document.getElementById("pull_request_id").textContent = id;
+		document.getElementById("pull_request_json_id").textContent = json.replace("data/users/", "");
+
+		if(!pullRequest.owned || pullRequest.merged) {
+			location.href = viewLink;
+			return Promise.reject("Pull request can't be merged");
+		}
+
+		return repo.mergePullRequest(pullRequest);
+	})
+	.then(result => {
+		let status = document.getElementById("merge_status");
+
+		if(result.commit) {
+			// Merged cleanly, e.g. after the conflicts were fixed in the fork
+			return repo.issues.changePullRequestStatus(id, json, true)
+				.then(() => {
+					zeroPage.alert("Pull request was merged without conflicts.");
+					location.href = viewLink;
+				});
+		}
+
+		let labels = {ours: result.base, theirs: user + "/" + pullRequest.fork_branch};
+		status.textContent = (
+			"Merging " + labels.theirs + " into " + labels.ours + " conflicts in " +
+			result.conflicts.length + " file" + (result.conflicts.length == 1 ? "" : "s") +
+			". Choose a version of each conflicting part or edit it, then commit the merge."
+		);
+
+		let commitMessage = document.getElementById("commit_message");
+		commitMessage.value = "Merge pull request #" + id + " from " + labels.theirs;
+		document.getElementById("merge_commit").style.display = "flex";
+
+		let commitButton = document.getElementById("commit");
+		commitButton.onclick = () => {
+			if(commitButton.classList.contains("button-disabled")) {
+				return;
+			}
+			if(commitMessage.value == "") {
+				return;
+			}
+
+			let changes = result.conflicts.map(conflict => conflict.getChange());
+			let unresolved = result.conflicts.filter((conflict, i) => changes[i] === false);
+			if(unresolved.length) {
+				zeroPage.error("Resolve conflicts in " + unresolved.map(conflict => conflict.path).join(", ") + " first");
+				return;
+			}
+
+			commitButton.classList.add("button-disabled");
+
+			repo.resolveMerge(result.base, result.parents, result.tree, changes.filter(change => change), commitMessage.value)
+				.then(() => repo.issues.changePullRequestStatus(id, json, true))
+				.then(() => {
+					location.href = viewLink;
+				}, e => {
+					commitButton.classList.remove("button-disabled");
+					zeroPage.error(e);
+				});
+		};
+
+		return showConflicts(result, labels);
+	})
+	.catch(e => {
+		document.getElementById("merge_status").textContent = "Merging failed";
+		zeroPage.error(e);
+	});
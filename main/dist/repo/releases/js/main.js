@@ -42,6 +42,16 @@ repo.addMerger()
 			tag.textContent = release.tag;
 			node.appendChild(tag);
 
+			showSignature(tag, release.object);
+
+			["zip", "tar.gz"].forEach(format => {
+				let download = document.createElement("a");
+				download.className = "button release-download";
+				download.textContent = format == "zip" ? "Download ZIP" : "Download tar.gz";
+				download.onclick = () => downloadArchive(download, release.tag, format);
+				node.appendChild(download);
+			});
+
 			if(isSignable) {
 				let button = document.createElement("a");
 				button.className = "button release-not-release";
@@ -47,6 +47,57 @@ repo.addMerger()
 				});
 		};
 
+		// Repack
+		let repack = document.getElementById("repack");
+		if(!repo.git) {
+			document.getElementById("repack_entry").style.display = "none";
+		}
+
+		repack.onclick = () => {
+			if(repack.classList.contains("button-disabled")) {
+				return;
+			}
+			repack.classList.add("button-disabled");
+
+			repo.repack()
+				.then(count => {
+					repack.classList.remove("button-disabled");
+					zeroPage.alert(count ? "Packed " + count + " objects" : "There are no loose objects to pack");
+				}, e => {
+					zeroPage.error(e);
+					repack.classList.remove("button-disabled");
+				});
+		};
+
+		// Large files
+		let lfsThreshold = document.getElementById("lfs_threshold");
+		let lfsSave = document.getElementById("lfs_threshold_save");
+		if(!repo.git) {
+			document.getElementById("lfs_entry").style.display = "none";
+		}
+
+		lfsThreshold.value = (typeof content.lfs_threshold == "number" ? content.lfs_threshold : Repository.defaultLfsThreshold) / 1024;
+		lfsSave.onclick = () => {
+			if(lfsSave.classList.contains("button-disabled")) {
+				return;
+			}
+
+			let threshold = Math.round(parseFloat(lfsThreshold.value) * 1024);
+			if(isNaN(threshold) || threshold < 0) {
+				zeroPage.alert("Please enter a non-negative size");
+				return;
+			}
+
+			lfsSave.classList.add("button-disabled");
+			repo.changeLfsThreshold(threshold)
+				.then(() => {
+					lfsSave.classList.remove("button-disabled");
+				}, e => {
+					zeroPage.error(e);
+					lfsSave.classList.remove("button-disabled");
+				});
+		};
+
 		// Description
 		let input = document.getElementById("description");
 		let button = document.getElementById("description_save");
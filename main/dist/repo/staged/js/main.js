@@ -0,0 +1,109 @@
+if(address == "1RepoXU8bQE9m7ssNwL4nnxBnZVejHCc6") {
+	location.href = "../../default/";
+}
+
+function showDiff() {
+	let diffs = document.getElementById("diffs");
+	diffs.innerHTML = "";
+
+	return repo.diffStaged(branch)
+		.then(diff => {
+			if(diff.length == 0) {
+				let empty = document.createElement("div");
+				empty.className = "staged-empty";
+				empty.textContent = "No changes are staged on " + branch;
+				diffs.appendChild(empty);
+
+				document.getElementById("staged_commit").style.display = "none";
+				return;
+			}
+
+			diff.forEach(item => {
+				let file = document.createElement("div");
+				file.className = "diff-file";
+
+				let header = document.createElement("div");
+				header.className = "diff-header";
+				header.textContent = item.name;
+
+				let action = document.createElement("span");
+				action.className = "diff-action";
+				action.textContent = {
+					add: "added",
+					remove: "deleted",
+					rename: "renamed",
+					modified: "modified"
+				}[item.action];
+				if(item.executable !== undefined) {
+					action.textContent += item.executable ? ", executable" : ", not executable";
+				}
+				header.appendChild(action);
+
+				let unstage = document.createElement("a");
+				unstage.className = "diff-unstage";
+				unstage.textContent = "Unstage";
+				unstage.onclick = () => {
+					repo.unstage(branch, item.path)
+						.then(() => showDiff());
+				};
+				header.appendChild(unstage);
+
+				file.appendChild(header);
+				file.appendChild(item.content);
+				diffs.appendChild(file);
+			});
+		});
+}
+
+repo.addMerger()
+	.then(() => {
+		return repo.getContent();
+	})
+	.then(content => {
+		if(!content.installed) {
+			location.href = "../../install/?" + address;
+		}
+
+		setTitle("Staged changes - " + content.title);
+
+		showTitle(content.title);
+		showHeader(1, content);
+		showTabs(1);
+
+		return showDiffSettings();
+	})
+	.then(() => {
+		return showBranches();
+	})
+	.then(() => {
+		document.getElementById("back").href = "../?" + address + "@" + branch.replace(/@/g, "@@");
+
+		let commitButton = document.getElementById("commit");
+		let commitMessage = document.getElementById("commit_message");
+		commitButton.onclick = () => {
+			if(commitButton.classList.contains("button-disabled")) {
+				return;
+			}
+			if(commitMessage.value == "") {
+				return;
+			}
+
+			commitButton.classList.add("button-disabled");
+
+			repo.commitStaged(branch, commitMessage.value)
+				.then(commit => {
+					location.href = "../?" + address + "@" + (repo.vcs.isSha(branch) ? commit : branch).replace(/@/g, "@@");
+				}, e => {
+					commitButton.classList.remove("button-disabled");
+					zeroPage.error(e);
+				});
+		};
+
+		document.getElementById("discard").onclick = () => {
+			zeroPage.confirm("Discard all staged changes?")
+				.then(() => repo.clearStaged(branch))
+				.then(() => showDiff());
+		};
+
+		return showDiff();
+	});
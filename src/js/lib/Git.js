@@ -2,12 +2,61 @@
  * Modernized Git implementation with better error handling and async patterns
  */
 
+import { Deflate, Inflate } from 'pako';
+import { Sha1 } from '../utils/Sha1.js';
+
+// Git writes loose objects with core.looseCompression, which defaults to
+// Z_BEST_SPEED; using the same level keeps our objects byte-identical.
+const LOOSE_COMPRESSION_LEVEL = 1;
+const DEFAULT_COMPRESSION_LEVEL = 6;
+
+// Large blobs are fed to zlib in slices of this size
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+const PACK_OBJECT_TYPES = ['', 'commit', 'tree', 'blob', 'tag'];
+
+// Same limit as git's resolve_ref_unsafe
+const MAX_SYMREF_DEPTH = 5;
+
+const TREE_MODE = '40000';
+const SUBMODULE_MODE = '160000';
+const DEFAULT_MODES = {
+  tree: TREE_MODE,
+  blob: '100644',
+  submodule: SUBMODULE_MODE
+};
+
+const PACKED_REFS_HEADER = '# pack-refs with: peeled fully-peeled sorted';
+
+// Armor headers that start commit and tag signatures, as recognized by git's
+// gpg-interface
+const SIGNATURE_FORMATS = [
+  { format: 'openpgp', begin: '-----BEGIN PGP SIGNATURE-----' },
+  { format: 'openpgp', begin: '-----BEGIN PGP MESSAGE-----' },
+  { format: 'x509', begin: '-----BEGIN SIGNED MESSAGE-----' },
+  { format: 'ssh', begin: '-----BEGIN SSH SIGNATURE-----' }
+];
+
+// Orders byte arrays like memcmp, a prefix before the longer array
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return a.length - b.length;
+}
+
 export class Git {
   constructor(root, zeroPage) {
     this.root = root;
     this.zeroPage = zeroPage;
     this.packedIndex = [];
+    this.packCache = new Map();
+    this.deltaBaseCache = new Map();
     this.objectCache = new Map();
+    this.refLock = Promise.resolve();
   }
 
   async init() {
@@ -24,7 +73,7 @@ export class Git {
 
   // Utility methods
   unpackInt32(buffer) {
-    return (buffer[0] << 24) + (buffer[1] << 16) + (buffer[2] << 8) + buffer[3];
+    return ((buffer[0] << 24) | (buffer[1] << 16) | (buffer[2] << 8) | buffer[3]) >>> 0;
   }
 
   unpackSha(buffer) {
@@ -74,7 +123,7 @@ export class Git {
 
   async readFile(path) {
     try {
-      const content = await this.zeroPage.readFile(`${this.root}/${path}`);
+      const content = await this.zeroPage.readFile(`${this.root}/${path}`, true);
       return new Uint8Array(content.split('').map(char => char.charCodeAt(0)));
     } catch (error) {
       throw new Error(`Failed to read file: ${path}`);
@@ -83,7 +132,7 @@ export class Git {
 
   async writeFile(path, content) {
     const contentString = Array.from(content).map(byte => String.fromCharCode(byte)).join('');
-    return this.zeroPage.writeFile(`${this.root}/${path}`, contentString);
+    return this.zeroPage.writeFile(`${this.root}/${path}`, contentString, true);
   }
 
   async readObject(id) {
@@ -94,11 +143,13 @@ export class Git {
 
     let object;
     try {
-      if (this.packedIndex.some(packed => packed.id === id)) {
+      if (this.findPackedObject(id)) {
         object = await this.readPackedObject(id);
       } else {
         object = await this.readUnpackedObject(id);
       }
+
+      this.verifyObject(object, id);
       
       // Cache the object
       this.objectCache.set(id, object);
@@ -108,10 +159,18 @@ export class Git {
     }
   }
 
+  verifyObject(object, id) {
+    const header = this.stringToArray(`${object.type} ${object.content.length}\0`);
+    const actualId = this.sha(header, object.content);
+    if (actualId !== id) {
+      throw new Error(`Object hashes to ${actualId}`);
+    }
+  }
+
   async readUnpackedObject(id) {
     const objectPath = `objects/${id.substr(0, 2)}/${id.substr(2)}`;
     const compressed = await this.readFile(objectPath);
-    const decompressed = this.inflate(compressed);
+    const { content: decompressed } = this.inflateStream(compressed);
     
     const spaceIndex = decompressed.indexOf(32); // space
     const nullIndex = decompressed.indexOf(0);
@@ -123,11 +182,10 @@ export class Git {
   }
 
   async writeObject(type, content) {
-    const header = this.stringToArray(`${type} ${content.length}`);
-    const data = [...header, 0, ...content];
-    const id = this.sha(data);
+    const header = [...this.stringToArray(`${type} ${content.length}`), 0];
+    const id = this.sha(header, content);
     
-    const compressed = this.deflate(data);
+    const compressed = this.deflateStream([header, content], LOOSE_COMPRESSION_LEVEL);
     const objectPath = `objects/${id.substr(0, 2)}/${id.substr(2)}`;
     
     await this.writeFile(objectPath, compressed);
@@ -135,7 +193,8 @@ export class Git {
   }
 
   async readUnknownObject(id) {
-    const object = await this.readObject(id);
+    // Copy, so that parsing doesn't overwrite the cached raw content
+    const object = { ...(await this.readObject(id)) };
     
     switch (object.type) {
       case 'blob':
@@ -175,94 +234,177 @@ export class Git {
       const objectId = this.unpackSha(object.content.slice(pos, pos + 20));
       pos += 20;
       
-      const type = mode.startsWith('100') ? 'blob' : 
-                   mode.startsWith('160') ? 'submodule' : 'tree';
+      let type = 'blob';
+      if (mode === TREE_MODE) {
+        type = 'tree';
+      } else if (mode === SUBMODULE_MODE) {
+        type = 'submodule';
+      }
       
-      items.push({ type, name, id: objectId });
+      items.push({ type, mode, name, id: objectId });
     }
     
     return items;
   }
 
+  // Splits commit or tag content into headers and message. Lines starting
+  // with a space continue the value of the previous header. Each header keeps
+  // the byte range it occupies, so that signed payloads can be rebuilt.
+  parseHeaders(content) {
+    const headers = [];
+    let pos = 0;
+
+    while (pos < content.length) {
+      let end = content.indexOf(10, pos); // newline
+      if (end === -1) {
+        end = content.length;
+      }
+
+      if (end === pos) {
+        pos++;
+        break;
+      }
+
+      if (content[pos] === 32 && headers.length > 0) {
+        const header = headers[headers.length - 1];
+        header.lines.push(content.subarray(pos + 1, end));
+        header.end = end + 1;
+      } else {
+        let space = content.indexOf(32, pos);
+        if (space === -1 || space > end) {
+          space = end;
+        }
+
+        headers.push({
+          name: this.arrayToString(content.subarray(pos, space)),
+          lines: [content.subarray(space + 1, end)],
+          start: pos,
+          end: end + 1
+        });
+      }
+
+      pos = end + 1;
+    }
+
+    return {
+      headers: headers.map(({ name, lines, start, end }) => ({
+        name,
+        value: lines.map(line => this.decodeUTF8(line)).join('\n'),
+        start,
+        end
+      })),
+      message: content.subarray(pos)
+    };
+  }
+
+  // Returns signature format of armored `signature`, see SIGNATURE_FORMATS
+  getSignatureFormat(signature) {
+    const format = SIGNATURE_FORMATS.find(({ begin }) => signature.startsWith(begin));
+    return format ? format.format : 'unknown';
+  }
+
   parseCommit(object) {
-    const lines = this.arrayToString(object.content).split('\n');
+    const content = new Uint8Array(object.content);
+    const { headers, message } = this.parseHeaders(content);
     const commit = {
       tree: '',
       parents: [],
       author: '',
       committer: '',
-      message: ''
+      message: this.decodeUTF8(message),
+      signature: null
     };
-    
-    let messageStart = 0;
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line === '') {
-        messageStart = i + 1;
-        break;
-      }
-      
-      const [key, ...valueParts] = line.split(' ');
-      const value = valueParts.join(' ');
-      
-      switch (key) {
+
+    for (const header of headers) {
+      switch (header.name) {
         case 'tree':
-          commit.tree = value;
+          commit.tree = header.value;
           break;
         case 'parent':
-          commit.parents.push(value);
+          commit.parents.push(header.value);
           break;
         case 'author':
-          commit.author = this.decodeUTF8(value);
+          commit.author = header.value;
           break;
         case 'committer':
-          commit.committer = this.decodeUTF8(value);
+          commit.committer = header.value;
+          break;
+        case 'gpgsig':
+        case 'zeronetsig':
+          // The signature covers the commit without its own header
+          commit.signature = {
+            format: header.name === 'zeronetsig'
+              ? 'zeronet'
+              : this.getSignatureFormat(header.value),
+            armor: header.value,
+            payload: new Uint8Array([
+              ...content.subarray(0, header.start),
+              ...content.subarray(header.end)
+            ])
+          };
           break;
       }
     }
-    
-    commit.message = this.decodeUTF8(lines.slice(messageStart).join('\n'));
+
     return commit;
   }
 
   parseTag(object) {
-    const lines = this.arrayToString(object.content).split('\n');
+    const content = new Uint8Array(object.content);
+    const { headers, message } = this.parseHeaders(content);
     const tag = {
       target: '',
       type: '',
       tag: '',
       tagger: '',
-      message: ''
+      message: '',
+      signature: null
     };
-    
-    let messageStart = 0;
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line === '') {
-        messageStart = i + 1;
-        break;
-      }
-      
-      const [key, ...valueParts] = line.split(' ');
-      const value = valueParts.join(' ');
-      
-      switch (key) {
+
+    for (const header of headers) {
+      switch (header.name) {
         case 'object':
-          tag.target = value;
+          tag.target = header.value;
           break;
         case 'type':
-          tag.type = value;
+          tag.type = header.value;
           break;
         case 'tag':
-          tag.tag = value;
+          tag.tag = header.value;
           break;
         case 'tagger':
-          tag.tagger = this.decodeUTF8(value);
+          tag.tagger = header.value;
           break;
       }
     }
-    
-    tag.message = this.decodeUTF8(lines.slice(messageStart).join('\n'));
+
+    // Tag signatures are appended to the message and cover everything before
+    // them. Like git, use the last line that starts a signature.
+    const messageStart = content.length - message.length;
+    let signatureStart = -1;
+    let pos = messageStart;
+    while (pos < content.length) {
+      const line = this.arrayToString(content.subarray(pos, pos + 64));
+      if (SIGNATURE_FORMATS.some(({ begin }) => line.startsWith(begin))) {
+        signatureStart = pos;
+      }
+
+      const end = content.indexOf(10, pos);
+      pos = end === -1 ? content.length : end + 1;
+    }
+
+    if (signatureStart === -1) {
+      tag.message = this.decodeUTF8(message);
+    } else {
+      const armor = this.decodeUTF8(content.subarray(signatureStart));
+      tag.message = this.decodeUTF8(content.subarray(messageStart, signatureStart));
+      tag.signature = {
+        format: this.getSignatureFormat(armor),
+        armor,
+        payload: content.slice(0, signatureStart)
+      };
+    }
+
     return tag;
   }
 
@@ -288,41 +430,302 @@ export class Git {
     return this.readTreeItem(file.id, path.slice(1));
   }
 
-  // Compression utilities (would use pako library)
+  // Compression utilities
   inflate(data) {
-    // Implementation would use pako.inflate
-    return data; // Placeholder
+    return this.inflateStream(data).content;
   }
 
-  deflate(data) {
-    // Implementation would use pako.deflate
-    return data; // Placeholder
+  deflate(data, level = DEFAULT_COMPRESSION_LEVEL) {
+    return this.deflateStream([data], level);
   }
 
-  sha(data) {
-    // Implementation would use crypto-js or similar
-    // For now, return a placeholder
-    return 'placeholder_sha';
+  /**
+   * Inflates a single zlib stream starting at `offset`. Input is consumed in
+   * STREAM_CHUNK_SIZE slices, and inflation stops at the end of the stream, so
+   * trailing data (e.g. the next packfile entry) is left untouched.
+   * Returns the inflated content and the offset right after the stream.
+   */
+  inflateStream(data, offset = 0) {
+    const input = data instanceof Uint8Array ? data : Uint8Array.from(data);
+
+    const cmf = input[offset];
+    const flg = input[offset + 1];
+    if ((cmf & 0x0f) !== 8 || ((cmf << 8) + flg) % 31 !== 0 || (flg & 0x20)) {
+      throw new Error(`Invalid zlib header at offset ${offset}`);
+    }
+
+    // The zlib wrapper is handled here: in non-raw mode pako treats data
+    // following the stream end as another concatenated stream.
+    const inflator = new Inflate({ raw: true });
+    let pos = offset + 2;
+    while (!inflator.ended && pos < input.length) {
+      const chunk = input.subarray(pos, pos + STREAM_CHUNK_SIZE);
+      pos += chunk.length;
+      inflator.push(chunk, false);
+    }
+
+    if (inflator.err) {
+      throw new Error(`Failed to inflate data: ${inflator.msg}`);
+    }
+    if (!inflator.ended) {
+      throw new Error('Unexpected end of zlib stream');
+    }
+
+    const content = inflator.result;
+    const end = pos - inflator.strm.avail_in;
+    const checksum = input.subarray(end, end + 4);
+    if (checksum.length < 4 || this.unpackInt32(checksum) !== this.adler32(content)) {
+      throw new Error('zlib stream checksum mismatch');
+    }
+
+    return { content, end: end + 4 };
+  }
+
+  /**
+   * Deflates the concatenation of `chunks` into one zlib stream without
+   * building the concatenated buffer first.
+   */
+  deflateStream(chunks, level = DEFAULT_COMPRESSION_LEVEL) {
+    const deflator = new Deflate({ level });
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i] instanceof Uint8Array ? chunks[i] : Uint8Array.from(chunks[i]);
+      for (let pos = 0; pos < chunk.length; pos += STREAM_CHUNK_SIZE) {
+        deflator.push(chunk.subarray(pos, pos + STREAM_CHUNK_SIZE), false);
+      }
+    }
+    deflator.push(new Uint8Array(0), true);
+
+    if (deflator.err) {
+      throw new Error(`Failed to deflate data: ${deflator.msg}`);
+    }
+
+    return deflator.result;
+  }
+
+  adler32(data) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i += 3800) {
+      const end = Math.min(i + 3800, data.length);
+      for (let j = i; j < end; j++) {
+        a += data[j];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  }
+
+  // Hashes the concatenation of all arguments
+  sha(...chunks) {
+    const hash = new Sha1();
+    for (const chunk of chunks) {
+      hash.update(chunk);
+    }
+    return hash.hex();
   }
 
   // Ref management
   async getRef(ref) {
+    const name = await this.resolveRefName(ref);
+    const value = await this.readRefValue(name);
+    if (!value) {
+      throw new Error(`Unknown ref: ${ref}`);
+    }
+    return value.id;
+  }
+
+  /**
+   * Follows symbolic refs starting at `ref` and returns the name of the ref
+   * that holds an id. The result need not exist yet (e.g. unborn HEAD).
+   */
+  async resolveRefName(ref) {
+    let name = ref;
+    for (let depth = 0; depth < MAX_SYMREF_DEPTH; depth++) {
+      const value = await this.readRefValue(name);
+      if (!value || !value.symref) {
+        return name;
+      }
+      name = value.symref;
+    }
+    throw new Error(`Symbolic ref loop at ${ref}`);
+  }
+
+  // Returns {id}, {symref} or null. Loose refs take precedence over packed ones.
+  async readRefValue(ref) {
+    const loose = await this.readLooseRef(ref);
+    if (loose) {
+      return loose;
+    }
+
+    const packed = (await this.readPackedRefs()).refs.get(ref);
+    return packed ? { id: packed.id } : null;
+  }
+
+  async readLooseRef(ref) {
+    let content;
     try {
-      const content = await this.readFile(ref);
-      const refContent = this.arrayToString(content).trim();
-      
-      if (refContent.startsWith('ref:')) {
-        return this.getRef(refContent.substr(4).trim());
+      content = this.arrayToString(await this.readFile(ref)).trim();
+    } catch (error) {
+      return null;
+    }
+
+    if (content.startsWith('ref:')) {
+      return { symref: content.substr(4).trim() };
+    }
+    if (!this.isSha(content)) {
+      throw new Error(`Malformed ref ${ref}: ${content}`);
+    }
+    return { id: content };
+  }
+
+  async getSymbolicRef(ref) {
+    const value = await this.readLooseRef(ref);
+    return value && value.symref ? value.symref : null;
+  }
+
+  async setSymbolicRef(ref, target) {
+    if (!target.startsWith('refs/')) {
+      throw new Error(`Symbolic ref target must be below refs/: ${target}`);
+    }
+    return this.writeFile(ref, this.stringToArray(`ref: ${target}\n`));
+  }
+
+  /**
+   * Returns the object a tag ref ultimately points at, using the peeled line
+   * from packed-refs when there is one.
+   */
+  async peelRef(ref) {
+    const name = await this.resolveRefName(ref);
+    const packed = (await this.readPackedRefs()).refs.get(name);
+    const loose = await this.readLooseRef(name);
+    if (!loose && packed && packed.peeled) {
+      return packed.peeled;
+    }
+
+    let object = await this.readUnknownObject(await this.getRef(name));
+    while (object.type === 'tag') {
+      object = await this.readUnknownObject(object.content.target);
+    }
+    return object.id;
+  }
+
+  /**
+   * Points `ref` (or the ref it symbolically refers to) at `id`. When
+   * `oldId` is given the update only happens if the ref currently has that
+   * value; pass null to require that the ref does not exist yet.
+   */
+  async setRef(ref, id, oldId) {
+    if (!this.isSha(id)) {
+      throw new Error(`Invalid object id ${id} for ref ${ref}`);
+    }
+
+    return this.lockRefs(async () => {
+      const name = await this.resolveRefName(ref);
+      await this.checkRefValue(name, oldId);
+      await this.writeFile(name, this.stringToArray(`${id}\n`));
+    });
+  }
+
+  /**
+   * Removes `ref` from both the loose refs and packed-refs, with the same
+   * `oldId` check as setRef. Symbolic refs themselves are deleted, not their
+   * targets.
+   */
+  async deleteRef(ref, oldId) {
+    return this.lockRefs(async () => {
+      const loose = await this.readLooseRef(ref);
+      if (!loose || !loose.symref) {
+        await this.checkRefValue(ref, oldId);
       }
-      
-      return refContent;
+
+      const packedRefs = await this.readPackedRefs();
+      if (!loose && !packedRefs.refs.has(ref)) {
+        throw new Error(`Unknown ref: ${ref}`);
+      }
+
+      if (packedRefs.refs.delete(ref)) {
+        await this.writePackedRefs(packedRefs);
+      }
+      if (loose) {
+        await this.zeroPage.deleteFile(`${this.root}/${ref}`);
+      }
+    });
+  }
+
+  async checkRefValue(ref, oldId) {
+    if (oldId === undefined) {
+      return;
+    }
+
+    const value = await this.readRefValue(ref);
+    const current = value ? value.id : null;
+    if (current !== oldId) {
+      throw new Error(`Ref ${ref} is at ${current || 'nothing'}, expected ${oldId || 'nothing'}`);
+    }
+  }
+
+  // Runs ref updates one at a time, so that compare-and-swap checks and the
+  // following writes are not interleaved with other updates
+  lockRefs(callback) {
+    const result = this.refLock.then(callback);
+    this.refLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Returns {header, refs} where refs is a Map name => {id, peeled}. The
+   * header lists the traits (e.g. fully-peeled) the file was written with.
+   */
+  async readPackedRefs() {
+    const result = { header: PACKED_REFS_HEADER, refs: new Map() };
+
+    let content;
+    try {
+      content = this.arrayToString(await this.readFile('packed-refs'));
     } catch (error) {
-      throw new Error(`Unknown ref: ${ref}`);
+      return result;
+    }
+
+    let last = null;
+    for (const line of content.split('\n')) {
+      if (line.startsWith('# pack-refs with:')) {
+        result.header = line;
+        continue;
+      }
+      if (!line.trim() || line.startsWith('#')) {
+        continue;
+      }
+
+      if (line.startsWith('^')) {
+        if (last) {
+          last.peeled = line.substr(1).trim();
+        }
+        continue;
+      }
+
+      const [id, name] = line.trim().split(' ');
+      last = { id };
+      result.refs.set(name, last);
     }
+
+    return result;
   }
 
-  async setRef(ref, commit) {
-    return this.writeFile(ref, this.stringToArray(commit));
+  // Entries are only ever removed, so the original header stays accurate
+  async writePackedRefs({ header, refs }) {
+    const lines = [header];
+    for (const name of [...refs.keys()].sort()) {
+      const { id, peeled } = refs.get(name);
+      lines.push(`${id} ${name}`);
+      if (peeled) {
+        lines.push(`^${peeled}`);
+      }
+    }
+
+    return this.writeFile('packed-refs', this.stringToArray(`${lines.join('\n')}\n`));
   }
 
   async getBranchCommit(branch) {
@@ -364,43 +767,316 @@ export class Git {
     const refs = [];
     
     try {
-      const refsDir = await this.zeroPage.listDirectory(`${this.root}/refs`);
+      const refsDir = await this.zeroPage.listFiles(`${this.root}/refs`);
       refs.push(...refsDir.map(ref => `refs/${ref}`));
     } catch (error) {
       // No refs directory
     }
     
-    try {
-      const packedRefs = await this.readFile('packed-refs');
-      const lines = this.arrayToString(packedRefs).split('\n');
-      
-      for (const line of lines) {
-        if (line.trim() && !line.startsWith('#')) {
-          const [, ref] = line.split(' ');
-          if (ref && !refs.includes(ref)) {
-            refs.push(ref);
-          }
-        }
+    const packedRefs = await this.readPackedRefs();
+    for (const ref of packedRefs.refs.keys()) {
+      if (!refs.includes(ref)) {
+        refs.push(ref);
       }
-    } catch (error) {
-      // No packed-refs file
     }
     
     return refs;
   }
 
-  // Placeholder methods for packed objects
+  // Packed objects
   async findPackedObjects() {
-    return [];
+    const files = await this.zeroPage.listDirectory(`${this.root}/objects/pack`);
+
+    return files
+      .filter(name => name.endsWith('.idx'))
+      .map(name => ({
+        index: `objects/pack/${name}`,
+        pack: `objects/pack/${name.replace(/\.idx$/, '.pack')}`
+      }));
   }
 
+  /**
+   * Loads a v2 pack index: magic, version, 256-entry fanout table, sorted
+   * object names, CRC32s, 31-bit offsets and the 64-bit offset table.
+   * The tables are kept as views and looked up with a binary search.
+   */
   async loadPackedIndex(path) {
-    // Implementation for loading pack index files
+    const index = await this.readFile(path);
+
+    if (this.arrayToString(index.subarray(0, 4)) !== '\xfftOc') {
+      throw new Error(`${path}: version 1 pack indexes are not supported`);
+    }
+    const version = this.unpackInt32(index.subarray(4, 8));
+    if (version !== 2) {
+      throw new Error(`${path}: unsupported pack index version ${version}`);
+    }
+
+    const fanout = [];
+    for (let i = 0; i < 256; i++) {
+      fanout.push(this.unpackInt32(index.subarray(8 + i * 4, 12 + i * 4)));
+    }
+
+    const count = fanout[255];
+    const namesStart = 8 + 256 * 4;
+    const offsetsStart = namesStart + count * 24;
+
+    this.packedIndex.push({
+      index: path,
+      pack: path.replace(/\.idx$/, '.pack'),
+      count,
+      fanout,
+      names: index.subarray(namesStart, namesStart + count * 20),
+      offsets: index.subarray(offsetsStart, offsetsStart + count * 4),
+      largeOffsets: index.subarray(offsetsStart + count * 4, index.length - 40)
+    });
+  }
+
+  // Returns {pack, offset} of a packed object or null
+  findPackedObject(id) {
+    if (!this.isSha(id)) {
+      return null;
+    }
+
+    const sha = this.packSha(id);
+    for (const packed of this.packedIndex) {
+      let low = sha[0] === 0 ? 0 : packed.fanout[sha[0] - 1];
+      let high = packed.fanout[sha[0]];
+
+      while (low < high) {
+        const middle = (low + high) >>> 1;
+        const cmp = this.compareSha(packed.names, middle * 20, sha);
+
+        if (cmp === 0) {
+          return { pack: packed.pack, offset: this.getPackOffset(packed, middle) };
+        } else if (cmp < 0) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  compareSha(names, start, sha) {
+    for (let i = 0; i < 20; i++) {
+      if (names[start + i] !== sha[i]) {
+        return names[start + i] - sha[i];
+      }
+    }
+    return 0;
+  }
+
+  getPackOffset(packed, position) {
+    const offset = this.unpackInt32(packed.offsets.subarray(position * 4, position * 4 + 4));
+    if (!(offset & 0x80000000)) {
+      return offset;
+    }
+
+    const large = (offset & 0x7fffffff) * 8;
+    const high = this.unpackInt32(packed.largeOffsets.subarray(large, large + 4));
+    const low = this.unpackInt32(packed.largeOffsets.subarray(large + 4, large + 8));
+    return high * 0x100000000 + low;
+  }
+
+  async readPack(path) {
+    if (!this.packCache.has(path)) {
+      const pack = await this.readFile(path);
+      if (this.arrayToString(pack.subarray(0, 4)) !== 'PACK') {
+        throw new Error(`${path} is not a packfile`);
+      }
+      this.packCache.set(path, pack);
+    }
+
+    return this.packCache.get(path);
   }
 
   async readPackedObject(id) {
-    // Implementation for reading packed objects
-    throw new Error('Packed objects not implemented');
+    const packed = this.findPackedObject(id);
+    if (!packed) {
+      throw new Error(`Unknown packed object ${id}`);
+    }
+
+    const object = await this.readPackedObjectAt(packed.pack, packed.offset);
+    return { ...object, id };
+  }
+
+  /**
+   * Reads the pack entry at `offset`, resolving OFS_DELTA (6) and REF_DELTA (7)
+   * entries against their base objects.
+   */
+  async readPackedObjectAt(path, offset) {
+    const pack = await this.readPack(path);
+
+    let pos = offset;
+    let byte = pack[pos++];
+    const type = (byte >> 4) & 7;
+    let size = byte & 15;
+    let shift = 4;
+    while (byte & 0x80) {
+      byte = pack[pos++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    }
+
+    if (type >= 1 && type <= 4) {
+      const { content } = this.inflateStream(pack, pos);
+      if (content.length !== size) {
+        throw new Error(`Packed object at ${offset} has wrong size`);
+      }
+
+      return { type: PACK_OBJECT_TYPES[type], content };
+    }
+
+    let base;
+    if (type === 6) {
+      // OFS_DELTA: base is stored at a negative offset in the same pack
+      byte = pack[pos++];
+      let baseOffset = byte & 0x7f;
+      while (byte & 0x80) {
+        byte = pack[pos++];
+        baseOffset = (baseOffset + 1) * 128 + (byte & 0x7f);
+      }
+
+      base = await this.readDeltaBase(path, offset - baseOffset);
+    } else if (type === 7) {
+      // REF_DELTA: base is referenced by id and may live anywhere
+      const baseId = this.unpackSha(pack.subarray(pos, pos + 20));
+      pos += 20;
+
+      base = await this.readObject(baseId);
+    } else {
+      throw new Error(`Unknown packed object type ${type} at ${offset}`);
+    }
+
+    const { content: delta } = this.inflateStream(pack, pos);
+    return { type: base.type, content: this.applyDelta(base.content, delta) };
+  }
+
+  // Bases are shared by whole delta chains, so keep them around
+  async readDeltaBase(path, offset) {
+    const key = `${path}:${offset}`;
+    if (!this.deltaBaseCache.has(key)) {
+      this.deltaBaseCache.set(key, await this.readPackedObjectAt(path, offset));
+    }
+    return this.deltaBaseCache.get(key);
+  }
+
+  applyDelta(base, delta) {
+    let pos = 0;
+    const readSize = () => {
+      let size = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = delta[pos++];
+        size += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return size;
+    };
+
+    const baseSize = readSize();
+    if (baseSize !== base.length) {
+      throw new Error('Delta base size mismatch');
+    }
+
+    const result = new Uint8Array(readSize());
+    let resultPos = 0;
+
+    while (pos < delta.length) {
+      const opcode = delta[pos++];
+
+      if (opcode & 0x80) {
+        // Copy from base
+        let copyOffset = 0;
+        for (let i = 0; i < 4; i++) {
+          if (opcode & (1 << i)) {
+            copyOffset += delta[pos++] * 2 ** (i * 8);
+          }
+        }
+
+        let copyLength = 0;
+        for (let i = 0; i < 3; i++) {
+          if (opcode & (16 << i)) {
+            copyLength |= delta[pos++] << (i * 8);
+          }
+        }
+        copyLength = copyLength || 0x10000;
+
+        if (copyOffset + copyLength > base.length || resultPos + copyLength > result.length) {
+          throw new Error('Delta copy out of bounds');
+        }
+        result.set(base.subarray(copyOffset, copyOffset + copyLength), resultPos);
+        resultPos += copyLength;
+      } else if (opcode) {
+        // Insert literal data
+        if (pos + opcode > delta.length || resultPos + opcode > result.length) {
+          throw new Error('Delta insert out of bounds');
+        }
+        result.set(delta.subarray(pos, pos + opcode), resultPos);
+        pos += opcode;
+        resultPos += opcode;
+      } else {
+        throw new Error('Unexpected delta opcode 0');
+      }
+    }
+
+    if (resultPos !== result.length) {
+      throw new Error('Delta result size mismatch');
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds a version 2 packfile holding the given objects, all stored whole
+   * (no deltas), suitable for sending to a Git client.
+   */
+  async packObjects(ids) {
+    const header = [
+      ...this.stringToArray('PACK'),
+      ...this.packInt32(2),
+      ...this.packInt32(ids.length)
+    ];
+    const chunks = [new Uint8Array(header)];
+
+    for (const id of ids) {
+      const { type, content } = await this.readObject(id);
+      chunks.push(this.packObjectHeader(PACK_OBJECT_TYPES.indexOf(type), content.length));
+      chunks.push(this.deflate(content));
+    }
+
+    const hash = new Sha1();
+    chunks.forEach(chunk => hash.update(chunk));
+    chunks.push(hash.digest());
+
+    const pack = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let pos = 0;
+    for (const chunk of chunks) {
+      pack.set(chunk, pos);
+      pos += chunk.length;
+    }
+    return pack;
+  }
+
+  packInt32(num) {
+    return [(num >>> 24) & 0xff, (num >>> 16) & 0xff, (num >>> 8) & 0xff, num & 0xff];
+  }
+
+  // Entry header: 1TTTLLLL, then 1LLLLLLL bytes while more length follows
+  packObjectHeader(type, size) {
+    const result = [];
+    let byte = (type << 4) | (size & 15);
+    let rest = Math.floor(size / 16);
+    while (rest) {
+      result.push(byte | 0x80);
+      byte = rest & 0x7f;
+      rest = Math.floor(rest / 128);
+    }
+    result.push(byte);
+    return result;
   }
 
   // Object writing methods
@@ -409,15 +1085,19 @@ export class Git {
   }
 
   async writeTree(items) {
-    const sortedItems = items.sort((a, b) => {
-      const aName = a.type === 'tree' ? `${a.name}/` : a.name;
-      const bName = b.type === 'tree' ? `${b.name}/` : b.name;
-      return aName.localeCompare(bName);
-    });
+    // Git orders entries by their UTF-8 bytes, with trees compared as if
+    // ending in '/'. Comparing JS strings would order UTF-16 code units.
+    const sortedItems = items
+      .map(item => ({
+        item,
+        key: this.encodeUTF8(item.type === 'tree' ? `${item.name}/` : item.name)
+      }))
+      .sort((a, b) => compareBytes(a.key, b.key))
+      .map(({ item }) => item);
 
     const content = [];
     for (const item of sortedItems) {
-      const mode = item.type === 'tree' ? '040000' : '100644';
+      const mode = item.mode || DEFAULT_MODES[item.type];
       const entry = [
         ...this.encodeUTF8(`${mode} ${item.name}`),
         0,
@@ -429,18 +1109,31 @@ export class Git {
     return this.writeObject('tree', content);
   }
 
-  async writeCommit(commit) {
-    const treeId = await this.writeTreeRecursive(commit.tree);
-    
-    let content = `tree ${treeId}\n`;
+  // Returns commit content for an already written tree. Extra
+  // `commit.headers` ({ name, value }) go after committer; lines of
+  // multi-line values are continued with a space.
+  formatCommit(commit) {
+    let content = `tree ${commit.tree}\n`;
     for (const parent of commit.parents) {
       content += `parent ${parent}\n`;
     }
     content += `author ${commit.author}\n`;
-    content += `committer ${commit.committer}\n\n`;
+    content += `committer ${commit.committer}\n`;
+    for (const { name, value } of commit.headers || []) {
+      content += `${name} ${value.split('\n').join('\n ')}\n`;
+    }
+    content += '\n';
     content += commit.message;
-    
-    return this.writeObject('commit', this.encodeUTF8(content));
+    return content;
+  }
+
+  async writePlainCommit(commit) {
+    return this.writeObject('commit', this.encodeUTF8(this.formatCommit(commit)));
+  }
+
+  async writeCommit(commit) {
+    const treeId = await this.writeTreeRecursive(commit.tree);
+    return this.writePlainCommit({ ...commit, tree: treeId });
   }
 
   async writeTreeRecursive(items) {
@@ -458,6 +1151,7 @@ export class Git {
         const blobId = await this.writeBlob(item.content);
         processedItems.push({
           type: 'blob',
+          mode: item.mode,
           name: item.name,
           id: blobId
         });
@@ -469,12 +1163,89 @@ export class Git {
     return this.writeTree(processedItems);
   }
 
+  /**
+   * Applies `changes` to the items of an existing tree, in place. Each change
+   * is {name, remove: true}, {name, type: 'blob', content} or
+   * {name, type: 'tree', content: [changes]}; a tree change on an existing
+   * subtree is merged into it rather than replacing it, and directories left
+   * empty are dropped. Untouched entries keep their ids, so
+   * writeTreeRecursive only writes the trees along the changed paths.
+   */
+  async makeTreeDelta(base, changes) {
+    for (const change of changes) {
+      const index = base.findIndex(item => item.name === change.name);
+      const existing = index > -1 ? base[index] : null;
+
+      if (change.remove) {
+        if (existing) {
+          base.splice(index, 1);
+        }
+      } else if (change.type === 'tree') {
+        const subTree = existing && existing.type === 'tree' ?
+          (await this.readUnknownObject(existing.id)).content : [];
+        const content = await this.makeTreeDelta(subTree, change.content);
+        const item = { type: 'tree', name: change.name, content };
+
+        // Git has no empty directories
+        if (!content.length) {
+          if (existing) {
+            base.splice(index, 1);
+          }
+        } else if (existing) {
+          base[index] = item;
+        } else {
+          base.push(item);
+        }
+      } else {
+        const item = { ...change };
+        // Editing a file keeps its executable bit or symlink mode
+        if (existing && existing.type === change.type && !item.mode) {
+          item.mode = existing.mode;
+        }
+
+        if (existing) {
+          base[index] = item;
+        } else {
+          base.push(item);
+        }
+      }
+    }
+
+    return base;
+  }
+
+  /**
+   * Same as makeTreeDelta, but changes are given by full path:
+   * [{path: 'dir/subdir/file', type: 'blob', content}, {path, remove: true}]
+   */
+  async makeTreeDeltaPath(base, changes) {
+    const root = { type: 'tree', content: [] };
+
+    for (const change of changes) {
+      let current = root;
+      for (const part of change.path.split('/').filter(part => part.length)) {
+        let item = current.content.find(item => item.name === part);
+        if (!item) {
+          item = { name: part, type: 'tree', content: [] };
+          current.content.push(item);
+        }
+        current = item;
+      }
+
+      current.type = change.type;
+      current.content = change.content;
+      current.remove = change.remove;
+    }
+
+    return this.makeTreeDelta(base, root.content);
+  }
+
   // Static initialization method
   static async init(root, zeroPage, name, email) {
     const git = new Git(root, zeroPage);
     
     // Initialize repository structure
-    await git.writeFile('HEAD', git.stringToArray('ref: refs/heads/master'));
+    await git.setSymbolicRef('HEAD', 'refs/heads/master');
     await git.writeFile('description', git.stringToArray('Git Center repository'));
     
     const config = [
@@ -504,7 +1275,7 @@ export class Git {
       message: 'Initial commit'
     });
     
-    await git.setRef('refs/heads/master', commitId);
+    await git.setRef('refs/heads/master', commitId, null);
     return git;
   }
 
@@ -2,21 +2,82 @@
  * Modernized Mercurial implementation
  */
 
+import { deflate, inflate } from 'pako';
+import { Sha1 } from '../utils/Sha1.js';
+
+const NULL_ID = '0'.repeat(40);
+
+// Revlog header flags
+const FLAG_INLINE_DATA = 1 << 16;
+const FLAG_GENERALDELTA = 1 << 17;
+
+const INDEX_ENTRY_SIZE = 64;
+
+// Full texts kept per revlog to speed up reading neighbouring revisions
+const TEXT_CACHE_SIZE = 16;
+
+// Written to .hg/00changelog.i so that pre-store clients refuse the repository
+const DUMMY_CHANGELOG = '\0\0\0\x02 dummy changelog to prevent using the old repo layout';
+
+const REQUIREMENTS = ['dotencode', 'fncache', 'generaldelta', 'revlogv1', 'store'];
+
+// Branch head caches written by hg, most complete first
+const BRANCH_CACHES = [
+  'cache/branch2-visible',
+  'cache/branch2-served',
+  'cache/branch2-immutable',
+  'cache/branch2-base'
+];
+
+// Manifest flags
+const FILE_MODES = {
+  '': '100644',
+  x: '100755',
+  l: '120000'
+};
+
 export class Hg {
   constructor(root, zeroPage) {
     this.root = root;
     this.zeroPage = zeroPage;
     this.indexCache = new Map();
     this.hgFileName = new HgFileName();
+    this.requirements = [];
+    this.branchMap = null;
+    this.refLock = Promise.resolve();
   }
 
   async init() {
-    // Initialize Mercurial-specific structures
+    try {
+      this.requirements = this.arrayToString(await this.readFile('requires'))
+        .split('\n')
+        .filter(line => line);
+    } catch (error) {
+      // Very old repositories have no requires file
+    }
+    this.hgFileName = new HgFileName({
+      fncache: this.requirements.includes('fncache'),
+      dotencode: this.requirements.includes('dotencode')
+    });
   }
 
   // Utility methods similar to Git but adapted for Mercurial
+  // Signed, so that nullrev (0xffffffff) reads as -1
   unpackInt32(buffer) {
-    return (buffer[0] << 24) + (buffer[1] << 16) + (buffer[2] << 8) + buffer[3];
+    return (buffer[0] << 24) | (buffer[1] << 16) | (buffer[2] << 8) | buffer[3];
+  }
+
+  unpackInt16(buffer) {
+    return (buffer[0] << 8) | buffer[1];
+  }
+
+  unpackInt48(buffer) {
+    return (buffer[0] * 0x10000 + ((buffer[1] << 8) | buffer[2])) * 0x1000000 +
+      ((buffer[3] << 16) | (buffer[4] << 8) | buffer[5]);
+  }
+
+  packInt32(number) {
+    return [(number >>> 24) & 0xff, (number >>> 16) & 0xff, (number >>> 8) & 0xff, number & 0xff];
   }
 
   unpackSha(buffer) {
@@ -56,7 +117,7 @@ export class Hg {
 
   async readFile(path) {
     try {
-      const content = await this.zeroPage.readFile(`${this.root}/${path}`);
+      const content = await this.zeroPage.readFile(`${this.root}/${path}`, true);
       return new Uint8Array(content.split('').map(char => char.charCodeAt(0)));
     } catch (error) {
       throw new Error(`Failed to read file: ${path}`);
@@ -65,49 +126,466 @@ export class Hg {
 
   async writeFile(path, content) {
     const contentString = Array.from(content).map(byte => String.fromCharCode(byte)).join('');
-    return this.zeroPage.writeFile(`${this.root}/${path}`, contentString);
+    return this.zeroPage.writeFile(`${this.root}/${path}`, contentString, true);
   }
 
-  // Mercurial-specific methods
-  async getBranchList() {
-    const branches = [];
-    
+  sha(...chunks) {
+    const hash = new Sha1();
+    for (const chunk of chunks) {
+      hash.update(chunk);
+    }
+    return hash.hex();
+  }
+
+  packSha(shaString) {
+    const bytes = new Uint8Array(20);
+    for (let i = 0; i < 20; i++) {
+      bytes[i] = parseInt(shaString.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  // Revlog chunks start with a byte telling how they are stored
+  decompress(data) {
+    if (data.length === 0 || data[0] === 0) {
+      return data;
+    }
+
+    switch (String.fromCharCode(data[0])) {
+      case 'x':
+        return inflate(data);
+      case 'u':
+        return data.subarray(1);
+      default:
+        throw new Error(`Unknown revlog compression ${data[0]}`);
+    }
+  }
+
+  // Stores data zlib-compressed when that saves space, otherwise prefixed
+  // with "u" unless it already starts with NUL
+  compress(data) {
+    if (data.length === 0) {
+      return data;
+    }
+
+    const compressed = deflate(data);
+    if (compressed.length < data.length) {
+      return compressed;
+    }
+    if (data[0] === 0) {
+      return data;
+    }
+
+    const result = new Uint8Array(data.length + 1);
+    result[0] = 'u'.charCodeAt(0);
+    result.set(data, 1);
+    return result;
+  }
+
+  // Revlogs
+  async loadIndex(name) {
+    if (!this.indexCache.has(name)) {
+      const revlog = name.startsWith('store/data/') ?
+        new HgRevlog(this, ...this.getFilelogPaths(name.substr('store/data/'.length))) :
+        new HgRevlog(this, `${name}.i`, `${name}.d`);
+      this.indexCache.set(name, revlog.load());
+    }
+
     try {
-      const visibleBranches = await this.loadBranchList('cache/branch2-visible', true);
-      branches.push(...visibleBranches);
+      return await this.indexCache.get(name);
     } catch (error) {
-      // Continue without visible branches
+      this.indexCache.delete(name);
+      throw error;
     }
-    
-    return branches
-      .filter((branch, index, arr) => 
-        arr.findIndex(b => b.name === branch.name && b.id === branch.id) === index
-      )
-      .map(branch => branch.name)
-      .sort();
   }
 
-  async loadBranchList(file, shift) {
+  // Returns [index path, data path] of the filelog for `path`
+  getFilelogPaths(path) {
+    const storePrefix = this.requirements.includes('store') ? 'store/' : '';
+    return ['i', 'd'].map(ext => storePrefix + this.hgFileName.encode(`data/${path}.${ext}`));
+  }
+
+  // Refs. Bookmarks and named branches are both refs/heads/<name>, with a
+  // bookmark winning over a branch of the same name. Tags come from .hgtags
+  // on the default branch.
+  async getRefList() {
+    const heads = new Set([
+      ...await this.getBranchList(),
+      ...(await this.readBookmarks()).keys()
+    ]);
+    const tags = (await this.readTags()).keys();
+
+    return [
+      ...[...heads].sort().map(name => `refs/heads/${name}`),
+      ...[...tags].sort().map(name => `refs/tags/${name}`)
+    ];
+  }
+
+  async getRef(ref) {
+    if (this.isSha(ref)) {
+      return ref;
+    }
+
+    const id = await this.readRefValue(ref);
+    if (!id) {
+      throw new Error(`Unknown ref: ${ref}`);
+    }
+    return id;
+  }
+
+  // Returns the commit `ref` points at, or null
+  async readRefValue(ref) {
+    if (ref.startsWith('refs/tags/')) {
+      return (await this.readTags()).get(ref.substr('refs/tags/'.length)) || null;
+    }
+    if (!ref.startsWith('refs/heads/')) {
+      return null;
+    }
+
+    const name = ref.substr('refs/heads/'.length);
+    const bookmark = (await this.readBookmarks()).get(name);
+    if (bookmark) {
+      return bookmark;
+    }
+
+    const branch = (await this.getBranchMap()).get(name);
+    return branch ? branch.tip : null;
+  }
+
+  /**
+   * Points `ref` at commit `id`, with the same `oldId` check as Git.setRef.
+   * New refs/heads/ refs become bookmarks. A named branch can only be set to
+   * one of its heads, which refreshes the branch cache. Tags are committed to
+   * .hgtags, which needs `author` as a Git-style author line.
+   */
+  async setRef(ref, id, oldId, author) {
+    if (!this.isSha(id)) {
+      throw new Error(`Invalid commit id ${id} for ref ${ref}`);
+    }
+
+    return this.lockRefs(async () => {
+      await this.checkRefValue(ref, oldId);
+      const commit = await this.readCommit(id);
+
+      if (ref.startsWith('refs/tags/')) {
+        await this.writeTag(ref.substr('refs/tags/'.length), id, author);
+        return;
+      }
+      if (!ref.startsWith('refs/heads/')) {
+        throw new Error(`Unsupported ref for Mercurial: ${ref}`);
+      }
+
+      const name = ref.substr('refs/heads/'.length);
+      const bookmarks = await this.readBookmarks();
+      const branchMap = await this.getBranchMap();
+      if (bookmarks.has(name) || !branchMap.has(name)) {
+        bookmarks.set(name, id);
+        await this.writeBookmarks(bookmarks);
+        return;
+      }
+
+      const isHead = branchMap.get(name).heads.some(head => head.id === id);
+      if (commit.content.branch !== name || !isHead) {
+        throw new Error(`Commit ${id} is not a head of branch ${name}`);
+      }
+      await this.writeBranchCache();
+    });
+  }
+
+  /**
+   * Deletes a bookmark, or removes a tag by committing a null entry to
+   * .hgtags. Named branches live in the changesets and cannot be deleted.
+   */
+  async deleteRef(ref, oldId, author) {
+    return this.lockRefs(async () => {
+      await this.checkRefValue(ref, oldId);
+
+      if (ref.startsWith('refs/tags/')) {
+        const name = ref.substr('refs/tags/'.length);
+        if (!(await this.readTags()).has(name)) {
+          throw new Error(`Unknown ref: ${ref}`);
+        }
+        await this.writeTag(name, NULL_ID, author);
+        return;
+      }
+
+      const name = ref.substr('refs/heads/'.length);
+      const bookmarks = await this.readBookmarks();
+      if (!ref.startsWith('refs/heads/') || !bookmarks.has(name)) {
+        if ((await this.getBranchMap()).has(name)) {
+          throw new Error(`Named branch ${name} cannot be deleted`);
+        }
+        throw new Error(`Unknown ref: ${ref}`);
+      }
+
+      bookmarks.delete(name);
+      await this.writeBookmarks(bookmarks);
+    });
+  }
+
+  async checkRefValue(ref, oldId) {
+    if (oldId === undefined) {
+      return;
+    }
+
+    const current = await this.readRefValue(ref);
+    if (current !== oldId) {
+      throw new Error(`Ref ${ref} is at ${current || 'nothing'}, expected ${oldId || 'nothing'}`);
+    }
+  }
+
+  // Runs ref updates one at a time, so that compare-and-swap checks and the
+  // following writes are not interleaved with other updates
+  lockRefs(callback) {
+    const result = this.refLock.then(callback);
+    this.refLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Starts named branch `name` on top of commit `from` with an empty
+   * changeset, like `hg branch` followed by `hg commit`. Returns its id.
+   */
+  async createBranch(name, from, author) {
+    return this.lockRefs(async () => {
+      if ((await this.getBranchMap()).has(name)) {
+        throw new Error(`Branch ${name} already exists`);
+      }
+
+      const id = await this.writeCommit({
+        parents: [from],
+        author,
+        message: `Create branch ${name}`,
+        extra: { branch: name }
+      });
+      await this.writeBranchCache();
+      return id;
+    });
+  }
+
+  // Bookmarks are "<node> <name>" lines
+  async readBookmarks() {
+    const bookmarks = new Map();
+    let content;
     try {
-      const content = await this.readFile(file);
-      let lines = this.arrayToString(content).split('\n');
-      
-      if (shift) {
-        lines.shift();
+      content = this.decodeUTF8(await this.readFile('bookmarks'));
+    } catch (error) {
+      return bookmarks;
+    }
+
+    for (const line of content.split('\n')) {
+      const space = line.indexOf(' ');
+      if (space > -1) {
+        bookmarks.set(line.substr(space + 1), line.substr(0, space));
       }
-      
-      return lines
-        .map(line => {
-          const parts = line.split(' ');
-          return {
-            name: parts[2] || parts[1],
-            id: parts[0]
-          };
-        })
-        .filter(branch => branch.name);
+    }
+    return bookmarks;
+  }
+
+  async writeBookmarks(bookmarks) {
+    const content = [...bookmarks.keys()]
+      .sort()
+      .map(name => `${bookmarks.get(name)} ${name}\n`)
+      .join('');
+    return this.writeFile('bookmarks', this.encodeUTF8(content));
+  }
+
+  // Later .hgtags lines override earlier ones, and a null id removes a tag
+  async readTags() {
+    const tags = new Map();
+    const head = await this.getBranchTip('default');
+    if (!head) {
+      return tags;
+    }
+
+    const commit = await this.readCommit(head);
+    let hgTags;
+    try {
+      hgTags = await this.readTreeItem(commit.content.tree, '.hgtags');
     } catch (error) {
-      return [];
+      return tags;
+    }
+
+    for (const line of this.decodeUTF8(hgTags.content).split('\n')) {
+      const space = line.indexOf(' ');
+      if (space === -1) {
+        continue;
+      }
+
+      const [id, name] = [line.substr(0, space), line.substr(space + 1).trim()];
+      if (id === NULL_ID) {
+        tags.delete(name);
+      } else {
+        tags.set(name, id);
+      }
+    }
+    return tags;
+  }
+
+  // Commits a tag change to .hgtags on the default branch. As hg does, the
+  // previous value of a moved tag is written first to keep its history.
+  async writeTag(name, id, author) {
+    if (!author) {
+      throw new Error('Tagging needs an author');
+    }
+
+    const head = await this.getBranchTip('default');
+    if (!head) {
+      throw new Error('Tags need a default branch');
+    }
+
+    const commit = await this.readCommit(head);
+    let content = '';
+    try {
+      content = this.decodeUTF8((await this.readTreeItem(commit.content.tree, '.hgtags')).content);
+    } catch (error) {
+      // First tag
+    }
+    if (content && !content.endsWith('\n')) {
+      content += '\n';
+    }
+
+    const old = (await this.readTags()).get(name);
+    if (old) {
+      content += `${old} ${name}\n`;
+    }
+    content += `${id} ${name}\n`;
+
+    const message = id === NULL_ID ?
+      `Removed tag ${name}` :
+      `Added tag ${name} for changeset ${id.substr(0, 12)}`;
+    await this.writeCommit({
+      parents: [head],
+      changes: [{ name: '.hgtags', content: new Uint8Array(this.encodeUTF8(content)) }],
+      author,
+      message
+    });
+    await this.writeBranchCache();
+  }
+
+  // Names of named branches with at least one open head
+  async getBranchList() {
+    const branchMap = await this.getBranchMap();
+    return [...branchMap.keys()]
+      .filter(name => branchMap.get(name).heads.some(head => !head.closed))
+      .sort();
+  }
+
+  async getBranchTip(name) {
+    const branch = (await this.getBranchMap()).get(name);
+    return branch ? branch.tip : null;
+  }
+
+  /**
+   * Returns a Map of branch name => {heads: [{id, rev, closed}], tip}. A
+   * branch cache is only used when it was written for the current tip,
+   * otherwise heads are computed from the changelog.
+   */
+  async getBranchMap() {
+    const changelog = await this.loadIndex('store/00changelog');
+    const tip = changelog.entries[changelog.entries.length - 1];
+    if (!tip) {
+      return new Map();
+    }
+    if (this.branchMap && this.branchMap.tip === tip.nodeId) {
+      return this.branchMap.branches;
+    }
+
+    let branches = null;
+    for (const file of BRANCH_CACHES) {
+      branches = await this.readBranchCache(file, tip, changelog);
+      if (branches) {
+        break;
+      }
+    }
+    if (!branches) {
+      branches = await this.computeBranchMap(changelog);
+    }
+
+    this.branchMap = { tip: tip.nodeId, branches };
+    return branches;
+  }
+
+  // Cache files start with "<tip node> <tip rev>", then "<node> o|c <branch>"
+  // for every branch head
+  async readBranchCache(file, tip, changelog) {
+    let lines;
+    try {
+      lines = this.decodeUTF8(await this.readFile(file)).split('\n');
+    } catch (error) {
+      return null;
+    }
+
+    const [tipId, tipRev] = lines.shift().split(' ');
+    if (tipId !== tip.nodeId || parseInt(tipRev, 10) !== tip.rev) {
+      return null;
+    }
+
+    const heads = new Map();
+    for (const line of lines) {
+      const match = line.match(/^([0-9a-f]{40}) ([oc]) (.+)$/);
+      if (!match || !changelog.nodeIds.has(match[1])) {
+        continue;
+      }
+
+      const [, id, state, name] = match;
+      if (!heads.has(name)) {
+        heads.set(name, []);
+      }
+      heads.get(name).push({ id, rev: changelog.getRev(id), closed: state === 'c' });
     }
+    return this.toBranchMap(heads);
+  }
+
+  async computeBranchMap(changelog) {
+    const heads = new Map();
+    for (const entry of changelog.entries) {
+      const { content } = await this.readCommit(entry.nodeId);
+      if (!heads.has(content.branch)) {
+        heads.set(content.branch, new Map());
+      }
+
+      const branchHeads = heads.get(content.branch);
+      branchHeads.delete(entry.parent1Rev);
+      branchHeads.delete(entry.parent2Rev);
+      branchHeads.set(entry.rev, {
+        id: entry.nodeId,
+        rev: entry.rev,
+        closed: 'close' in content.extra
+      });
+    }
+
+    for (const [name, branchHeads] of heads) {
+      heads.set(name, [...branchHeads.values()]);
+    }
+    return this.toBranchMap(heads);
+  }
+
+  // The tip of a branch is its newest open head, or newest head if all are
+  // closed
+  toBranchMap(heads) {
+    const branches = new Map();
+    for (const [name, list] of heads) {
+      list.sort((a, b) => a.rev - b.rev);
+      const open = list.filter(head => !head.closed);
+      const tip = (open.length ? open : list)[(open.length ? open : list).length - 1];
+      branches.set(name, { heads: list, tip: tip.id });
+    }
+    return branches;
+  }
+
+  async writeBranchCache() {
+    const changelog = await this.loadIndex('store/00changelog');
+    const tip = changelog.entries[changelog.entries.length - 1];
+    const branches = await this.getBranchMap();
+
+    const lines = [`${tip.nodeId} ${tip.rev}`];
+    for (const name of [...branches.keys()].sort()) {
+      for (const head of branches.get(name).heads) {
+        lines.push(`${head.id} ${head.closed ? 'c' : 'o'} ${name}`);
+      }
+    }
+    return this.writeFile(BRANCH_CACHES[0], this.encodeUTF8(`${lines.join('\n')}\n`));
   }
 
   async getHead() {
@@ -123,9 +601,25 @@ export class Hg {
     if (this.isSha(branch)) {
       return branch;
     }
-    
-    // Implementation for finding branch commit in Mercurial
-    return branch; // Placeholder
+
+    if (branch === 'tip') {
+      return this.getTip();
+    }
+
+    const id = await this.readRefValue(`refs/heads/${branch}`) ||
+      await this.readRefValue(`refs/tags/${branch}`);
+    if (!id) {
+      throw new Error(`Could not find branch: ${branch}`);
+    }
+    return id;
+  }
+
+  async getTip() {
+    const changelog = await this.loadIndex('store/00changelog');
+    if (changelog.entries.length === 0) {
+      throw new Error('Repository has no commits');
+    }
+    return changelog.entries[changelog.entries.length - 1].nodeId;
   }
 
   async readBranchCommit(branch) {
@@ -133,41 +627,688 @@ export class Hg {
     return this.readCommit(commit);
   }
 
+  // Reads a commit, a "manifest/path" item or a manifest
+  async readUnknownObject(id) {
+    try {
+      return await this.readCommit(id);
+    } catch (error) {
+      // Not a commit
+    }
+
+    const slash = id.indexOf('/');
+    if (slash > -1) {
+      return this.readTreeItem(id.substr(0, slash), id.substr(slash + 1));
+    }
+
+    try {
+      return await this.readTreeItem(id, '');
+    } catch (error) {
+      throw new Error(`Could not read object ${id}`);
+    }
+  }
+
   async readCommit(sha) {
-    // Implementation for reading Mercurial commits
+    const changelog = await this.loadIndex('store/00changelog');
+    const rev = changelog.getRev(sha);
+    const entry = changelog.entries[rev];
+    const data = this.decodeUTF8(await changelog.getData(rev));
+
+    // manifest, user, "time tz extra", changed files, empty line, message
+    const separator = data.indexOf('\n\n');
+    const header = (separator > -1 ? data.substr(0, separator) : data).split('\n');
+    const message = separator > -1 ? data.substr(separator + 2) : '';
+
+    const [manifest, user, dateLine = '0 0'] = header;
+    // Like hg's split(b' ', 2): extra values may contain spaces
+    const [time, tz, ...extraParts] = dateLine.split(' ');
+    const extraString = extraParts.join(' ');
+    const extra = this.parseExtra(extraString);
+    const author = this.toGitAuthor(user, `${time} ${tz}`);
+
+    const parents = [entry.parent1Rev, entry.parent2Rev]
+      .filter(parentRev => parentRev !== -1)
+      .map(parentRev => changelog.entries[parentRev].nodeId);
+
     return {
       type: 'commit',
       content: {
-        tree: 'placeholder',
-        author: 'Unknown',
-        committer: 'Unknown',
-        message: 'Placeholder commit',
-        parents: []
+        tree: manifest,
+        author,
+        committer: author,
+        message,
+        parents,
+        branch: extra.branch || 'default',
+        files: header.slice(3),
+        extra
       },
       id: sha
     };
   }
 
-  // Static initialization method
+  /**
+   * Commits `changes` ([{name, content}], null content removing the file) on
+   * top of the first parent's manifest and returns the new commit id. The
+   * commit stays on the first parent's branch unless extra.branch is given.
+   */
+  async writeCommit({ parents, changes = [], author, message, extra = {} }) {
+    const changelog = await this.loadIndex('store/00changelog');
+    const linkRev = changelog.entries.length;
+
+    const parentCommits = await Promise.all(parents.map(parent => this.readCommit(parent)));
+    const manifests = await Promise.all(
+      parentCommits.map(commit => this.readManifest(commit.content.tree))
+    );
+
+    let tree = manifests.length ? manifests[0].id : NULL_ID;
+    if (changes.length) {
+      const items = new Map((manifests.length ? manifests[0].content : [])
+        .map(item => [item.name, item]));
+
+      for (const change of changes) {
+        if (change.content === null) {
+          items.delete(change.name);
+          continue;
+        }
+
+        const fileParents = manifests
+          .map(manifest => manifest.content.find(item => item.name === change.name))
+          .filter(item => item)
+          .map(item => item.id);
+        const id = await this.writeHgFile(change.name, change.content, fileParents, linkRev);
+        const flags = items.has(change.name) ? items.get(change.name).flags : '';
+        items.set(change.name, { name: change.name, id, flags });
+      }
+
+      tree = await this.writeManifest(
+        [...items.values()],
+        manifests.map(manifest => manifest.id).filter(id => id !== NULL_ID),
+        linkRev
+      );
+    }
+
+    const { user, date } = this.fromGitAuthor(author);
+    const branch = parentCommits.length ? parentCommits[0].content.branch : 'default';
+    return this.writePlainCommit({
+      tree,
+      author: user,
+      date,
+      files: changes.map(change => change.name),
+      parents,
+      message,
+      extra: { branch, ...extra }
+    });
+  }
+
+  async writeHgFile(path, content, parents, linkRev) {
+    // Content that looks like copy metadata gets an empty metadata block
+    if (content[0] === 1 && content[1] === 10) {
+      const escaped = new Uint8Array(content.length + 4);
+      escaped.set([1, 10, 1, 10]);
+      escaped.set(content, 4);
+      content = escaped;
+    }
+
+    const filelog = await this.loadIndex(`store/data/${path}`);
+    if (filelog.entries.length === 0) {
+      await this.addToFncache(path);
+    }
+
+    const entry = await filelog.addRevision(
+      content,
+      parents.map(parent => filelog.getRev(parent)),
+      linkRev
+    );
+    return entry.nodeId;
+  }
+
+  async writeManifest(items, parents, linkRev) {
+    const text = [...items]
+      .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+      .map(item => `${item.name}\0${item.id}${item.flags}\n`)
+      .join('');
+
+    const manifest = await this.loadIndex('store/00manifest');
+    const entry = await manifest.addRevision(
+      new Uint8Array(this.encodeUTF8(text)),
+      parents.map(parent => manifest.getRev(parent)),
+      linkRev
+    );
+    return entry.nodeId;
+  }
+
+  // fncache lists every filelog so that hg can walk the store
+  async addToFncache(path) {
+    if (!this.requirements.includes('fncache')) {
+      return;
+    }
+
+    let entries = [];
+    try {
+      entries = this.decodeUTF8(await this.readFile('store/fncache')).split('\n');
+    } catch (error) {
+      // Created with the first file
+    }
+
+    const entry = this.hgFileName.encodeDir(`data/${path}.i`);
+    if (!entries.includes(entry)) {
+      entries = entries.filter(line => line).concat(entry);
+      await this.writeFile('store/fncache', this.encodeUTF8(`${entries.join('\n')}\n`));
+    }
+  }
+
+  /**
+   * Appends a changeset to the changelog and returns its node id. `date` is
+   * "<unix time> <seconds west of UTC>", `tree` the manifest node id.
+   */
+  async writePlainCommit({ tree, author, date, files = [], parents = [], message, extra = {} }) {
+    const changelog = await this.loadIndex('store/00changelog');
+
+    const extraString = this.formatExtra(extra);
+    const lines = [
+      tree,
+      author,
+      extraString ? `${date} ${extraString}` : date,
+      ...[...files].sort(),
+      '',
+      message
+    ];
+
+    const entry = await changelog.addRevision(
+      new Uint8Array(this.encodeUTF8(lines.join('\n'))),
+      parents.map(parent => changelog.getRev(parent)),
+      changelog.entries.length
+    );
+    return entry.nodeId;
+  }
+
+  formatExtra(extra) {
+    return Object.keys(extra)
+      .filter(key => !(key === 'branch' && extra[key] === 'default'))
+      .sort()
+      .map(key => `${key}:${extra[key]}`.replace(/[\\\0\n\r]/g, char => {
+        return { '\\': '\\\\', '\0': '\\0', '\n': '\\n', '\r': '\\r' }[char];
+      }))
+      .join('\0');
+  }
+
+  // Changelog extras are "key:value" pairs separated by NUL, with \0, \n,
+  // \r and \\ escaped
+  parseExtra(extraString) {
+    const extra = {};
+    if (!extraString) {
+      return extra;
+    }
+
+    for (const item of extraString.split('\0')) {
+      const unescaped = item.replace(/\\(.)/g, (match, char) => {
+        return { '0': '\0', n: '\n', r: '\r' }[char] || char;
+      });
+      const colon = unescaped.indexOf(':');
+      extra[unescaped.substr(0, colon)] = unescaped.substr(colon + 1);
+    }
+    return extra;
+  }
+
+  async readManifest(sha) {
+    if (sha === NULL_ID) {
+      return { type: 'tree', content: [], id: sha };
+    }
+
+    const manifest = await this.loadIndex('store/00manifest');
+    const data = await manifest.getData(manifest.getRev(sha));
+
+    // Each line is "path\0<40 hex digits><flags>\n"
+    const items = [];
+    let pos = 0;
+    while (pos < data.length) {
+      const nul = data.indexOf(0, pos);
+      const end = data.indexOf(10, nul);
+      const node = this.arrayToString(data.subarray(nul + 1, end === -1 ? data.length : end));
+
+      items.push({
+        name: this.decodeUTF8(data.subarray(pos, nul)),
+        id: node.substr(0, 40),
+        flags: node.substr(40)
+      });
+      pos = end === -1 ? data.length : end + 1;
+    }
+
+    return { type: 'tree', content: items, id: sha };
+  }
+
+  /**
+   * Returns the file at `path` in manifest `sha`, or the directory listing
+   * when `path` is a directory. Manifests are flat, so directories get ids of
+   * the form "manifest/path" that readUnknownObject understands.
+   */
+  async readTreeItem(sha, path) {
+    const manifest = await this.readManifest(sha);
+    path = path.split('/').filter(part => part.length).join('/');
+
+    const file = manifest.content.find(item => item.name === path);
+    if (file) {
+      const blob = await this.readHgFile(path, file.id);
+      blob.mode = FILE_MODES[file.flags] || FILE_MODES[''];
+      return blob;
+    }
+
+    const prefix = path ? `${path}/` : '';
+    const content = [];
+    for (const item of manifest.content) {
+      if (!item.name.startsWith(prefix)) {
+        continue;
+      }
+
+      const name = item.name.substr(prefix.length);
+      const slash = name.indexOf('/');
+      if (slash === -1) {
+        content.push({
+          type: 'blob',
+          mode: FILE_MODES[item.flags] || FILE_MODES[''],
+          name,
+          id: item.id
+        });
+      } else if (!content.some(entry => entry.name === name.substr(0, slash))) {
+        content.push({
+          type: 'tree',
+          name: name.substr(0, slash),
+          id: `${sha}/${prefix}${name.substr(0, slash)}`
+        });
+      }
+    }
+
+    if (path && content.length === 0) {
+      throw new Error(`Manifest ${sha} has no item named ${path}`);
+    }
+
+    return { type: 'tree', content, id: path ? `${sha}/${path}` : sha };
+  }
+
+  async readHgFile(path, sha) {
+    const filelog = await this.loadIndex(`store/data/${path}`);
+    let content = await filelog.getData(filelog.getRev(sha));
+
+    // Copy metadata is stored in front of the content between \1\n markers
+    const meta = {};
+    if (content[0] === 1 && content[1] === 10) {
+      const end = this.findMetaEnd(content);
+      this.arrayToString(content.subarray(2, end))
+        .split('\n')
+        .filter(line => line)
+        .forEach(line => {
+          const colon = line.indexOf(': ');
+          meta[line.substr(0, colon)] = line.substr(colon + 2);
+        });
+      content = content.subarray(end + 2);
+    }
+
+    return { type: 'blob', content, id: sha, meta };
+  }
+
+  findMetaEnd(content) {
+    for (let pos = 2; pos < content.length - 1; pos++) {
+      if (content[pos] === 1 && content[pos + 1] === 10) {
+        return pos;
+      }
+    }
+    throw new Error('Unterminated file metadata');
+  }
+
+  // Converts Mercurial "user" and "time tz" to a Git author line. Hg stores
+  // the timezone as seconds west of UTC.
+  toGitAuthor(author, date) {
+    let name = author;
+    let email = 'hg';
+    const open = author.indexOf('<');
+    if (open > -1 && author.endsWith('>')) {
+      email = author.substring(open + 1, author.length - 1);
+      name = author.substr(0, open).trim();
+    }
+
+    const [time, offset] = date.split(' ');
+    const tz = -parseInt(offset, 10) / 60;
+    const hours = Math.floor(Math.abs(tz) / 60).toString().padStart(2, '0');
+    const minutes = (Math.abs(tz) % 60).toString().padStart(2, '0');
+
+    return `${name} <${email}> ${parseInt(time, 10)} ${tz < 0 ? '-' : '+'}${hours}${minutes}`;
+  }
+
+  // Inverse of toGitAuthor: returns hg's user and "time tz" strings
+  fromGitAuthor(author) {
+    const match = author.match(/^(.*) (\d+) ([+-])(\d\d)(\d\d)$/);
+    if (!match) {
+      throw new Error(`Malformed author ${author}`);
+    }
+
+    const [, user, time, sign, hours, minutes] = match;
+    const offset = (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60;
+    return { user, date: `${time} ${sign === '+' ? -offset : offset}` };
+  }
+
+  // Creates an empty store with an initial commit by the given author
   static async init(root, zeroPage, name, email) {
     const hg = new Hg(root, zeroPage);
-    
-    // Initialize Mercurial repository
-    await hg.writeFile('00changelog.i', hg.stringToArray('\x00\x00\x00\x02dummy'));
-    await hg.writeFile('requires', hg.stringToArray('dotencode\nfncache\ngeneraldelta\nrevlogv1\nstore\n'));
-    
+
+    await hg.writeFile('00changelog.i', hg.stringToArray(DUMMY_CHANGELOG));
+    await hg.writeFile('requires', hg.stringToArray(REQUIREMENTS.map(req => `${req}\n`).join('')));
+    await hg.writeFile('store/fncache', []);
+    await hg.writeFile('store/00changelog.i', []);
+    await hg.writeFile('store/00manifest.i', []);
+    await hg.init();
+
+    // Nothing is committed yet, so the changeset points at the null manifest
+    const offset = new Date().getTimezoneOffset() * 60;
+    await hg.writePlainCommit({
+      tree: NULL_ID,
+      author: `${name} <${email}>`,
+      date: `${Math.floor(Date.now() / 1000)} ${offset}`,
+      message: 'Initial commit'
+    });
+
     return hg;
   }
 }
 
+/**
+ * A revlog: an index of 64-byte entries plus revision data, either inline
+ * after each entry or in a separate .d file. Each revision is stored as a
+ * full text or as a delta against an earlier one.
+ */
+export class HgRevlog {
+  constructor(hg, indexPath, dataPath) {
+    this.hg = hg;
+    this.indexPath = indexPath;
+    this.dataPath = dataPath;
+    this.entries = [];
+    this.nodeIds = new Map();
+    this.textCache = new Map();
+    this.index = new Uint8Array(0);
+    this.data = null;
+  }
+
+  async load() {
+    let index;
+    try {
+      index = await this.hg.readFile(this.indexPath);
+    } catch (error) {
+      index = new Uint8Array(0);
+    }
+
+    this.index = index;
+    if (index.length === 0) {
+      // Missing or empty revlogs are created inline, as hg does
+      this.version = 1 | FLAG_INLINE_DATA | FLAG_GENERALDELTA;
+      this.isInline = true;
+      this.generalDelta = true;
+      this.data = index;
+      return this;
+    }
+
+    this.version = index.length >= 4 ? this.hg.unpackInt32(index) : 1;
+    this.isInline = !!(this.version & FLAG_INLINE_DATA);
+    this.generalDelta = !!(this.version & FLAG_GENERALDELTA);
+    if ((this.version & 0xffff) !== 1) {
+      throw new Error(`Unsupported revlog version ${this.version & 0xffff} in ${this.indexPath}`);
+    }
+
+    let pos = 0;
+    while (pos + INDEX_ENTRY_SIZE <= index.length) {
+      const bytes = index.subarray(pos, pos + INDEX_ENTRY_SIZE);
+      const entry = this.parseEntry(bytes, this.entries.length);
+      entry.position = pos + INDEX_ENTRY_SIZE;
+      this.nodeIds.set(entry.nodeId, entry.rev);
+      this.entries.push(entry);
+
+      pos += INDEX_ENTRY_SIZE;
+      if (this.isInline) {
+        pos += entry.compressedLength;
+      }
+    }
+
+    if (this.isInline) {
+      this.data = index;
+    }
+
+    return this;
+  }
+
+  parseEntry(bytes, rev) {
+    return {
+      rev,
+      // The first entry's offset holds the revlog header instead
+      offset: rev === 0 ? 0 : this.hg.unpackInt48(bytes.subarray(0, 6)),
+      flags: this.hg.unpackInt16(bytes.subarray(6, 8)),
+      compressedLength: this.hg.unpackInt32(bytes.subarray(8, 12)) >>> 0,
+      uncompressedLength: this.hg.unpackInt32(bytes.subarray(12, 16)),
+      baseRev: this.hg.unpackInt32(bytes.subarray(16, 20)),
+      linkRev: this.hg.unpackInt32(bytes.subarray(20, 24)),
+      parent1Rev: this.hg.unpackInt32(bytes.subarray(24, 28)),
+      parent2Rev: this.hg.unpackInt32(bytes.subarray(28, 32)),
+      nodeId: this.hg.unpackSha(bytes.subarray(32, 52))
+    };
+  }
+
+  getRev(nodeId) {
+    if (nodeId === NULL_ID) {
+      return -1;
+    }
+    if (!this.nodeIds.has(nodeId)) {
+      throw new Error(`Unknown revision ${nodeId} in ${this.indexPath}`);
+    }
+    return this.nodeIds.get(nodeId);
+  }
+
+  async readChunk(rev) {
+    const entry = this.entries[rev];
+
+    let start;
+    if (this.isInline) {
+      start = entry.position;
+    } else {
+      if (!this.data) {
+        this.data = await this.hg.readFile(this.dataPath);
+      }
+      start = entry.offset;
+    }
+
+    if (start + entry.compressedLength > this.data.length) {
+      throw new Error(`Revision ${rev} of ${this.indexPath} is truncated`);
+    }
+    return this.hg.decompress(this.data.subarray(start, start + entry.compressedLength));
+  }
+
+  /**
+   * Returns revisions whose chunks rebuild `rev`, starting with a full text.
+   * With generaldelta each revision names its delta parent; otherwise deltas
+   * go against the previous revision back to the chain base.
+   */
+  getDeltaChain(rev) {
+    const chain = [];
+    let current = rev;
+
+    while (!this.textCache.has(current)) {
+      chain.unshift(current);
+      const base = this.entries[current].baseRev;
+      if (base === current || base === -1) {
+        return { base: null, chain };
+      }
+      current = this.generalDelta ? base : current - 1;
+    }
+
+    return { base: current, chain };
+  }
+
+  async getData(rev) {
+    if (rev === -1) {
+      return new Uint8Array(0);
+    }
+    if (this.textCache.has(rev)) {
+      return this.textCache.get(rev);
+    }
+
+    const { base, chain } = this.getDeltaChain(rev);
+    let text = base === null ? null : this.textCache.get(base);
+    for (const chainRev of chain) {
+      const chunk = await this.readChunk(chainRev);
+      text = text === null ? chunk : this.patch(text, chunk);
+    }
+
+    const entry = this.entries[rev];
+    if (text.length !== entry.uncompressedLength) {
+      throw new Error(`Revision ${rev} of ${this.indexPath} has wrong length`);
+    }
+    this.verify(entry, text);
+
+    this.textCache.set(rev, text);
+    if (this.textCache.size > TEXT_CACHE_SIZE) {
+      this.textCache.delete(this.textCache.keys().next().value);
+    }
+
+    return text;
+  }
+
+  // Applies a bdiff delta: a list of (start, end, length) hunks, each
+  // replacing source[start:end] with the following `length` bytes
+  patch(source, delta) {
+    const parts = [];
+    let last = 0;
+    let pos = 0;
+
+    while (pos + 12 <= delta.length) {
+      const start = this.hg.unpackInt32(delta.subarray(pos, pos + 4));
+      const end = this.hg.unpackInt32(delta.subarray(pos + 4, pos + 8));
+      const length = this.hg.unpackInt32(delta.subarray(pos + 8, pos + 12));
+      if (start < last || end < start || end > source.length) {
+        throw new Error(`Invalid delta in ${this.indexPath}`);
+      }
+
+      parts.push(source.subarray(last, start), delta.subarray(pos + 12, pos + 12 + length));
+      last = end;
+      pos += 12 + length;
+    }
+    parts.push(source.subarray(last));
+
+    return this.concat(parts);
+  }
+
+  /**
+   * Appends a revision stored as a full text and writes the revlog back.
+   * `parentRevs` are revision numbers in this revlog, `linkRev` is the
+   * changelog revision that introduced it.
+   */
+  async addRevision(text, parentRevs, linkRev) {
+    const rev = this.entries.length;
+    const [parent1Rev = -1, parent2Rev = -1] = parentRevs;
+    const parents = [parent1Rev, parent2Rev]
+      .map(parentRev => parentRev === -1 ? NULL_ID : this.entries[parentRev].nodeId)
+      .sort();
+    const nodeId = this.hg.sha(this.hg.packSha(parents[0]), this.hg.packSha(parents[1]), text);
+    if (this.nodeIds.has(nodeId)) {
+      return this.entries[this.nodeIds.get(nodeId)];
+    }
+
+    const chunk = this.hg.compress(text);
+    const last = this.entries[rev - 1];
+    const entry = {
+      rev,
+      offset: last ? last.offset + last.compressedLength : 0,
+      flags: 0,
+      compressedLength: chunk.length,
+      uncompressedLength: text.length,
+      baseRev: rev,
+      linkRev,
+      parent1Rev,
+      parent2Rev,
+      nodeId
+    };
+
+    const bytes = this.packEntry(entry);
+    if (rev === 0) {
+      bytes.set(this.hg.packInt32(this.version), 0);
+    }
+
+    if (this.isInline) {
+      this.index = this.concat([this.index, bytes, chunk]);
+      this.data = this.index;
+      entry.position = this.index.length - chunk.length;
+      await this.hg.writeFile(this.indexPath, this.index);
+    } else {
+      if (!this.data) {
+        this.data = await this.hg.readFile(this.dataPath).catch(() => new Uint8Array(0));
+      }
+      this.data = this.concat([this.data, chunk]);
+      this.index = this.concat([this.index, bytes]);
+      await this.hg.writeFile(this.dataPath, this.data);
+      await this.hg.writeFile(this.indexPath, this.index);
+    }
+
+    this.entries.push(entry);
+    this.nodeIds.set(nodeId, rev);
+    return entry;
+  }
+
+  packEntry(entry) {
+    const bytes = new Uint8Array(INDEX_ENTRY_SIZE);
+    // 48-bit offset followed by 16-bit flags
+    bytes.set(this.hg.packInt32(Math.floor(entry.offset / 0x10000)), 0);
+    bytes.set(this.hg.packInt32(((entry.offset & 0xffff) << 16) | entry.flags), 4);
+    bytes.set(this.hg.packInt32(entry.compressedLength), 8);
+    bytes.set(this.hg.packInt32(entry.uncompressedLength), 12);
+    bytes.set(this.hg.packInt32(entry.baseRev), 16);
+    bytes.set(this.hg.packInt32(entry.linkRev), 20);
+    bytes.set(this.hg.packInt32(entry.parent1Rev), 24);
+    bytes.set(this.hg.packInt32(entry.parent2Rev), 28);
+    bytes.set(this.hg.packSha(entry.nodeId), 32);
+    return bytes;
+  }
+
+  concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+      result.set(array, offset);
+      offset += array.length;
+    }
+    return result;
+  }
+
+  // Node ids are SHA-1 of both parent ids (smaller first) and the full text
+  verify(entry, text) {
+    const parents = [entry.parent1Rev, entry.parent2Rev]
+      .map(rev => rev === -1 ? NULL_ID : this.entries[rev].nodeId)
+      .sort();
+
+    const hash = this.hg.sha(this.hg.packSha(parents[0]), this.hg.packSha(parents[1]), text);
+    if (hash !== entry.nodeId) {
+      throw new Error(`Revision ${entry.nodeId} of ${this.indexPath} hashes to ${hash}`);
+    }
+  }
+}
+
+// Longest store path before hg switches to hashed names
+const MAX_STORE_PATH_LENGTH = 120;
+const DIR_PREFIX_LENGTH = 8;
+const MAX_SHORT_DIRS_LENGTH = 8 * (DIR_PREFIX_LENGTH + 1) - 4;
+
+const WINDOWS_RESERVED_3 = ['aux', 'con', 'prn', 'nul'];
+const WINDOWS_RESERVED_4 = ['com', 'lpt'];
+
+/**
+ * Mercurial's store filename encoding. Paths are encoded byte-wise (UTF-8):
+ * uppercase letters become "_x", unsafe bytes "~xx", and with fncache
+ * Windows-reserved names are escaped and overlong paths hashed into dh/.
+ */
 class HgFileName {
-  constructor() {
+  constructor({ fncache = true, dotencode = true } = {}) {
+    this.fncache = fncache;
+    this.dotencode = dotencode;
     // Initialize encoding/decoding maps for Mercurial filenames
     this.initializeMaps();
   }
 
   initializeMaps() {
     this.cmap = {};
+    this.lowerMap = {};
     this.dmap = {};
     
     // Build character mapping for filename encoding
@@ -187,10 +1328,14 @@ class HgFileName {
       const hex = code.toString(16).padStart(2, '0');
       this.cmap[code] = `~${hex}`;
     }
+
+    // Hashed paths only lowercase letters
+    Object.assign(this.lowerMap, this.cmap);
     
     // Uppercase mappings
     for (let i = 65; i <= 90; i++) { // A-Z
       this.cmap[i] = `_${String.fromCharCode(i).toLowerCase()}`;
+      this.lowerMap[i] = String.fromCharCode(i).toLowerCase();
     }
     
     this.cmap[95] = '__'; // underscore
@@ -201,17 +1346,99 @@ class HgFileName {
     }
   }
 
-  encode(name) {
-    return Array.from(name)
-      .map(char => this.cmap[char.charCodeAt(0)] || char)
-      .join('')
-      .replace(/\.hg\//, '.hg.hg/')
-      .replace(/\.i\//, '.i.hg/')
-      .replace(/\.d\//, '.d.hg/');
+  // Encodes a store path such as "data/dir/File.txt.i"
+  encode(path) {
+    path = this.encodeDir(path);
+    const encoded = this.encodeBytes(path, this.cmap);
+    if (!this.fncache) {
+      return encoded;
+    }
+
+    const result = this.auxEncode(encoded.split('/')).join('/');
+    if (result.length <= MAX_STORE_PATH_LENGTH) {
+      return result;
+    }
+    return this.hashEncode(path);
+  }
+
+  // Directories named like revlog files get a .hg suffix
+  encodeDir(path) {
+    return path
+      .replace(/\.hg\//g, '.hg.hg/')
+      .replace(/\.i\//g, '.i.hg/')
+      .replace(/\.d\//g, '.d.hg/');
+  }
+
+  encodeBytes(path, map) {
+    return Array.from(new TextEncoder().encode(path))
+      .map(byte => map[byte])
+      .join('');
+  }
+
+  // Escapes leading dots and spaces, trailing dots and spaces and
+  // Windows-reserved names in each path component
+  auxEncode(parts) {
+    return parts.map(part => {
+      if (!part) {
+        return part;
+      }
+
+      if (this.dotencode && (part[0] === '.' || part[0] === ' ')) {
+        part = `~${part.charCodeAt(0).toString(16)}${part.substr(1)}`;
+      } else {
+        const dot = part.indexOf('.');
+        const length = dot === -1 ? part.length : dot;
+        const reserved = (length === 3 && WINDOWS_RESERVED_3.includes(part.substr(0, 3))) ||
+          (length === 4 && part[3] >= '1' && part[3] <= '9' &&
+           WINDOWS_RESERVED_4.includes(part.substr(0, 3)));
+        if (reserved) {
+          part = `${part.substr(0, 2)}~${part.charCodeAt(2).toString(16)}${part.substr(3)}`;
+        }
+      }
+
+      const last = part[part.length - 1];
+      if (last === '.' || last === ' ') {
+        part = `${part.substr(0, part.length - 1)}~${last.charCodeAt(0).toString(16)}`;
+      }
+      return part;
+    });
+  }
+
+  // Long paths become dh/<shortened dirs>/<filler><sha1 of path><ext>
+  hashEncode(path) {
+    const bytes = new TextEncoder().encode(path);
+    const digest = new Sha1().update(bytes).hex();
+
+    const lowered = this.encodeBytes(path.substr('data/'.length), this.lowerMap);
+    const parts = this.auxEncode(lowered.split('/'));
+    const basename = parts[parts.length - 1];
+    const dot = basename.lastIndexOf('.');
+    const ext = dot > 0 ? basename.substr(dot) : '';
+
+    const dirs = [];
+    let dirsLength = 0;
+    for (const part of parts.slice(0, -1)) {
+      let dir = part.substr(0, DIR_PREFIX_LENGTH);
+      if (dir.endsWith('.') || dir.endsWith(' ')) {
+        dir = `${dir.substr(0, dir.length - 1)}_`;
+      }
+
+      const length = dirsLength === 0 ? dir.length : dirsLength + 1 + dir.length;
+      if (dirsLength > 0 && length > MAX_SHORT_DIRS_LENGTH) {
+        break;
+      }
+      dirs.push(dir);
+      dirsLength = length;
+    }
+
+    const prefix = `dh/${dirs.length ? `${dirs.join('/')}/` : ''}`;
+    const spaceLeft = MAX_STORE_PATH_LENGTH - (prefix + digest + ext).length;
+    const filler = spaceLeft > 0 ? basename.substr(0, spaceLeft) : '';
+    return prefix + filler + digest + ext;
   }
 
   decode(name) {
-    let result = '';
+    const bytes = [];
     let pos = 0;
     
     while (pos < name.length) {
@@ -219,7 +1446,7 @@ class HgFileName {
       for (let len = 1; len <= 3; len++) {
         const substr = name.substr(pos, len);
         if (this.dmap[substr] !== undefined) {
-          result += String.fromCharCode(this.dmap[substr]);
+          bytes.push(this.dmap[substr]);
           pos += len;
           found = true;
           break;
@@ -231,6 +1458,6 @@ class HgFileName {
       }
     }
     
-    return result;
+    return new TextDecoder().decode(new Uint8Array(bytes));
   }
-}
\ No newline at end of file
+}
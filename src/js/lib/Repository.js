@@ -91,20 +91,32 @@ export class Repository {
       const auth = await this.getAuth();
       const author = await this.getAuthorString(auth);
       
-      const commit = {
-        tree: [{
-          name: path,
-          type: 'blob',
-          content: content
-        }],
-        parents: [await this.vcs.getBranchCommit(branch)],
+      if (!(this.vcs instanceof Git)) {
+        throw new Error('Saving files is only supported for Git repositories');
+      }
+
+      const parent = await this.vcs.getBranchCommit(branch);
+      const parentCommit = await this.vcs.readUnknownObject(parent);
+      const base = await this.vcs.readUnknownObject(parentCommit.content.tree);
+
+      const delta = await this.vcs.makeTreeDeltaPath(base.content, [{
+        path,
+        type: 'blob',
+        content
+      }]);
+      const tree = await this.vcs.writeTreeRecursive(delta);
+
+      const commit = await this.signCommit({
+        tree,
+        parents: [parent],
         author,
         committer: author,
         message
-      };
+      }, auth);
 
-      const commitId = await this.vcs.writeCommit(commit);
-      await this.vcs.setRef(`refs/heads/${branch}`, commitId);
+      const commitId = await this.vcs.writePlainCommit(commit);
+      // Fails if someone else moved the branch while we were committing
+      await this.vcs.setRef(`refs/heads/${branch}`, commitId, parent);
       
       return commitId;
     } catch (error) {
@@ -113,12 +125,120 @@ export class Repository {
     }
   }
 
+  // Adds a `zeronetsig` header signed with the user's ZeroNet auth key (the
+  // key that signs their data.json), along with their ZeroID certificate:
+  //
+  //   zeronetsig address <auth address>
+  //    cert <auth type> <cert_user_id> <cert_sign>
+  //    signature <signature of the commit without this header>
+  //
+  // The commit stays unsigned if ZeroNet can't sign (no CryptMessage plugin).
+  async signCommit(commit, auth) {
+    let signature;
+    try {
+      signature = await this.zeroPage.cmd('ecdsaSign', [this.vcs.formatCommit(commit)]);
+    } catch (error) {
+      console.warn('Commit signing is not available:', error);
+      return commit;
+    }
+
+    const lines = [`address ${auth.address}`];
+    // A certificate that isn't published yet can't be checked by others
+    const cert = await this.getUserContent(auth.address);
+    if (cert.cert_sign && cert.cert_user_id === auth.user) {
+      lines.push(`cert ${cert.cert_auth_type} ${cert.cert_user_id} ${cert.cert_sign}`);
+    }
+    lines.push(`signature ${signature}`);
+
+    return { ...commit, headers: [{ name: 'zeronetsig', value: lines.join('\n') }] };
+  }
+
+  // Checks a `zeronetsig` signature made by signCommit() against the signing
+  // auth address and its ZeroID certificate. Returns 'verified', 'unverified'
+  // or 'unknown' (can't be checked), or null for commits without one.
+  async verifyCommitSignature(commit) {
+    const { signature, committer } = commit.content;
+    if (!signature || signature.format !== 'zeronet') {
+      return null;
+    }
+
+    const fields = {};
+    for (const line of signature.armor.split('\n')) {
+      const space = line.indexOf(' ');
+      if (space > -1) {
+        fields[line.slice(0, space)] = line.slice(space + 1);
+      }
+    }
+
+    if (!fields.address || !fields.signature) {
+      return 'unverified';
+    }
+
+    let valid;
+    try {
+      valid = await this.zeroPage.cmd('ecdsaVerify', [
+        this.vcs.decodeUTF8(signature.payload),
+        fields.address,
+        fields.signature
+      ]);
+    } catch (error) {
+      return 'unknown';
+    }
+    if (!valid) {
+      return 'unverified';
+    }
+
+    const [authType, certUserId, certSign] = (fields.cert || '').split(' ');
+    if (!certSign) {
+      return 'unknown';
+    }
+
+    const [userName, provider] = certUserId.split('@');
+    let signers;
+    try {
+      const users = JSON.parse(await this.zeroPage.readFile('data/users/content.json'));
+      signers = users.user_contents.cert_signers[provider];
+    } catch (error) {
+      return 'unknown';
+    }
+    if (!signers) {
+      return 'unknown';
+    }
+
+    const certValid = await this.zeroPage.cmd('ecdsaVerify', [
+      `${fields.address}#${authType}/${userName}`,
+      signers,
+      certSign
+    ]);
+    if (!certValid) {
+      return 'unverified';
+    }
+
+    // The committer must use the signer's commit email
+    const profile = await this.getUserProfile(fields.address);
+    const email = committer.slice(committer.indexOf('<') + 1, committer.indexOf('>'));
+    return (profile.commitEmail || certUserId) === email ? 'verified' : 'unverified';
+  }
+
+  async getUserContent(address) {
+    try {
+      return JSON.parse(await this.zeroPage.readFile(`data/users/${address}/content.json`)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // The user may have switched certificates since siteInfo was cached, so
+  // always ask ZeroNet which auth address is going to sign
   async getAuth() {
-    // This would integrate with ZeroID authentication
-    // For now, return a placeholder
+    const siteInfo = await this.zeroPage.cmd('siteInfo');
+    if (!siteInfo.cert_user_id) {
+      throw new Error('Select a ZeroNet certificate to commit');
+    }
+
     return {
-      address: 'user_address',
-      user: 'username@zeroid.bit'
+      address: siteInfo.auth_address,
+      user: siteInfo.cert_user_id
     };
   }
 
@@ -135,7 +255,8 @@ export class Repository {
   async getUserProfile(address) {
     try {
       const profileStr = await this.zeroPage.readFile(`data/users/${address}/data.json`);
-      return JSON.parse(profileStr);
+      // fileGet gives null for files that don't exist
+      return JSON.parse(profileStr) || {};
     } catch (error) {
       return {};
     }
@@ -0,0 +1,368 @@
+/**
+ * Emulation of `git upload-pack` on top of the Git object reader, so that a
+ * repository can be cloned and fetched over smart HTTP without ZeroNet.
+ * Protocol v2 is served when the client asks for it (Git-Protocol: version=2),
+ * otherwise a plain v0 exchange without multi_ack or side-band is used.
+ */
+
+const AGENT = 'git-center/1.0';
+
+// Max pkt-line payload, minus one byte for the side-band channel
+const SIDEBAND_CHUNK_SIZE = 65515;
+
+const FLUSH_PKT = '0000';
+const DELIM_PKT = '0001';
+
+export class UploadPack {
+  constructor(git) {
+    this.git = git;
+  }
+
+  isProtocolV2(protocolHeader = '') {
+    return protocolHeader.split(':').includes('version=2');
+  }
+
+  /**
+   * Response for GET info/refs?service=git-upload-pack
+   */
+  async advertise(protocolHeader) {
+    if (this.isProtocolV2(protocolHeader)) {
+      return this.concat([
+        this.pkt('version 2\n'),
+        this.pkt(`agent=${AGENT}\n`),
+        this.pkt('ls-refs\n'),
+        this.pkt('fetch\n'),
+        this.pkt('object-format=sha1\n'),
+        FLUSH_PKT
+      ]);
+    }
+
+    const refs = await this.listRefs({ peel: true });
+    const head = refs.find(ref => ref.name === 'HEAD');
+    const capabilities = ['ofs-delta', `agent=${AGENT}`, 'object-format=sha1'];
+    if (head && head.symref) {
+      capabilities.push(`symref=HEAD:${head.symref}`);
+    }
+
+    const lines = [this.pkt('# service=git-upload-pack\n'), FLUSH_PKT];
+    if (refs.length === 0) {
+      lines.push(this.pkt(`${'0'.repeat(40)} capabilities^{}\0${capabilities.join(' ')}\n`));
+    }
+    refs.forEach((ref, i) => {
+      const suffix = i === 0 ? `\0${capabilities.join(' ')}` : '';
+      lines.push(this.pkt(`${ref.id} ${ref.name}${suffix}\n`));
+      if (ref.peeled) {
+        lines.push(this.pkt(`${ref.peeled} ${ref.name}^{}\n`));
+      }
+    });
+    lines.push(FLUSH_PKT);
+
+    return this.concat(lines);
+  }
+
+  /**
+   * Response for POST git-upload-pack. `body` is the (already decompressed)
+   * request body.
+   */
+  async handle(body, protocolHeader) {
+    const packets = this.parsePackets(body);
+
+    if (this.isProtocolV2(protocolHeader)) {
+      const command = packets.find(packet =>
+        typeof packet === 'string' && packet.startsWith('command='));
+      if (!command) {
+        throw new Error('No command in protocol v2 request');
+      }
+
+      const delimiter = packets.indexOf(DELIM_PKT);
+      const args = packets.slice(delimiter + 1).filter(packet => packet !== FLUSH_PKT);
+
+      switch (command.substr('command='.length)) {
+        case 'ls-refs':
+          return this.lsRefs(args);
+        case 'fetch':
+          return this.fetch(args);
+        default:
+          throw new Error(`Unknown command ${command}`);
+      }
+    }
+
+    return this.uploadPackV0(packets.filter(packet => packet !== FLUSH_PKT));
+  }
+
+  async lsRefs(args) {
+    const prefixes = args
+      .filter(arg => arg.startsWith('ref-prefix '))
+      .map(arg => arg.substr('ref-prefix '.length));
+
+    const refs = (await this.listRefs({ peel: args.includes('peel') }))
+      .filter(ref => prefixes.length === 0 || prefixes.some(prefix => ref.name.startsWith(prefix)));
+
+    const lines = refs.map(ref => {
+      let line = `${ref.id} ${ref.name}`;
+      if (ref.symref && args.includes('symrefs')) {
+        line += ` symref-target:${ref.symref}`;
+      }
+      if (ref.peeled) {
+        line += ` peeled:${ref.peeled}`;
+      }
+      return this.pkt(`${line}\n`);
+    });
+    lines.push(FLUSH_PKT);
+
+    return this.concat(lines);
+  }
+
+  async fetch(args) {
+    const wants = this.argValues(args, 'want');
+    const haves = this.argValues(args, 'have');
+    const done = args.includes('done');
+
+    const common = [];
+    for (const have of haves) {
+      if (await this.hasObject(have)) {
+        common.push(have);
+      }
+    }
+
+    const lines = [];
+    if (!done) {
+      // We can always produce a pack, so negotiation ends after one round
+      lines.push(this.pkt('acknowledgments\n'));
+      if (common.length) {
+        common.forEach(id => lines.push(this.pkt(`ACK ${id}\n`)));
+      } else {
+        lines.push(this.pkt('NAK\n'));
+      }
+      lines.push(this.pkt('ready\n'), DELIM_PKT);
+    }
+
+    const ids = await this.collectObjects(wants, common, args.includes('include-tag'));
+    const pack = await this.git.packObjects(ids);
+
+    lines.push(this.pkt('packfile\n'));
+    for (let pos = 0; pos < pack.length; pos += SIDEBAND_CHUNK_SIZE) {
+      lines.push(this.pkt(this.concat([[1], pack.subarray(pos, pos + SIDEBAND_CHUNK_SIZE)])));
+    }
+    lines.push(FLUSH_PKT);
+
+    return this.concat(lines);
+  }
+
+  async uploadPackV0(packets) {
+    // The first want line carries client capabilities after the id
+    const wants = this.argValues(packets, 'want').map(want => want.split(' ')[0]);
+    const haves = this.argValues(packets, 'have');
+
+    let common = null;
+    for (const have of haves) {
+      if (await this.hasObject(have)) {
+        common = have;
+        break;
+      }
+    }
+
+    const ack = this.pkt(common ? `ACK ${common}\n` : 'NAK\n');
+    if (!packets.includes('done')) {
+      return ack;
+    }
+
+    const ids = await this.collectObjects(wants, common ? [common] : [], false);
+    return this.concat([ack, await this.git.packObjects(ids)]);
+  }
+
+  // Returns [{name, id, symref, peeled}], HEAD first
+  async listRefs({ peel }) {
+    const result = [];
+
+    try {
+      const target = await this.git.getSymbolicRef('HEAD');
+      result.push({ name: 'HEAD', id: await this.git.getRef('HEAD'), symref: target });
+    } catch (error) {
+      // Unborn or missing HEAD is simply not advertised
+    }
+
+    const names = (await this.git.getRefList()).sort();
+    for (const name of names) {
+      let ref;
+      try {
+        ref = { name, id: await this.git.getRef(name) };
+      } catch (error) {
+        console.warn(`Skipping unresolvable ref ${name}:`, error);
+        continue;
+      }
+
+      if (peel) {
+        const object = await this.git.readObject(ref.id);
+        if (object.type === 'tag') {
+          ref.peeled = await this.git.peelRef(name);
+        }
+      }
+
+      result.push(ref);
+    }
+
+    return result;
+  }
+
+  async hasObject(id) {
+    try {
+      await this.git.readObject(id);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Lists objects reachable from `wants` but not from `haves`. History below
+   * the haves is skipped, and everything in the trees of boundary commits is
+   * assumed to be present on the client already.
+   */
+  async collectObjects(wants, haves, includeTags) {
+    const haveCommits = new Set();
+    const queue = [...haves];
+    while (queue.length) {
+      const id = queue.pop();
+      if (haveCommits.has(id)) {
+        continue;
+      }
+
+      const object = await this.git.readUnknownObject(id);
+      if (object.type === 'commit') {
+        haveCommits.add(id);
+        queue.push(...object.content.parents);
+      } else if (object.type === 'tag') {
+        queue.push(object.content.target);
+      }
+    }
+
+    const excluded = new Set();
+    const result = [];
+    const added = new Set();
+    const add = id => {
+      if (!added.has(id)) {
+        added.add(id);
+        result.push(id);
+      }
+    };
+
+    const commits = [];
+    const pending = [...wants];
+    while (pending.length) {
+      const id = pending.pop();
+      if (added.has(id) || haveCommits.has(id)) {
+        continue;
+      }
+
+      const object = await this.git.readUnknownObject(id);
+      add(id);
+      if (object.type === 'tag') {
+        pending.push(object.content.target);
+      } else if (object.type === 'commit') {
+        commits.push(object);
+        for (const parent of object.content.parents) {
+          if (haveCommits.has(parent)) {
+            const boundary = await this.git.readUnknownObject(parent);
+            await this.walkTree(boundary.content.tree, excluded, () => {});
+          } else {
+            pending.push(parent);
+          }
+        }
+      } else if (object.type === 'tree') {
+        await this.walkTree(id, excluded, add);
+      }
+    }
+
+    for (const commit of commits) {
+      await this.walkTree(commit.content.tree, excluded, add);
+    }
+
+    if (includeTags) {
+      for (const name of await this.git.getRefList()) {
+        if (!name.startsWith('refs/tags/')) {
+          continue;
+        }
+
+        const id = await this.git.getRef(name);
+        const object = await this.git.readUnknownObject(id);
+        if (object.type === 'tag' && added.has(object.content.target)) {
+          add(id);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Calls `callback` for every tree and blob below `tree` not in `seen`
+  async walkTree(tree, seen, callback) {
+    if (seen.has(tree)) {
+      return;
+    }
+    seen.add(tree);
+    callback(tree);
+
+    const object = await this.git.readUnknownObject(tree);
+    for (const item of object.content) {
+      if (item.type === 'tree') {
+        await this.walkTree(item.id, seen, callback);
+      } else if (item.type === 'blob' && !seen.has(item.id)) {
+        seen.add(item.id);
+        callback(item.id);
+      }
+    }
+  }
+
+  argValues(args, name) {
+    return args
+      .filter(arg => typeof arg === 'string' && arg.startsWith(`${name} `))
+      .map(arg => arg.substr(name.length + 1).trim());
+  }
+
+  // pkt-line encoding: 4 hex digits of total length, then the payload
+  pkt(data) {
+    const bytes = typeof data === 'string' ? this.git.encodeUTF8(data) : data;
+    const length = (bytes.length + 4).toString(16).padStart(4, '0');
+    return this.concat([this.git.stringToArray(length), bytes]);
+  }
+
+  // Splits body into pkt-line payloads (strings without the trailing LF) and
+  // special packets (FLUSH_PKT, DELIM_PKT)
+  parsePackets(body) {
+    const packets = [];
+    let pos = 0;
+
+    while (pos + 4 <= body.length) {
+      const length = parseInt(this.git.arrayToString(body.subarray(pos, pos + 4)), 16);
+      if (Number.isNaN(length)) {
+        throw new Error('Malformed pkt-line');
+      }
+
+      if (length < 4) {
+        packets.push(length === 0 ? FLUSH_PKT : DELIM_PKT);
+        pos += 4;
+        continue;
+      }
+
+      const payload = this.git.decodeUTF8(body.subarray(pos + 4, pos + length));
+      packets.push(payload.replace(/\n$/, ''));
+      pos += length;
+    }
+
+    return packets;
+  }
+
+  concat(chunks) {
+    const arrays = chunks.map(chunk =>
+      typeof chunk === 'string' ? this.git.stringToArray(chunk) : chunk);
+    const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+
+    let pos = 0;
+    for (const array of arrays) {
+      result.set(array, pos);
+      pos += array.length;
+    }
+    return result;
+  }
+}
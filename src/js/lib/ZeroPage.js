@@ -60,8 +60,18 @@ export class ZeroPage {
     }
   }
 
-  async readFile(path) {
+  // With `binary` set the file is transferred as base64 and returned as a
+  // byte string (one char per byte) instead of being decoded as UTF-8
+  async readFile(path, binary = false) {
     try {
+      if (binary) {
+        const content = await this.cmd('fileGet', { inner_path: path, format: 'base64' });
+        if (content === null || content === undefined) {
+          throw new Error('File not found');
+        }
+        return atob(content);
+      }
+
       return await this.cmd('fileGet', { inner_path: path });
     } catch (error) {
       console.error(`Failed to read file ${path}:`, error);
@@ -69,11 +79,11 @@ export class ZeroPage {
     }
   }
 
-  async writeFile(path, content) {
+  async writeFile(path, content, binary = false) {
     try {
       return await this.cmd('fileWrite', { 
         inner_path: path, 
-        content_base64: btoa(unescape(encodeURIComponent(content)))
+        content_base64: binary ? btoa(content) : btoa(unescape(encodeURIComponent(content)))
       });
     } catch (error) {
       console.error(`Failed to write file ${path}:`, error);
@@ -100,6 +110,17 @@ export class ZeroPage {
     }
   }
 
+  // Lists all files below `path` recursively, relative to `path`
+  async listFiles(path = '') {
+    try {
+      const result = await this.cmd('fileList', { inner_path: path });
+      return result || [];
+    } catch (error) {
+      console.error(`Failed to list files in ${path}:`, error);
+      return [];
+    }
+  }
+
   async dbQuery(query, params = {}) {
     try {
       return await this.cmd('dbQuery', { query, params });
@@ -0,0 +1,149 @@
+/**
+ * Stand-in smart HTTP server for cloning Git Center repositories without
+ * ZeroNet. Serves every Git directory below `root`:
+ *
+ *   node src/js/server/GitHttpServer.js ~/ZeroNet/data 8080
+ *   git clone http://localhost:8080/<site address>/<git directory>
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Git } from '../lib/Git.js';
+import { UploadPack } from '../lib/UploadPack.js';
+
+// Implements the part of ZeroPage that Git uses on top of the local filesystem
+export class FsZeroPage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(innerPath) {
+    const file = path.resolve(this.root, innerPath);
+    if (file !== this.root && !file.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Path ${innerPath} is outside of root`);
+    }
+    return file;
+  }
+
+  async readFile(innerPath, binary = false) {
+    return fs.promises.readFile(this.resolve(innerPath), binary ? 'latin1' : 'utf8');
+  }
+
+  async writeFile(innerPath, content, binary = false) {
+    const file = this.resolve(innerPath);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    return fs.promises.writeFile(file, content, binary ? 'latin1' : 'utf8');
+  }
+
+  async deleteFile(innerPath) {
+    return fs.promises.unlink(this.resolve(innerPath));
+  }
+
+  async listDirectory(innerPath = '') {
+    try {
+      return await fs.promises.readdir(this.resolve(innerPath));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async listFiles(innerPath = '') {
+    const directory = this.resolve(innerPath);
+    try {
+      const entries = await fs.promises.readdir(directory, {
+        recursive: true,
+        withFileTypes: true
+      });
+      return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath || entry.path, entry.name))
+        .map(file => path.relative(directory, file).split(path.sep).join('/'));
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+export class GitHttpServer {
+  constructor(root) {
+    this.zeroPage = new FsZeroPage(root);
+  }
+
+  // Refs and packs change whenever the site is updated, so every request
+  // reads the repository afresh
+  async getUploadPack(repoPath) {
+    const git = new Git(repoPath, this.zeroPage);
+    await git.init();
+    return new UploadPack(git);
+  }
+
+  async readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+      chunks.push(chunk);
+    }
+
+    const body = Buffer.concat(chunks);
+    return request.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(body) : body;
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(/^\/(.+?)\/(info\/refs|git-upload-pack)$/);
+    if (!match) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const [, repoPath, endpoint] = match;
+    const protocol = request.headers['git-protocol'];
+    const uploadPack = await this.getUploadPack(decodeURIComponent(repoPath));
+
+    if (endpoint === 'info/refs') {
+      if (url.searchParams.get('service') !== 'git-upload-pack') {
+        response.writeHead(403).end('Only git-upload-pack is supported\n');
+        return;
+      }
+
+      const body = await uploadPack.advertise(protocol);
+      response.writeHead(200, {
+        'Content-Type': 'application/x-git-upload-pack-advertisement',
+        'Cache-Control': 'no-cache'
+      });
+      response.end(Buffer.from(body));
+    } else if (request.method === 'POST') {
+      const requestBody = new Uint8Array(await this.readBody(request));
+      const body = await uploadPack.handle(requestBody, protocol);
+      response.writeHead(200, {
+        'Content-Type': 'application/x-git-upload-pack-result',
+        'Cache-Control': 'no-cache'
+      });
+      response.end(Buffer.from(body));
+    } else {
+      response.writeHead(405).end();
+    }
+  }
+
+  listen(port) {
+    const server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        console.error(`${request.method} ${request.url} failed:`, error);
+        if (!response.headersSent) {
+          response.writeHead(500);
+        }
+        response.end();
+      });
+    });
+    return new Promise(resolve => server.listen(port, () => resolve(server)));
+  }
+}
+
+const scriptPath = path.resolve(new URL(import.meta.url).pathname);
+if (process.argv[1] && path.resolve(process.argv[1]) === scriptPath) {
+  const [root = '.', port = '8080'] = process.argv.slice(2);
+  new GitHttpServer(root).listen(Number(port)).then(() => {
+    console.warn(`Serving Git repositories from ${path.resolve(root)} on http://localhost:${port}/`);
+  });
+}
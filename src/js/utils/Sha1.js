@@ -0,0 +1,100 @@
+/**
+ * Incremental SHA-1 hash, used for Git object ids
+ */
+
+export class Sha1 {
+  constructor() {
+    this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+    this.words = new Uint32Array(80);
+  }
+
+  update(data) {
+    for (let i = 0; i < data.length; i++) {
+      this.block[this.blockLength++] = data[i];
+      if (this.blockLength === 64) {
+        this.processBlock();
+        this.blockLength = 0;
+      }
+    }
+
+    this.length += data.length;
+    return this;
+  }
+
+  digest() {
+    const bitLength = this.length * 8;
+
+    this.update([0x80]);
+    while (this.blockLength !== 56) {
+      this.update([0]);
+    }
+
+    const high = Math.floor(bitLength / 0x100000000);
+    const low = bitLength >>> 0;
+    this.update([
+      (high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff,
+      (low >>> 24) & 0xff, (low >>> 16) & 0xff, (low >>> 8) & 0xff, low & 0xff
+    ]);
+
+    const result = new Uint8Array(20);
+    for (let i = 0; i < 5; i++) {
+      result[i * 4] = this.state[i] >>> 24;
+      result[i * 4 + 1] = (this.state[i] >>> 16) & 0xff;
+      result[i * 4 + 2] = (this.state[i] >>> 8) & 0xff;
+      result[i * 4 + 3] = this.state[i] & 0xff;
+    }
+    return result;
+  }
+
+  hex() {
+    return Array.from(this.digest())
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  processBlock() {
+    const w = this.words;
+    for (let i = 0; i < 16; i++) {
+      w[i] = (this.block[i * 4] << 24) | (this.block[i * 4 + 1] << 16) |
+        (this.block[i * 4 + 2] << 8) | this.block[i * 4 + 3];
+    }
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+
+    let [a, b, c, d, e] = this.state;
+    for (let i = 0; i < 80; i++) {
+      let f, k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = temp;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+    this.state[4] += e;
+  }
+}
@@ -0,0 +1,327 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { Git } from '../src/js/lib/Git.js';
+import { FsZeroPage } from '../src/js/server/GitHttpServer.js';
+import {
+  git,
+  makeRepo,
+  makeSignedRepo,
+  tempDir,
+  verifySshSignature
+} from './helpers/git.js';
+
+// A Git of a new bare repository made by stock git
+async function initBare(t) {
+  const dir = tempDir(t);
+  await git(dir, 'init', '-q', '--bare', '-b', 'master', 'repo.git');
+  const repo = new Git('repo.git', new FsZeroPage(dir));
+  await repo.init();
+  return { repo, gitDir: `${dir}/repo.git` };
+}
+
+// A Git of the work tree `dir` made by stock git
+async function openRepo(dir) {
+  const repo = new Git('.git', new FsZeroPage(dir));
+  await repo.init();
+  return repo;
+}
+
+// A work tree whose file changes a little in each commit, so that packing
+// stores most versions as deltas
+async function makeHistory(t) {
+  const lines = Array.from({ length: 2000 }, (_, i) => `line ${i}\n`);
+  const dir = await makeRepo(tempDir(t), { 'a.txt': lines.join('') });
+  for (let i = 1; i <= 3; i++) {
+    lines[i * 500] = `changed ${i}\n`;
+    fs.writeFileSync(`${dir}/a.txt`, lines.join(''));
+    await git(dir, 'commit', '-q', '-am', `Change ${i}`);
+  }
+  return dir;
+}
+
+// Reads every object of the repository and compares types and sizes with git.
+// readObject checks the ids itself.
+async function readAllObjects(dir) {
+  const repo = await openRepo(dir);
+  const objects = await git(dir, 'cat-file', '--batch-all-objects', '--batch-check');
+  for (const line of objects.split('\n')) {
+    const [id, type, size] = line.split(' ');
+    assert.ok(repo.findPackedObject(id), `${id} is packed`);
+    const object = await repo.readObject(id);
+    assert.equal(object.type, type);
+    assert.equal(object.content.length, Number(size));
+  }
+  return repo;
+}
+
+// Returns paths of the pack files with `extension`, relative to the work tree
+function findPackFiles(dir, extension) {
+  return fs.readdirSync(`${dir}/.git/objects/pack`)
+    .filter(name => name.endsWith(extension))
+    .map(name => `.git/objects/pack/${name}`);
+}
+
+// Returns the number of deltas in the pack of `dir`, listed with depth and base
+async function countDeltas(dir) {
+  const [pack] = findPackFiles(dir, '.pack');
+  const verbose = await git(dir, 'verify-pack', '-v', pack);
+  return verbose.split('\n').filter(line => / \d+ [0-9a-f]{40}$/.test(line)).length;
+}
+
+test('writeTree orders names by UTF-8 bytes like git', async t => {
+  const { repo, gitDir } = await initBare(t);
+  const blob = await repo.writeBlob(repo.encodeUTF8('x\n'));
+
+  // U+1F600 is below U+FF5E in UTF-16 code units, but above it in UTF-8
+  const sub = await repo.writeTree([{ name: 'b', type: 'blob', id: blob }]);
+  const tree = await repo.writeTree([
+    ...['～.txt', '\u{1f600}.txt', 'a.txt', 'a-b'].map(name => ({ name, type: 'blob', id: blob })),
+    { name: 'a', type: 'tree', id: sub }
+  ]);
+
+  await git(gitDir, 'fsck', '--strict', '--no-dangling');
+  const listed = await git(gitDir, '-c', 'core.quotePath=false', 'ls-tree', '--name-only', tree);
+  assert.deepEqual(listed.split('\n'), ['a-b', 'a.txt', 'a', '～.txt', '\u{1f600}.txt']);
+});
+
+test('loose objects are byte for byte what git writes', async t => {
+  const { repo, gitDir } = await initBare(t);
+  const dir = await makeRepo(tempDir(t), { 'a.txt': 'hello\n'.repeat(1000) });
+
+  const content = fs.readFileSync(`${dir}/a.txt`);
+  const id = await repo.writeBlob(content);
+  assert.equal(id, await git(dir, 'hash-object', 'a.txt'));
+
+  const path = `objects/${id.slice(0, 2)}/${id.slice(2)}`;
+  assert.deepEqual(fs.readFileSync(`${gitDir}/${path}`), fs.readFileSync(`${dir}/.git/${path}`));
+
+  // And objects written by git read back through inflate
+  const reader = await openRepo(dir);
+  const commit = await reader.readBranchCommit('master');
+  const [file] = (await reader.readUnknownObject(commit.content.tree)).content;
+  assert.deepEqual(Buffer.from((await reader.readObject(file.id)).content), content);
+});
+
+test('object ids match git hash-object around SHA-1 block boundaries', async t => {
+  const { repo } = await initBare(t);
+  const dir = tempDir(t);
+
+  for (const size of [0, 1, 47, 48, 55, 56, 63, 64, 65, 119, 120, 4097]) {
+    const content = Buffer.alloc(size, 'x');
+    fs.writeFileSync(`${dir}/blob`, content);
+    const expected = await git(dir, 'hash-object', 'blob');
+    assert.equal(await repo.writeBlob(content), expected, `size ${size}`);
+  }
+});
+
+test('readObject rejects objects whose content does not match their id', async t => {
+  const { repo, gitDir } = await initBare(t);
+  const good = await repo.writeBlob(repo.encodeUTF8('good\n'));
+  const bad = await repo.writeBlob(repo.encodeUTF8('bad\n'));
+  fs.copyFileSync(
+    `${gitDir}/objects/${good.slice(0, 2)}/${good.slice(2)}`,
+    `${gitDir}/objects/${bad.slice(0, 2)}/${bad.slice(2)}`
+  );
+
+  await assert.rejects(repo.readObject(bad), new RegExp(`${bad}: Object hashes to ${good}`));
+  await assert.rejects(git(gitDir, 'fsck'), /hash-path mismatch/);
+  assert.equal(repo.decodeUTF8((await repo.readObject(good)).content), 'good\n');
+});
+
+test('reads packs with OFS_DELTA entries', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'repack', '-adq');
+  assert.ok(await countDeltas(dir) > 0);
+
+  await readAllObjects(dir);
+});
+
+test('reads packs with REF_DELTA entries', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, '-c', 'repack.useDeltaBaseOffset=false', 'repack', '-adq');
+  assert.ok(await countDeltas(dir) > 0);
+
+  await readAllObjects(dir);
+});
+
+test('reads pack indexes with 64-bit offsets', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'repack', '-adq');
+
+  // Put every offset after the first object into the 64-bit table
+  const [index] = findPackFiles(dir, '.idx');
+  fs.rmSync(`${dir}/${index}`);
+  await git(dir, 'index-pack', '--index-version=2,12', index.replace(/idx$/, 'pack'));
+
+  const repo = await readAllObjects(dir);
+  const [packed] = repo.packedIndex;
+  assert.equal(packed.largeOffsets.length, (packed.count - 1) * 8);
+});
+
+test('applyDelta rejects copies and inserts out of bounds', async () => {
+  const repo = new Git('repo.git', null);
+  const base = new Uint8Array(repo.encodeUTF8('hello world'));
+  const apply = delta => repo.applyDelta(base, new Uint8Array(delta));
+
+  // base size 11, result size 5, copy 5 bytes from offset 6
+  assert.equal(repo.decodeUTF8(apply([11, 5, 0x91, 6, 5])), 'world');
+  assert.throws(() => apply([11, 5, 0x91, 8, 5]), /copy out of bounds/);
+  assert.throws(() => apply([11, 3, 0x91, 6, 5]), /copy out of bounds/);
+  assert.throws(() => apply([11, 5, 5, 104, 105]), /insert out of bounds/);
+  assert.throws(() => apply([11, 2, 3, 104, 105, 33]), /insert out of bounds/);
+  assert.throws(() => apply([11, 6, 0x91, 6, 5]), /result size mismatch/);
+  assert.throws(() => apply([12, 5, 0x91, 6, 5]), /base size mismatch/);
+});
+
+test('packObjects writes packs that git index-pack accepts', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'repack', '-adq');
+  const repo = await openRepo(dir);
+
+  const ids = (await git(dir, 'rev-list', '--objects', '--all')).split('\n')
+    .map(line => line.slice(0, 40));
+  fs.writeFileSync(`${dir}/out.pack`, await repo.packObjects(ids));
+  await git(dir, 'index-pack', '--strict', 'out.pack');
+
+  const packed = (await git(dir, 'verify-pack', '-v', 'out.idx')).split('\n')
+    .filter(line => /^[0-9a-f]{40} /.test(line))
+    .map(line => line.slice(0, 40));
+  assert.deepEqual(packed.sort(), ids.sort());
+});
+
+test('resolves symbolic and packed refs like git', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'tag', '-a', 'v1', '-m', 'Version 1', 'HEAD~1');
+  await git(dir, 'symbolic-ref', 'refs/heads/current', 'refs/heads/master');
+  await git(dir, 'pack-refs', '--all');
+  const repo = await openRepo(dir);
+
+  assert.equal(await repo.resolveRefName('HEAD'), 'refs/heads/master');
+  assert.equal(await repo.resolveRefName('refs/heads/current'), 'refs/heads/master');
+  assert.equal(await repo.getRef('HEAD'), await git(dir, 'rev-parse', 'HEAD'));
+  assert.equal(await repo.getRef('refs/tags/v1'), await git(dir, 'rev-parse', 'v1'));
+  assert.equal(await repo.peelRef('refs/tags/v1'), await git(dir, 'rev-parse', 'v1^{commit}'));
+
+  // Without packed-refs the tag is peeled by reading it
+  await git(dir, 'update-ref', 'refs/tags/v1', await git(dir, 'rev-parse', 'v1'));
+  assert.equal(await repo.peelRef('refs/tags/v1'), await git(dir, 'rev-parse', 'v1^{commit}'));
+});
+
+test('deleteRef removes packed and loose refs', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'tag', 'v1', 'HEAD~1');
+  await git(dir, 'tag', 'v2', 'HEAD~2');
+  await git(dir, 'branch', 'topic', 'HEAD~1');
+  await git(dir, 'pack-refs', '--all');
+  await git(dir, 'update-ref', 'refs/heads/topic', 'HEAD');
+  const repo = await openRepo(dir);
+
+  const head = await git(dir, 'rev-parse', 'HEAD');
+  await assert.rejects(repo.deleteRef('refs/heads/topic', await git(dir, 'rev-parse', 'HEAD~1')));
+  await repo.deleteRef('refs/heads/topic', head);
+  await repo.deleteRef('refs/tags/v1');
+  await assert.rejects(repo.deleteRef('refs/tags/v1'), /Unknown ref/);
+
+  const refs = await git(dir, 'for-each-ref', '--format=%(refname)');
+  assert.deepEqual(refs.split('\n'), ['refs/heads/master', 'refs/tags/v2']);
+  await git(dir, 'fsck', '--no-dangling');
+});
+
+test('setRef compares and swaps through symbolic refs', async t => {
+  const dir = await makeHistory(t);
+  await git(dir, 'pack-refs', '--all');
+  const repo = await openRepo(dir);
+  const [head, parent] = (await git(dir, 'rev-parse', 'HEAD', 'HEAD~1')).split('\n');
+
+  await assert.rejects(repo.setRef('HEAD', parent, parent), /expected/);
+  await repo.setRef('HEAD', parent, head);
+  assert.equal(await git(dir, 'rev-parse', 'master'), parent);
+  assert.equal(await git(dir, 'symbolic-ref', 'HEAD'), 'refs/heads/master');
+
+  await repo.setRef('refs/heads/topic', head, null);
+  await assert.rejects(repo.setRef('refs/heads/topic', parent, null), /expected nothing/);
+  assert.equal(await git(dir, 'rev-parse', 'topic'), head);
+
+  // Concurrent updates from the same state: only the first one wins
+  const results = await Promise.allSettled([
+    repo.setRef('refs/heads/topic', parent, head),
+    repo.setRef('refs/heads/topic', head, head)
+  ]);
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.equal(await git(dir, 'rev-parse', 'topic'), parent);
+});
+
+test('makeTreeDeltaPath gives the trees git writes for the same edits', async t => {
+  const dir = await makeRepo(tempDir(t), {
+    'README.md': 'readme\n',
+    'src/lib/a.js': 'a\n',
+    'src/lib/b.js': 'b\n',
+    'src/main.js': 'main\n',
+    'docs/only.md': 'only\n',
+    'tools/run.sh': 'run\n'
+  });
+  fs.chmodSync(`${dir}/tools/run.sh`, 0o755);
+  await git(dir, 'commit', '-q', '-am', 'Make run.sh executable');
+  const repo = await openRepo(dir);
+  const base = await repo.readTreeItem((await repo.readBranchCommit('master')).content.tree, '');
+
+  const changes = {
+    'src/lib/a.js': 'new a\n',
+    'src/lib/deep/c.js': 'c\n',
+    'new/dir/d.txt': 'd\n',
+    'tools/run.sh': 'run fast\n'
+  };
+  const delta = await repo.makeTreeDeltaPath(base.content, [
+    ...Object.entries(changes).map(([path, content]) => ({
+      path,
+      type: 'blob',
+      content: repo.encodeUTF8(content)
+    })),
+    { path: 'docs/only.md', remove: true },
+    { path: 'src/main.js', remove: true }
+  ]);
+  const tree = await repo.writeTreeRecursive(delta);
+
+  for (const [name, content] of Object.entries(changes)) {
+    fs.mkdirSync(`${dir}/${name.replace(/\/[^/]*$/, '')}`, { recursive: true });
+    fs.writeFileSync(`${dir}/${name}`, content);
+  }
+  fs.rmSync(`${dir}/docs/only.md`);
+  fs.rmSync(`${dir}/src/main.js`);
+  await git(dir, 'add', '-A');
+  assert.equal(tree, await git(dir, 'write-tree'));
+  assert.match(await git(dir, 'ls-tree', tree, 'tools/run.sh'), /^100755 /);
+});
+
+test('parses signed commits and tags made by git', async t => {
+  const { dir, key } = await makeSignedRepo(t);
+  const repo = await openRepo(dir);
+
+  const merge = await repo.readBranchCommit('master');
+  const { signature } = merge.content;
+  assert.equal(merge.content.parents.length, 2);
+  assert.equal(merge.content.committer, 'Alice <alice@zeroid.bit> 1700000000 +0100');
+  assert.equal(merge.content.message, 'Merge v1\n');
+  assert.equal(signature.format, 'ssh');
+  verifySshSignature(key, signature.payload, signature.armor);
+  // The payload is what git verify-commit hashes: the commit without gpgsig
+  const raw = await git(dir, 'cat-file', 'commit', 'HEAD');
+  assert.equal(
+    repo.decodeUTF8(signature.payload),
+    `${raw.replace(/\ngpgsig [^]*?END SSH SIGNATURE-----/, '')}\n`
+  );
+
+  const tag = await repo.readUnknownObject(await repo.getRef('refs/tags/v1'));
+  assert.equal(tag.content.target, await git(dir, 'rev-parse', 'side'));
+  assert.equal(tag.content.tag, 'v1');
+  assert.equal(tag.content.message, 'Version 1\n\nFirst release\n');
+  assert.equal(tag.content.signature.format, 'ssh');
+  verifySshSignature(key, tag.content.signature.payload, tag.content.signature.armor);
+  assert.throws(() => verifySshSignature(key, signature.payload, tag.content.signature.armor));
+
+  // mergetag holds the whole tag, including its empty lines and signature
+  const { headers } = repo.parseHeaders(new Uint8Array((await repo.readObject(merge.id)).content));
+  const mergetag = headers.find(header => header.name === 'mergetag');
+  assert.equal(mergetag.value, await git(dir, 'cat-file', 'tag', 'v1'));
+});
@@ -0,0 +1,74 @@
+import { after, before, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { GitHttpServer } from '../src/js/server/GitHttpServer.js';
+
+// Missing refs are expected here, keep their logging out of the report
+mock.method(console, 'error', () => {});
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Alice',
+  GIT_AUTHOR_EMAIL: 'alice@zeroid.bit',
+  GIT_COMMITTER_NAME: 'Alice',
+  GIT_COMMITTER_EMAIL: 'alice@zeroid.bit',
+  GIT_CONFIG_NOSYSTEM: '1',
+  HOME: os.tmpdir()
+};
+
+let root;
+let server;
+let url;
+
+// Runs stock git; the server lives in this process, so it must not block
+async function git(cwd, ...args) {
+  const { stdout } = await promisify(execFile)('git', args, { cwd, env: GIT_ENV });
+  return stdout.trim();
+}
+
+async function commit(work, name, content) {
+  fs.writeFileSync(path.join(work, name), content);
+  await git(work, 'add', name);
+  await git(work, 'commit', '-q', '-m', `Update ${name}`);
+  await git(work, 'push', '-q', 'origin', 'HEAD:master');
+  return git(work, 'rev-parse', 'HEAD');
+}
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-http-server-'));
+  await git(root, 'init', '-q', '--bare', '-b', 'master', 'site/repo.git');
+  await git(root, 'clone', '-q', 'site/repo.git', 'work');
+
+  server = await new GitHttpServer(root).listen(0);
+  url = `http://127.0.0.1:${server.address().port}/site/repo.git`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+for (const version of ['0', '2']) {
+  test(`clone and fetch over protocol v${version} see new commits`, async () => {
+    const work = path.join(root, 'work');
+    const clone = path.join(root, `clone-v${version}`);
+    const first = await commit(work, 'a.txt', `first v${version}\n`);
+    const refs = await git(root, '-c', `protocol.version=${version}`, 'ls-remote', url, 'master');
+    assert.equal(refs.split('\t')[0], first);
+
+    // The objects move into a new pack between requests
+    await git(path.join(root, 'site/repo.git'), 'repack', '-q', '-a', '-d');
+    await git(root, '-c', `protocol.version=${version}`, 'clone', '-q', url, clone);
+    assert.equal(await git(clone, 'rev-parse', 'HEAD'), first);
+
+    const second = await commit(work, 'b.txt', `second v${version}\n`);
+
+    await git(clone, '-c', `protocol.version=${version}`, 'fetch', '-q', 'origin');
+    assert.equal(await git(clone, 'rev-parse', 'origin/master'), second);
+    await git(clone, 'fsck', '--no-progress');
+  });
+}
@@ -0,0 +1,181 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { Hg, HgRevlog } from '../src/js/lib/Hg.js';
+import { createZeroPage } from './helpers/zeroPage.js';
+
+// Missing revlogs are expected here, keep their logging out of the report
+mock.method(console, 'error', () => {});
+
+const ROOT = 'merged-GitCenter/1Repo/repo/.hg';
+const NULL_ID = '0'.repeat(40);
+
+// Reads a revlog from scratch and checks every node id against its text:
+// sha1(smaller parent, larger parent, text)
+async function readRevlog(zeroPage, indexPath, dataPath) {
+  const hg = new Hg(ROOT, zeroPage);
+  await hg.init();
+  const revlog = await new HgRevlog(hg, indexPath, dataPath).load();
+
+  const texts = [];
+  for (const entry of revlog.entries) {
+    const text = await revlog.getData(entry.rev);
+    const parents = [entry.parent1Rev, entry.parent2Rev]
+      .map(rev => rev === -1 ? NULL_ID : revlog.entries[rev].nodeId)
+      .sort();
+    const hash = createHash('sha1');
+    parents.forEach(parent => hash.update(Buffer.from(parent, 'hex')));
+    hash.update(text);
+
+    assert.equal(entry.nodeId, hash.digest('hex'), `node id of ${indexPath}:${entry.rev}`);
+    texts.push(Buffer.from(text).toString('utf8'));
+  }
+  return { revlog, texts };
+}
+
+test('init creates a store that reads back with HgRevlog', async () => {
+  const { zeroPage } = createZeroPage();
+  const hg = await Hg.init(ROOT, zeroPage, 'Alice', 'alice@zeroid.bit');
+  const initial = await hg.getBranchCommit('default');
+  const id = await hg.writeCommit({
+    parents: [initial],
+    changes: [{ name: 'docs/a.txt', content: new Uint8Array([104, 105, 10]) }],
+    author: 'Bob <bob@zeroid.bit> 1700000000 +0000',
+    message: 'Add a.txt'
+  });
+
+  const changelog = await readRevlog(zeroPage, 'store/00changelog.i', 'store/00changelog.d');
+  assert.deepEqual(changelog.revlog.entries.map(entry => entry.nodeId), [initial, id]);
+
+  const [manifestId, user, date, ...rest] = changelog.texts[0].split('\n');
+  assert.equal(manifestId, NULL_ID);
+  assert.equal(user, 'Alice <alice@zeroid.bit>');
+  assert.match(date, /^\d+ -?\d+$/);
+  assert.deepEqual(rest, ['', 'Initial commit']);
+  assert.equal(changelog.revlog.entries[1].parent1Rev, 0);
+
+  const manifest = await readRevlog(zeroPage, 'store/00manifest.i', 'store/00manifest.d');
+  const fileId = manifest.texts[0].slice('docs/a.txt\0'.length, -1);
+  assert.equal(changelog.texts[1].split('\n')[0], manifest.revlog.entries[0].nodeId);
+  assert.equal(manifest.texts[0], `docs/a.txt\0${fileId}\n`);
+
+  const filelog = await readRevlog(zeroPage, 'store/data/docs/a.txt.i', 'store/data/docs/a.txt.d');
+  assert.equal(filelog.revlog.entries[0].nodeId, fileId);
+  assert.deepEqual(filelog.texts, ['hi\n']);
+});
+
+
+test('readCommit keeps spaces in changeset extras', async () => {
+  const { zeroPage } = createZeroPage();
+  const hg = await Hg.init(ROOT, zeroPage, 'Alice', 'alice@zeroid.bit');
+  const initial = await hg.getBranchCommit('default');
+
+  const id = await hg.writeCommit({
+    parents: [initial],
+    changes: [{ name: 'a.txt', content: new Uint8Array([104, 105]) }],
+    author: 'Alice <alice@zeroid.bit> 1700000000 +0100',
+    message: 'Start my branch',
+    extra: { branch: 'my branch', note: 'a b\nc' }
+  });
+  const commit = await hg.readCommit(id);
+
+  assert.equal(commit.content.branch, 'my branch');
+  assert.deepEqual(commit.content.extra, { branch: 'my branch', note: 'a b\nc' });
+  assert.equal(commit.content.author, 'Alice <alice@zeroid.bit> 1700000000 +0100');
+});
+
+const AUTHOR = 'Alice <alice@zeroid.bit> 1700000000 +0100';
+
+// Reads a file of the repository as hg would see it on disk
+function readRepoFile(zeroFrame, path) {
+  return Buffer.from(zeroFrame.files.get(`${ROOT}/${path}`), 'latin1').toString('utf8');
+}
+
+async function readHgTags(hg) {
+  const tip = await hg.getBranchCommit('default');
+  const { content } = await hg.readCommit(tip);
+  return Buffer.from((await hg.readTreeItem(content.tree, '.hgtags')).content).toString('utf8');
+}
+
+test('bookmarks are written in the format hg reads', async () => {
+  const { zeroFrame, zeroPage } = createZeroPage();
+  const hg = await Hg.init(ROOT, zeroPage, 'Alice', 'alice@zeroid.bit');
+  const initial = await hg.getBranchCommit('default');
+  const second = await hg.writeCommit({ parents: [initial], author: AUTHOR, message: 'Second' });
+
+  await hg.setRef('refs/heads/feature', initial, null);
+  await hg.setRef('refs/heads/a b', second, null);
+  assert.equal(readRepoFile(zeroFrame, 'bookmarks'), `${second} a b\n${initial} feature\n`);
+
+  await assert.rejects(hg.setRef('refs/heads/feature', second, second), /expected/);
+  await hg.setRef('refs/heads/feature', second, initial);
+  await hg.deleteRef('refs/heads/a b', second);
+  assert.equal(readRepoFile(zeroFrame, 'bookmarks'), `${second} feature\n`);
+  assert.deepEqual(await hg.getRefList(), ['refs/heads/default', 'refs/heads/feature']);
+  await assert.rejects(hg.deleteRef('refs/heads/default'), /cannot be deleted/);
+});
+
+test('tags are committed to .hgtags like hg tag does', async () => {
+  const { zeroPage } = createZeroPage();
+  const hg = await Hg.init(ROOT, zeroPage, 'Alice', 'alice@zeroid.bit');
+  const initial = await hg.getBranchCommit('default');
+  const second = await hg.writeCommit({ parents: [initial], author: AUTHOR, message: 'Second' });
+
+  await assert.rejects(hg.setRef('refs/tags/v1', initial, null), /needs an author/);
+  await hg.setRef('refs/tags/v1', initial, null, AUTHOR);
+  assert.equal(await readHgTags(hg), `${initial} v1\n`);
+  const tagCommit = await hg.readBranchCommit('default');
+  assert.equal(tagCommit.content.message, `Added tag v1 for changeset ${initial.slice(0, 12)}`);
+  assert.deepEqual(tagCommit.content.parents, [second]);
+
+  // Moving a tag repeats its old value first, removing it appends a null id
+  await hg.setRef('refs/tags/v1', second, initial, AUTHOR);
+  await hg.deleteRef('refs/tags/v1', second, AUTHOR);
+  assert.equal(await readHgTags(hg), [
+    `${initial} v1`,
+    `${initial} v1`,
+    `${second} v1`,
+    `${second} v1`,
+    `${NULL_ID} v1`,
+    ''
+  ].join('\n'));
+  assert.deepEqual(await hg.getRefList(), ['refs/heads/default']);
+});
+
+test('named branches use a branch cache only when it matches the tip', async () => {
+  const { zeroFrame, zeroPage } = createZeroPage();
+  const hg = await Hg.init(ROOT, zeroPage, 'Alice', 'alice@zeroid.bit');
+  const initial = await hg.getBranchCommit('default');
+  const stable = await hg.createBranch('stable', initial, AUTHOR);
+  const closed = await hg.writeCommit({
+    parents: [stable],
+    author: AUTHOR,
+    message: 'Close stable',
+    extra: { close: '1' }
+  });
+
+  // hg writes "<tip node> <tip rev> [filtered hash]", then "<head> o|c <branch>".
+  // This cache wrongly lists stable as open, which shows that it is used.
+  zeroFrame.setFile(`${ROOT}/cache/branch2-served`,
+    `${closed} 2 0123456789abcdef0123456789abcdef01234567\n` +
+    `${initial} o default\n${stable} o stable\n`);
+  let reader = new Hg(ROOT, zeroPage);
+  await reader.init();
+  assert.deepEqual(await reader.getBranchList(), ['default', 'stable']);
+  assert.equal(await reader.getBranchCommit('stable'), stable);
+
+  // A cache for another tip is ignored, and heads are read from the changelog
+  zeroFrame.setFile(`${ROOT}/cache/branch2-served`,
+    `${stable} 1\n${initial} o default\n${stable} o stable\n`);
+  reader = new Hg(ROOT, zeroPage);
+  await reader.init();
+  assert.deepEqual(await reader.getBranchList(), ['default']);
+  assert.equal(await reader.getBranchCommit('stable'), closed);
+
+  await reader.setRef('refs/heads/default', initial, initial);
+  assert.equal(
+    readRepoFile(zeroFrame, 'cache/branch2-visible'),
+    `${closed} 2\n${initial} o default\n${closed} c stable\n`
+  );
+  await assert.rejects(reader.setRef('refs/heads/stable', initial), /not a head of branch stable/);
+});
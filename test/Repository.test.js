@@ -0,0 +1,80 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Git } from '../src/js/lib/Git.js';
+import { Repository } from '../src/js/lib/Repository.js';
+import { createZeroPage, fakeSign } from './helpers/zeroPage.js';
+
+const ZEROID = '1iD5ZQJMNXu43w1qLB8sfdHVKppVMduGz';
+const AUTH_ADDRESS = '1AuthAlice';
+
+// Missing refs and files are expected here, keep their logging out of the report
+mock.method(console, 'error', () => {});
+mock.method(console, 'warn', () => {});
+
+async function setup() {
+  const { zeroFrame, zeroPage } = createZeroPage({
+    auth_address: AUTH_ADDRESS,
+    cert_user_id: 'alice@zeroid.bit',
+    settings: { own: false }
+  });
+
+  zeroFrame.setFile('data/users/content.json', JSON.stringify({
+    user_contents: { cert_signers: { 'zeroid.bit': [ZEROID] } }
+  }));
+  zeroFrame.setFile(`data/users/${AUTH_ADDRESS}/content.json`, JSON.stringify({
+    cert_auth_type: 'web',
+    cert_user_id: 'alice@zeroid.bit',
+    cert_sign: fakeSign(ZEROID, `${AUTH_ADDRESS}#web/alice`)
+  }));
+  zeroFrame.setFile('merged-GitCenter/1Repo/content.json', JSON.stringify({ git: 'repo.git' }));
+  await Git.init('merged-GitCenter/1Repo/repo.git', zeroPage, 'Alice', 'alice@zeroid.bit');
+
+  return { zeroFrame, repo: new Repository('1Repo', zeroPage) };
+}
+
+test('saveFile signs commits with the current auth address', async () => {
+  const { repo } = await setup();
+
+  const id = await repo.saveFile('docs/a.txt', [104, 105], 'master', 'Add a.txt');
+  const commit = await repo.vcs.readUnknownObject(id);
+
+  assert.equal(commit.content.signature.format, 'zeronet');
+  assert.match(commit.content.signature.armor, new RegExp(`^address ${AUTH_ADDRESS}\n`));
+  assert.match(commit.content.signature.armor, /\ncert web alice@zeroid\.bit /);
+  assert.equal(await repo.verifyCommitSignature(commit), 'verified');
+});
+
+test('verifyCommitSignature rejects tampered commits', async () => {
+  const { repo } = await setup();
+
+  const id = await repo.saveFile('a.txt', [104, 105], 'master', 'Add a.txt');
+  const commit = await repo.vcs.readUnknownObject(id);
+  commit.content.signature.payload = commit.content.signature.payload.map(
+    byte => byte === 'A'.charCodeAt(0) ? 'B'.charCodeAt(0) : byte
+  );
+
+  assert.equal(await repo.verifyCommitSignature(commit), 'unverified');
+});
+
+test('saveFile needs a certificate', async () => {
+  const { zeroFrame, repo } = await setup();
+  delete zeroFrame.siteInfo.cert_user_id;
+
+  await assert.rejects(repo.saveFile('a.txt', [104], 'master', 'Add a.txt'), /certificate/);
+});
+
+test('saveFile rewrites only the trees along a nested path', async () => {
+  const { repo } = await setup();
+  await repo.saveFile('docs/a.txt', [97], 'master', 'Add a.txt');
+  const parent = await repo.saveFile('lib/x.js', [120], 'master', 'Add x.js');
+  const id = await repo.saveFile('docs/deep/b.txt', [98], 'master', 'Add b.txt');
+
+  const item = async (commit, path) => {
+    const { content } = await repo.vcs.readUnknownObject(commit);
+    return repo.vcs.readTreeItem(content.tree, path);
+  };
+  assert.equal((await item(id, 'lib')).id, (await item(parent, 'lib')).id);
+  assert.equal((await item(id, 'docs/a.txt')).id, (await item(parent, 'docs/a.txt')).id);
+  assert.deepEqual([...(await item(id, 'docs/deep/b.txt')).content], [98]);
+  assert.deepEqual((await item(id, 'docs')).content.map(({ name }) => name), ['a.txt', 'deep']);
+});
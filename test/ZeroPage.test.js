@@ -0,0 +1,22 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZeroPage } from './helpers/zeroPage.js';
+
+// Failing commands are expected here, keep their logging out of the report
+mock.method(console, 'error', () => {});
+
+test('writeFile and readFile round-trip UTF-8 text', async () => {
+  const { zeroFrame, zeroPage } = createZeroPage();
+
+  await zeroPage.writeFile('data/notes.txt', 'héllo ✓');
+
+  assert.equal(await zeroPage.readFile('data/notes.txt'), 'héllo ✓');
+  assert.deepEqual(await zeroPage.listDirectory('data'), ['notes.txt']);
+  assert.equal(zeroFrame.files.get('data/notes.txt'), Buffer.from('héllo ✓').toString('latin1'));
+});
+
+test('cmd rejects results with an error', async () => {
+  const { zeroPage } = createZeroPage();
+
+  await assert.rejects(zeroPage.cmd('noSuchCommand'), /Unknown command: noSuchCommand/);
+});
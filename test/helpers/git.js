@@ -0,0 +1,88 @@
+/**
+ * Runs stock git for tests that check compatibility with real git output
+ */
+
+import { execFile, execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+export const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Alice',
+  GIT_AUTHOR_EMAIL: 'alice@zeroid.bit',
+  GIT_AUTHOR_DATE: '1700000000 +0100',
+  GIT_COMMITTER_NAME: 'Alice',
+  GIT_COMMITTER_EMAIL: 'alice@zeroid.bit',
+  GIT_COMMITTER_DATE: '1700000000 +0100',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null'
+};
+
+// Async, so that servers running in the test process keep responding
+export async function git(cwd, ...args) {
+  const { stdout } = await promisify(execFile)('git', args, {
+    cwd,
+    env: GIT_ENV,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return stdout.trim();
+}
+
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitcenter-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Creates a work tree with `files` ({path: content}) committed on master
+export async function makeRepo(dir, files) {
+  await git(dir, 'init', '-q', '-b', 'master');
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  await git(dir, 'add', '-A');
+  await git(dir, 'commit', '-q', '-m', 'Initial commit');
+  return dir;
+}
+
+/**
+ * Creates a history with an SSH-signed tag v1 on branch side, merged into
+ * master by a signed merge commit, which carries the tag in a multi-line
+ * mergetag header. Returns the work tree and the signing key.
+ */
+export async function makeSignedRepo(t) {
+  const key = path.join(tempDir(t), 'key');
+  execFileSync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-f', key]);
+
+  const dir = await makeRepo(tempDir(t), { 'a.txt': 'a\n' });
+  await git(dir, 'config', 'gpg.format', 'ssh');
+  await git(dir, 'config', 'user.signingKey', key);
+  // Merging a signed tag checks its signature
+  fs.writeFileSync(`${key}.allowed`, `alice@zeroid.bit ${fs.readFileSync(`${key}.pub`)}`);
+  await git(dir, 'config', 'gpg.ssh.allowedSignersFile', `${key}.allowed`);
+
+  await git(dir, 'checkout', '-q', '-b', 'side');
+  fs.writeFileSync(`${dir}/b.txt`, 'b\n');
+  await git(dir, 'add', 'b.txt');
+  await git(dir, 'commit', '-q', '-m', 'Add b.txt');
+  await git(dir, 'tag', '-s', 'v1', '-m', 'Version 1\n\nFirst release');
+
+  await git(dir, 'checkout', '-q', 'master');
+  fs.writeFileSync(`${dir}/c.txt`, 'c\n');
+  await git(dir, 'add', 'c.txt');
+  await git(dir, 'commit', '-q', '-m', 'Add c.txt');
+  await git(dir, 'merge', '-q', '--no-ff', '-S', '-m', 'Merge v1', 'v1');
+  return { dir, key };
+}
+
+// Throws unless `armor` is a valid SSH signature of `payload` by `key`
+export function verifySshSignature(key, payload, armor) {
+  fs.writeFileSync(`${key}.sig`, armor);
+  execFileSync('ssh-keygen', ['-Y', 'check-novalidate', '-n', 'git', '-s', `${key}.sig`], {
+    input: Buffer.from(payload),
+    stdio: ['pipe', 'ignore', 'pipe']
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Runs the browser scripts of main/dist in a VM context under Node. ZeroFS
+ * is backed by the filesystem below `root`, so repositories made by stock
+ * git can be read directly.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const DIST = fileURLToPath(new URL('../../main/dist/', import.meta.url));
+
+export function loadLegacy(root, scripts, globals = {}) {
+  const resolve = innerPath => path.join(root, innerPath);
+
+  // Like ZeroLib's ZeroFS: files are byte strings, errors are rejections
+  class ZeroFS {
+    readFile(innerPath) {
+      try {
+        return Promise.resolve(fs.readFileSync(resolve(innerPath)).toString('latin1'));
+      } catch (error) {
+        return Promise.reject(`No file ${innerPath}`);
+      }
+    }
+
+    peekFile(innerPath, offset, length) {
+      return this.readFile(innerPath).then(content => content.substr(offset, length));
+    }
+
+    writeFile(innerPath, content) {
+      fs.mkdirSync(path.dirname(resolve(innerPath)), { recursive: true });
+      fs.writeFileSync(resolve(innerPath), Buffer.from(content, 'latin1'));
+      return Promise.resolve();
+    }
+
+    deleteFile(innerPath) {
+      fs.unlinkSync(resolve(innerPath));
+      return Promise.resolve();
+    }
+
+    readDirectory(innerPath, recursive) {
+      const directory = resolve(innerPath);
+      if (!fs.existsSync(directory)) {
+        return Promise.resolve([]);
+      }
+      return Promise.resolve(
+        fs.readdirSync(directory, { recursive: !!recursive })
+          .filter(file => fs.statSync(path.join(directory, file)).isFile())
+          .map(file => file.split(path.sep).join('/'))
+      );
+    }
+  }
+
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    Promise,
+    Uint8Array,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    crypto: globalThis.crypto,
+    ZeroFS,
+    ...globals
+  });
+  context.window = context;
+  context.self = context;
+
+  for (const script of scripts) {
+    const code = fs.readFileSync(path.join(DIST, script), 'utf8');
+    vm.runInContext(code, context, { filename: script });
+  }
+
+  // Classes declared by the scripts aren't properties of the context
+  return code => vm.runInContext(code, context);
+}
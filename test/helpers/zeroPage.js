@@ -0,0 +1,75 @@
+/**
+ * In-memory ZeroFrame stand-in, so ZeroPage and everything built on it can
+ * run under Node without a ZeroNet client
+ */
+
+import { createHash } from 'node:crypto';
+import { ZeroPage } from '../../src/js/lib/ZeroPage.js';
+
+// Stand-in for ZeroNet's ecdsaSign: deterministic per address and data
+export function fakeSign(address, data) {
+  return createHash('sha256').update(`${address}\n${data}`).digest('base64');
+}
+
+export class MemoryZeroFrame {
+  constructor(siteInfo = {}) {
+    this.files = new Map();
+    this.siteInfo = siteInfo;
+  }
+
+  // Files are kept as byte strings (one char per byte)
+  setFile(path, content) {
+    this.files.set(path, Buffer.from(content).toString('latin1'));
+  }
+
+  async cmd(command, params) {
+    switch (command) {
+      case 'siteInfo':
+        return this.siteInfo;
+      case 'fileGet': {
+        const content = this.files.get(params.inner_path);
+        if (content === undefined) {
+          return null;
+        }
+        return params.format === 'base64'
+          ? Buffer.from(content, 'latin1').toString('base64')
+          : Buffer.from(content, 'latin1').toString('utf8');
+      }
+      case 'fileWrite':
+        this.setFile(params.inner_path, Buffer.from(params.content_base64, 'base64'));
+        return 'ok';
+      case 'fileDelete':
+        this.files.delete(params.inner_path);
+        return 'ok';
+      case 'dirList':
+        return this.list(params.inner_path, false);
+      case 'fileList':
+        return this.list(params.inner_path, true);
+      case 'ecdsaSign':
+        return fakeSign(this.siteInfo.auth_address, params[0]);
+      case 'ecdsaVerify': {
+        const [data, addresses, signature] = params;
+        return [].concat(addresses).some(address => fakeSign(address, data) === signature);
+      }
+      default:
+        return { error: `Unknown command: ${command}` };
+    }
+  }
+
+  list(dir, recursive) {
+    const prefix = dir ? `${dir}/` : '';
+    const names = new Set();
+    for (const path of this.files.keys()) {
+      if (path.startsWith(prefix)) {
+        const rest = path.slice(prefix.length);
+        names.add(recursive ? rest : rest.split('/')[0]);
+      }
+    }
+    return [...names];
+  }
+}
+
+export function createZeroPage(siteInfo) {
+  const zeroFrame = new MemoryZeroFrame(siteInfo);
+  return { zeroFrame, zeroPage: new ZeroPage(zeroFrame) };
+}
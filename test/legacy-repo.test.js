@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadLegacy } from './helpers/legacy.js';
+import { git, makeRepo, makeSignedRepo, tempDir } from './helpers/git.js';
+
+const SCRIPTS = ['js/pako.js', 'js/sha.js', 'js/git.js', 'js/repo.js'];
+
+// A Repository of the Git work tree in `dir`, without ZeroNet around it
+async function openRepo(dir) {
+  const run = loadLegacy(dir, SCRIPTS, {
+    ZeroAuth: class {},
+    ZeroDB: class {},
+    ZeroID: class {},
+    RepositoryIssues: class {}
+  });
+  const repo = run('Object.create(Repository.prototype)');
+  repo.git = run('new Git(".git", null)');
+  repo.vcs = repo.git;
+  repo.getContent = () => Promise.resolve({ git: '.git' });
+  await repo.git.init();
+  return repo;
+}
+
+test('getFile returns small files that are not UTF-8 as is', async t => {
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  const latin1 = Buffer.from('caf\xe9\n', 'latin1');
+  const dir = await makeRepo(tempDir(t), { 'icon.png': png, 'notes.txt': latin1 });
+  const repo = await openRepo(dir);
+
+  assert.deepEqual(Buffer.from(await repo.getFile('master', 'icon.png')), png);
+  assert.deepEqual(Buffer.from(await repo.getFile('master', 'notes.txt')), latin1);
+});
+
+test('parseLfsPointer only accepts LFS pointer files', async t => {
+  const repo = await openRepo(await makeRepo(tempDir(t), { 'a.txt': 'a\n' }));
+  const oid = 'a'.repeat(64);
+  const bytes = text => new Uint8Array(Buffer.from(text, 'latin1'));
+
+  assert.deepEqual(
+    { ...repo.parseLfsPointer(bytes(`version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize 12\n`)) },
+    { oid, size: 12 }
+  );
+  assert.equal(repo.parseLfsPointer(bytes('version https://git-lfs.github.com/spec/v1\nsize 12\n')), null);
+  assert.equal(repo.parseLfsPointer(bytes('\xff\xfe\x00version')), null);
+  assert.equal(repo.parseLfsPointer(bytes('')), null);
+});
+
+
+// Makes patches of the last `count` commits with git format-patch, then moves
+// master back before them
+async function makePatches(dir, count) {
+  const mbox = await git(dir, 'format-patch', '--stdout', `-${count}`);
+  const commits = (await git(dir, 'rev-list', `-${count}`, 'master')).split('\n').reverse();
+  await git(dir, 'reset', '-q', '--hard', `master~${count}`);
+  return { mbox: `${mbox}\n`, commits };
+}
+
+function stubCommitting(repo) {
+  const author = 'Bob <bob@zeroid.bit> 1700000000 +0000';
+  repo.getCommitAuthor = () => Promise.resolve({ author, date: null });
+  repo.signCommit = commit => Promise.resolve(commit);
+}
+
+test('applyPatches commits a series with the same trees as git', async t => {
+  const dir = await makeRepo(tempDir(t), { 'a.txt': 'one\ntwo\n' });
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'one\n2\n');
+  await git(dir, 'commit', '-q', '-am', 'Change two');
+  await git(dir, 'mv', 'a.txt', 'b.txt');
+  await git(dir, 'commit', '-q', '-m', 'Rename a.txt');
+  const { mbox, commits } = await makePatches(dir, 2);
+
+  const repo = await openRepo(dir);
+  stubCommitting(repo);
+  const ids = await repo.applyPatches('master', mbox);
+
+  assert.equal(await git(dir, 'rev-parse', 'master'), ids[1]);
+  for (const [i, id] of ids.entries()) {
+    const tree = await git(dir, 'rev-parse', `${id}^{tree}`);
+    assert.equal(tree, await git(dir, 'rev-parse', `${commits[i]}^{tree}`));
+  }
+});
+
+test('applyPatches leaves the branch alone when a later commit fails', async t => {
+  const dir = await makeRepo(tempDir(t), { 'a.txt': 'one\n' });
+  for (const line of ['two', 'three']) {
+    fs.appendFileSync(path.join(dir, 'a.txt'), `${line}\n`);
+    await git(dir, 'commit', '-q', '-am', `Add ${line}`);
+  }
+  const { mbox } = await makePatches(dir, 2);
+  const head = await git(dir, 'rev-parse', 'master');
+
+  const repo = await openRepo(dir);
+  stubCommitting(repo);
+  let signed = 0;
+  repo.signCommit = commit => {
+    signed++;
+    return signed === 2 ? Promise.reject('Signing failed') : Promise.resolve(commit);
+  };
+
+  await assert.rejects(repo.applyPatches('master', mbox), error => error === 'Signing failed');
+  assert.equal(await git(dir, 'rev-parse', 'master'), head);
+});
+
+test('applyPatches rejects files that are not UTF-8', async t => {
+  const dir = await makeRepo(tempDir(t), { 'notes.txt': Buffer.from('caf\xe9\n', 'latin1') });
+  fs.appendFileSync(path.join(dir, 'notes.txt'), 'more\n');
+  await git(dir, 'commit', '-q', '-am', 'Add more');
+  const { mbox } = await makePatches(dir, 1);
+
+  const repo = await openRepo(dir);
+  stubCommitting(repo);
+
+  await assert.rejects(repo.applyPatches('master', mbox), /notes\.txt is not UTF-8 text/);
+});
+
+test('verifySignature of a tag without tagger is unknown', async t => {
+  const dir = await makeRepo(tempDir(t), { 'a.txt': 'a\n' });
+  const tag = [
+    `object ${await git(dir, 'rev-parse', 'master')}`,
+    'type commit',
+    'tag v1',
+    '',
+    'Old tag',
+    '-----BEGIN PGP SIGNATURE-----',
+    '',
+    'iQEzBAABCAAdFiEE',
+    '-----END PGP SIGNATURE-----',
+    ''
+  ].join('\n');
+  const tagPath = path.join(dir, 'tag.txt');
+  fs.writeFileSync(tagPath, tag);
+  const id = await git(dir, 'hash-object', '-t', 'tag', '-w', '--literally', tagPath);
+
+  const repo = await openRepo(dir);
+  const object = await repo.git.readUnknownObject(id);
+
+  assert.equal(object.content.signature.format, 'openpgp');
+  assert.equal((await repo.verifySignature(object)).status, 'unknown');
+});
+
+test('verifySignature checks SSH signatures on commits and tags made by git', async t => {
+  const { dir, key } = await makeSignedRepo(t);
+  const repo = await openRepo(dir);
+  const keys = await repo.parseSigningKey(fs.readFileSync(`${key}.pub`, 'utf8'));
+  repo.getSigningKeys = () => Promise.resolve([
+    { certUserId: 'alice@zeroid.bit', email: 'alice@zeroid.bit', keys }
+  ]);
+
+  const merge = await repo.git.readUnknownObject(await git(dir, 'rev-parse', 'master'));
+  const tag = await repo.git.readUnknownObject(await git(dir, 'rev-parse', 'v1'));
+  assert.equal(merge.content.message, 'Merge v1\n');
+  assert.equal(tag.content.message, 'Version 1\n\nFirst release\n');
+  assert.equal((await repo.verifySignature(merge)).status, 'verified');
+  assert.equal((await repo.verifySignature(tag)).status, 'verified');
+
+  // The tag in the multi-line mergetag header keeps its signed bytes
+  const raw = Buffer.from(`${await git(dir, 'cat-file', 'commit', 'master')}\n`);
+  const { headers } = repo.git.parseHeaders(new Uint8Array(raw));
+  const mergetag = headers.find(header => header.name === 'mergetag');
+  const embedded = repo.git.parseTag({ content: Buffer.from(`${mergetag.value}\n`) });
+  assert.equal((await repo.verifySignature({ content: embedded })).status, 'verified');
+
+  merge.content.signature.payload[0] ^= 1;
+  assert.equal((await repo.verifySignature(merge)).status, 'unverified');
+});